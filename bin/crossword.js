@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+'use strict'
+
+///
+// The crossword command-line tool, see lib/cli.js, or run: crossword --help
+///
+
+const cli = require('../lib/cli.js');
+
+process.exitCode = cli.main( process.argv.slice(2) );
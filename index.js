@@ -1,6 +1,16 @@
 'use strict'
 
-const permittedKeys = { // mapped to their type
+const model = require('./lib/model.js');
+const puz = require('./lib/puz.js');
+const ipuz = require('./lib/ipuz.js');
+const jpz = require('./lib/jpz.js');
+const render = require('./lib/render.js');
+const yaml = require('./lib/yaml.js');
+const schema = require('./lib/schema.js');
+const puzzleStats = require('./lib/stats.js');
+const solve = require('./lib/solve.js');
+
+const permittedKeys = { // mapped to their type, in the order they are written
   version: 'string',
   name: 'string',
   author: 'string',
@@ -9,13 +19,82 @@ const permittedKeys = { // mapped to their type
   publisher: 'string',
   pubdate: 'string',
   size: 'string',
+  preamble: 'string',
+  difficulty: 'string',
+  theme: 'string',
+  notes: 'string',
+  series: 'string',
+  number: 'string',
+  source: 'string',
+  bars: 'string list',
   across: 'list',
   down: 'list'
 }
+const optionalKeys = ['preamble', 'difficulty', 'theme', 'notes', 'series', 'number', 'source', 'bars'];
+
+// namespaced custom keys, e.g. x-ft-section, whose type (a string or a list) is whatever is found
+const extensionKeyRegex = /^x-[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const extensionKeyTypes = ['string', 'list'];
+
+///
+// the versions of the format, oldest first, as declared by the version key, each with the rules which differ between them
+// - permittedKeys: the keys allowed (in the order they are written), and optionalKeys, which of those may be left out
+// - allowsExtensions: whether x- extension keys are allowed
+// - scanning: 'lines', where each value is the rest of its line, taken literally,
+//   or 'yaml', the subset of YAML described in lib/yaml.js (comments, quoting, multi-line values)
+// A document with no version is read with the rules of the latestVersion.
+///
+const requiredPermittedKeys = Object.keys(permittedKeys).filter( key => !optionalKeys.includes(key) )
+  .reduce( (keys, key) => Object.assign( keys, { [key]: permittedKeys[key] } ), {} );
+const formatVersions = {
+  'standard v2' : {
+    description : 'The original line-based format, as declared by the existing archive, where each value is the rest of its line, taken literally (so e.g. a clue may contain \': \' or \'#\', and there are no comments, quoting or multi-line values), and only the required keys are allowed',
+    permittedKeys : requiredPermittedKeys,
+    optionalKeys : [],
+    allowsExtensions : false,
+    scanning : 'lines',
+  },
+  'standard v3' : {
+    description : 'The YAML-compatible format, adding optional keys and x- extension keys',
+    permittedKeys,
+    optionalKeys,
+    allowsExtensions : true,
+    scanning : 'yaml',
+  },
+};
+const latestVersion = 'standard v3';
+Object.keys(formatVersions).forEach( version => {
+  const format = formatVersions[version];
+  format.version = version;
+  format.requiredKeys = Object.keys(format.permittedKeys).filter( key => !format.optionalKeys.includes(key) );
+});
+
+function formatFor( version ){
+  return (formatVersions.hasOwnProperty(version))? formatVersions[version] : formatVersions[latestVersion];
+}
+
+///
+// the version declared by the text, from its version line (if there is one), or null
+///
+
+function declaredVersion( text ){
+  const matchedVersion = text.match(/^version:[ \t]*(.*)$/m);
+  if (!matchedVersion) {
+    return null;
+  }
+  const scanned = yaml.parseFlowScalar( yaml.stripComment( matchedVersion[1] ) );
+  return (scanned.error)? matchedVersion[1].trim() : scanned.value;
+}
 
-const answerSeparators = ',-|'.split();
-const escapedAnswerSeparators = ',\-\|'.split();
-const sourceRegexComponent = `(?:\\d+|[A-Z]+)`;
+const answerSeparators = ',-|'.split('');
+const escapedAnswerSeparators = ',\\-|';
+const answerPunctuation = model.answerPunctuation; // taking no cell, e.g. the apostrophe of (O'CLOCK), whose enumeration is 1'5
+const punctuationRegexComponent = `[${answerPunctuation.join('')}]`;
+const letterRegexComponent = `[\\p{Lu}\\p{Lo}]\\p{M}*`; // an upper case (or caseless) letter, in any alphabet, e.g. É, Ŵ, Ω or Ж
+const rebusRegexComponent = `\\[[^\\[\\]()\\s]+\\]`; // several characters (or a digit or symbol) in one cell, e.g. [TAR]
+const placeholderRegexComponent = model.enumerationWordRegexComponent; // e.g. 5, or 1'5
+const wordRegexComponent = `${punctuationRegexComponent}*(?:${letterRegexComponent}|${rebusRegexComponent})(?:${letterRegexComponent}|${rebusRegexComponent}|${punctuationRegexComponent})*`;
+const sourceRegexComponent = `(?:${placeholderRegexComponent}|${wordRegexComponent})`;
 const answerRegexComponent = `\\((${sourceRegexComponent}(?:[${escapedAnswerSeparators}]${sourceRegexComponent})*)\\)`;
 const idsRegexComponent = `(\\d+(?:,\\d+(?:\\s*(?:across|down)))*)\\.`;
 const clueRegexComponents = [ // all backslashes escaped; to be separated by spaces
@@ -25,91 +104,386 @@ const clueRegexComponents = [ // all backslashes escaped; to be separated by spa
   `(.+)`,                  // text
   answerRegexComponent     // answer
 ];
-const clueRegex = new RegExp( '^' + clueRegexComponents.join('\\s+') + '$' );
+const clueRegex = new RegExp( '^' + clueRegexComponents.join('\\s+') + '$', 'u' );
+const clueItemRegex = new RegExp( '^' + clueRegexComponents.slice(1).join('\\s+') + '$', 'u' ); // as read by a standard YAML parser, i.e. without the '-'
 const sizeRegex = /^(\d+)x(\d+)$/;
+const barRegex = /^\((\d+),(\d+)\)\s+(right|bottom)(?:\s+(right|bottom))?$/; // e.g. (3,1) right, or (3,1) right bottom
 const idsRegex  = new RegExp( '^' + idsRegexComponent + '$');
 const bodyBelongsToRegex = new RegExp( /^See (\d+)\s([aA]cross|[dD]own)$/ );
 
 const placeHolderChar = 'X';
 
-const spec = {
-  description: [
-    "This spec describes a crossword data format, based on YAML, intended to easy to read yet capable of encompassing all(ish) know aspects of standard crosswords.",
-  ],
-  definitions : {
-    permittedKeys    : `Which key/value pairs are allowed, and the value's type`,
-    answerSeparators : `How the different words in the answer are combined, where ',' means space-separated, '|' means contiguous, '-' means hyphenated`,
-    clueRegex        : 'The pattern used to parse each clue',
-    sizeRegex        : 'The pattern used to parse the size attribute (across integer x down integer)',
-    idsRegex         : 'The pattern used to parse the ids of a clue',
+const diagnosticCodes = { // mapped to a description of the problem
+  NO_TEXT                      : 'No text was specified',
+  DUPLICATE_KEY                : 'A header key appears more than once',
+  UNEXPECTED_LIST_VALUE        : 'A list key (across, down, bars) is followed by text on the same line',
+  UNRECOGNISED_KEY             : 'A key which is neither one of the permittedKeys nor an extension key',
+  INVALID_LIST_ITEM            : 'A line within a list which is not a list item',
+  INVALID_LINE                 : 'A line which is neither a key nor a list item',
+  INVALID_VALUE                : 'A value which is not valid YAML, e.g. an unterminated quote, or text which must be quoted',
+  NON_STRING_VALUE             : 'A plain value which a standard YAML parser reads as something other than text, e.g. true, null, ~, 007, 0x1F or 2020-01-01, so should be quoted',
+  MISSING_KEYS                 : 'One or more of the requiredKeys is missing',
+  UNKNOWN_VERSION              : 'The version is not one of the specVersions',
+  INVALID_CLUE                 : 'A clue which does not match the clueRegex',
+  CLUE_ID_ORDER                : 'A clue is listed out of id order within its direction',
+  DUPLICATE_CLUE               : 'The same clue id appears more than once within a direction',
+  INVALID_SIZE                 : 'The size does not match the sizeRegex',
+  INVALID_BELONGS_TO_IDS       : 'A clue which belongs to another clue must have a simple id',
+  BELONGS_TO_UNKNOWN_CLUE      : 'A clue belongs to a clue (id and direction) which does not exist',
+  OWNS_UNKNOWN_CLUE            : 'A clue owns a clue (id or direction) which does not exist',
+  OWNS_AMBIGUOUS_DIRECTION     : 'A clue owns an id, without a direction, which has both across and down clues',
+  OWNED_CLUE_DOES_NOT_BELONG   : 'A clue owns a clue which does not belong to it',
+  INVALID_ANSWER               : 'An answer which cannot be parsed',
+  BELONGS_TO_MULTI_PART_ANSWER : 'A clue which belongs to another clue has a multi-part answer',
+  OWNED_ANSWERS_MISMATCH       : 'The answer parts of a clue do not fit the answers of the clues it owns',
+  ANSWER_OUT_OF_GRID           : 'An answer starts or ends outside of the grid',
+  MISSING_CLUE_ID              : 'The clue ids are not contiguous',
+  CLUE_COORDS_MISMATCH         : 'The across and down clues with the same id have different coords',
+  CLUE_COORDS_ORDER            : 'The clue coords are not in sequence with the ids (across then down)',
+  OVERLAPPING_ANSWERS          : 'Two answers in the same direction share a cell',
+  CONFLICTING_LETTERS          : 'Crossing answers have different letters in their shared cell',
+  PLACEHOLDER_ANSWER           : 'An answer (of a clue which does not belong to another) is only placeholders, with no letters',
+  UNUSUAL_ENUMERATION          : 'An answer has an empty part, or mixes letters with placeholders',
+  ASYMMETRIC_GRID              : 'The pattern of light and blocked cells is not rotationally symmetric',
+  MIRROR_ASYMMETRIC_GRID       : 'The pattern of light and blocked cells is neither left-right nor top-bottom mirror symmetric',
+  UNDERCHECKED_ANSWER          : 'More than half the cells of an answer are unchecked (i.e. not crossed by another answer)',
+  CONSECUTIVE_UNCHECKED_CELLS  : 'An answer has two unchecked cells next to each other',
+  TWO_LETTER_LIGHT             : 'An answer is only two cells long',
+  ISOLATED_REGION              : 'Some light cells are not connected to the rest of the grid',
+  INVALID_BAR                  : 'A bar which does not match the barRegex',
+  BAR_OUT_OF_GRID              : 'A bar which is outside of the grid, or along its edge',
+  ANSWER_CROSSES_BAR           : 'A bar lies between two cells of an answer',
+  UNBARRED_ANSWER_END          : 'In a grid with bars, an answer starts or ends next to a light cell in its direction, with no bar or block between them',
+  NO_GRID                      : 'The grid could not be built, since a problem with the ids, answers or fit of the clues was lowered by the rules (always an error)',
+};
+
+///
+// how seriously to take each diagnostic code: 'error' (the parsing is not valid), 'warning' (reported, but still valid), or 'off'.
+// A profile lists the codes whose level is not 'error', and parse's options.rules can override any code.
+///
+const ruleLevels = ['error', 'warning', 'off'];
+// The house-style checks of the grid (see checkAnswerChecking) follow UK cryptic conventions, which not every crossword does,
+// so are off unless asked for by the strict profile or the rules,
+// and mirror symmetry is a matter of taste, so is only checked when asked for by the rules.
+const ruleProfiles = {
+  standard : {
+    NON_STRING_VALUE            : 'warning',
+    PLACEHOLDER_ANSWER          : 'warning',
+    UNUSUAL_ENUMERATION         : 'warning',
+    ASYMMETRIC_GRID             : 'warning',
+    MIRROR_ASYMMETRIC_GRID      : 'off',
+    UNDERCHECKED_ANSWER         : 'off',
+    CONSECUTIVE_UNCHECKED_CELLS : 'off',
+    TWO_LETTER_LIGHT            : 'off',
+    ISOLATED_REGION             : 'warning',
+  },
+  strict : {
+    MIRROR_ASYMMETRIC_GRID      : 'off',
+  },
+  lenient : {
+    NON_STRING_VALUE            : 'warning',
+    CLUE_ID_ORDER               : 'warning',
+    MISSING_CLUE_ID             : 'warning',
+    CLUE_COORDS_ORDER           : 'warning',
+    PLACEHOLDER_ANSWER          : 'warning',
+    UNUSUAL_ENUMERATION         : 'warning',
+    ASYMMETRIC_GRID             : 'warning',
+    MIRROR_ASYMMETRIC_GRID      : 'off',
+    UNDERCHECKED_ANSWER         : 'off',
+    CONSECUTIVE_UNCHECKED_CELLS : 'off',
+    TWO_LETTER_LIGHT            : 'off',
+    ISOLATED_REGION             : 'warning',
   },
-  permittedKeys,
-  answerSeparators,
-  clueRegex : clueRegex.toString(),
-  sizeRegex : sizeRegex.toString(),
-  idsRegex  : idsRegex.toString(),
-  bodyBelongsToRegex: bodyBelongsToRegex.toString(),
-  answerRegexComponent: answerRegexComponent.toString(),
-  placeHolderChar,
+};
+
+///
+// the spec of each version of the format, in specVersions, where spec is that of the latestVersion
+///
+function specFor( format ){
+  return {
+    version : format.version,
+    description: [
+      "This spec describes a crossword data format, based on YAML, intended to easy to read yet capable of encompassing all(ish) know aspects of standard crosswords.",
+      format.description,
+    ],
+    definitions : {
+      permittedKeys    : `Which key/value pairs are allowed, and the value's type`,
+      requiredKeys     : 'Which of the permittedKeys must be present',
+      optionalKeys     : 'Which of the permittedKeys may be left out, e.g. the setter\'s preamble, or the source URL',
+      extensionKeys    : `Custom keys, namespaced with 'x-' (e.g. x-ft-section), each with a string or a list (its type) as its value, which are not checked, but are kept in parsing.extensions and written back out by stringify`,
+      answerSeparators : `How the different words in the answer are combined, where ',' means space-separated, '|' means contiguous, '-' means hyphenated`,
+      answerPunctuation : `Punctuation within an answer which takes no cell, but is kept in its enumeration, e.g. the apostrophe of (O'CLOCK), or of a placeholder (1'5)`,
+      letterRegexComponent : `A letter within an answer: an upper case letter (or a letter with no case) in any alphabet, with any accents, e.g. (CAFÉ) or (ΑΛΦΑ)`,
+      rebusRegexComponent : `A rebus cell within an answer, i.e. several characters (or a digit or symbol) in one cell, in brackets, e.g. the [TAR] of (S[TAR]T), whose answer is 3 cells long`,
+      clueRegex        : 'The pattern used to parse each clue',
+      clueItemRegex    : 'The pattern of each clue as a list item, i.e. without the list indicator',
+      sizeRegex        : 'The pattern used to parse the size attribute (across integer x down integer)',
+      barRegex         : `The pattern of each item of the bars list, a cell's coords and which of its sides (right, bottom) has a bar, i.e. a word boundary, as in a barred grid`,
+      idsRegex         : 'The pattern used to parse the ids of a clue',
+      scanning         : `How the text is read: 'lines', where each value is the rest of its line, taken literally, or 'yaml', a subset of YAML (comments, quoting, multi-line values)`,
+      ruleProfiles     : `Named sets of levels ('error', 'warning', 'off') for the diagnosticCodes, where any code not listed is an 'error'`,
+    },
+    permittedKeys : format.permittedKeys,
+    requiredKeys  : format.requiredKeys,
+    optionalKeys  : format.optionalKeys,
+    extensionKeys : (!format.allowsExtensions)? null : {
+      regex : extensionKeyRegex.toString(),
+      types : extensionKeyTypes,
+    },
+    scanning : format.scanning,
+    answerSeparators,
+    clueRegex : clueRegex.toString(),
+    clueItemRegex : clueItemRegex.toString(),
+    sizeRegex : sizeRegex.toString(),
+    barRegex  : barRegex.toString(),
+    idsRegex  : idsRegex.toString(),
+    bodyBelongsToRegex: bodyBelongsToRegex.toString(),
+    answerRegexComponent: answerRegexComponent.toString(),
+    answerPunctuation,
+    letterRegexComponent,
+    rebusRegexComponent,
+    placeHolderChar,
+    diagnosticCodes,
+    ruleProfiles,
+  };
+}
+
+const specVersions = {};
+Object.keys(formatVersions).forEach( version => { specVersions[version] = specFor( formatVersions[version] ); });
+const spec = specVersions[latestVersion];
+
+///
+// Every problem found while parsing is recorded as a diagnostic,
+// { code, severity, message, line, column, clue, relatedClue }
+// - code: one of diagnosticCodes, stable so it can be relied upon (unlike the message)
+// - severity: 'error' or 'warning', according to the rules in force (see ruleProfiles)
+// - message: the human-readable description (also listed in parsing.errors or parsing.warnings, for backward compatibility)
+// - line, column: where the problem is in the source text (both 1-based), or null if it is not tied to one place
+// - clue, relatedClue: the { id, direction } of the clue(s) involved, or null
+///
+
+function diagnostic( code, message, location={} ){
+  return Object.assign({
+    code,
+    severity    : 'error',
+    message,
+    line        : null,
+    column      : null,
+    clue        : null,
+    relatedClue : null,
+  }, location );
+}
+
+///
+// combine the named profile (default 'standard') with any per-code overrides in rules,
+// giving the level of every diagnostic code.
+// Throws if asked for an unknown profile, code or level, since that is a mistake in the calling code.
+///
+
+function resolveRules( profile='standard', rules={} ){
+  if (!ruleProfiles.hasOwnProperty(profile)) {
+    throw new Error(`unknown rule profile, '${profile}', must be one of: ${Object.keys(ruleProfiles).join(', ')}`);
+  }
+  const levels = {};
+  Object.keys(diagnosticCodes).forEach( code => {
+    levels[code] = (ruleProfiles[profile].hasOwnProperty(code))? ruleProfiles[profile][code] : 'error';
+  });
+  Object.keys(rules).forEach( code => {
+    if (!diagnosticCodes.hasOwnProperty(code)) {
+      throw new Error(`unknown diagnostic code, '${code}', in rules`);
+    }
+    if (!ruleLevels.includes(rules[code])) {
+      throw new Error(`unknown level, '${rules[code]}', for rule ${code}, must be one of: ${ruleLevels.join(', ')}`);
+    }
+    levels[code] = rules[code];
+  });
+  levels.NO_GRID = 'error'; // a parsing without a grid is never valid, whatever the rules
+  return levels;
+}
+
+///
+// the location of (a component of) a clue in the source text,
+// where component is one of 'clue', 'coords', 'ids', 'body', 'answer'
+///
+
+function clueLocation( clue, component='clue' ){
+  const raw = clue.raw;
+  const clueText = raw.clueText;
+  const idsIndex = clueText.indexOf( raw.idsText, clueText.indexOf(')') );
+  const columns = {
+    clue   : 1,
+    coords : clueText.indexOf('(') + 1,
+    ids    : idsIndex + 1,
+    body   : clueText.indexOf( raw.bodyText, idsIndex + raw.idsText.length ) + 1,
+    answer : clueText.lastIndexOf( `(${raw.answerText})` ) + 1,
+  };
+  return {
+    line   : (raw.line === undefined)? null : raw.line,
+    column : (raw.line === undefined)? null : columns[component],
+    clue   : { id: clue.id, direction: clue.direction },
+  };
+}
+
+function clueRef( clue ){
+  return { id: clue.id, direction: clue.direction };
 }
 
 ///
-// simple scan of the text, split into lines by \n,
+// scan of the text, split into lines, for the subset of YAML used by the format (see lib/yaml.js),
+// or, for a format version which scans 'lines', taking each value as the rest of its line,
 // looking for known key/value pairs or key/lists,
-// no attempt made to parse the list items (other than to gather them into lists),
-// accumulating errors as we go,
-// checking that we have found *all* the keys we were looking for,
-// modifying a list of errors and returning the list of found key/values.
-// A non-empty list of errors means the scan has failed.
-///
-function scanYamlText( text, errors ){
-  const lines = text.split("\n");
+// and extension key/value pairs or key/lists (gathered into foundItems.extensions),
+// - where a value may be plain, quoted, or a block (| or >), and may continue over more indented lines,
+// - ignoring blank lines, # comments, and a leading --- document marker,
+// no attempt made to parse the list items (other than to gather them into lists, each clue as '- ' + its value),
+// accumulating diagnostics as we go,
+// checking that we have found all the requiredKeys,
+// modifying a list of diagnostics and returning the list of found key/values,
+// and noting the (1-based) source line of each key and list item in sourceLines.
+// A non-empty list of diagnostics means the scan has failed.
+// A plain value which a standard YAML parser would not read as text (e.g. true or 2020-01-01) is still taken as text,
+// but noted as a NON_STRING_VALUE diagnostic in nonStrings, which is only a problem if the rules say so.
+///
+function scanYamlText( text, diagnostics, sourceLines={ keys: {}, lists: {} }, format=formatVersions[latestVersion], nonStrings=[] ){
+  const isYaml = (format.scanning === 'yaml');
+  const lines = text.split(/\r?\n/);
   const foundItems = {};
-  let inList = false;
-  let currentList;
-  lines.forEach( (line, i) => {
-    const tidiedLine = line.replace( /\#.*/, '') // strip out comments
-                           .trimRight();
-    if (line === '') { return }
-    const matchedKeyValue = line.match(/^([a-z]+):(.*)$/);
-    if (matchedKeyValue) {
-      const key = matchedKeyValue[1];
-      const value = matchedKeyValue[2].trimLeft();
-      inList = false;
-      if (permittedKeys.hasOwnProperty(key)) {
-        if( foundItems.hasOwnProperty(key) ){
-          errors.push( `duplicate key, ${key}, found in line[${i}]='${line}'`);
-        } else if( permittedKeys[key] === 'list' ){
-          if (value !== '') {
-            errors.push(`unexpected text found after list key in line[${i}]='${line}'`);
-          } else {
-            inList = true;
-            currentList = [];
-            foundItems[key] = currentList;
-          }
+  const extensions = {};
+  let currentList = null; // while we are in a list, the list being added to
+  let currentListLines;
+  let currentListPrefix;  // '- ' for the clue lists, which keep their list indicators, '' for the bars and extension lists
+  let listIndent;         // the indentation of the '-' of each item in the current list
+
+  // the value starting with firstText on line i, continuing over any lines indented more than parentIndent,
+  // as { value } or { error }, plus next, the index of the line after it
+  function scanValue( firstText, i, parentIndent ){
+    if (!isYaml) {
+      return { value: firstText.trim(), next: i + 1 }; // taken literally
+    }
+    let next = i + 1;
+    while (next < lines.length && (lines[next].trim() === '' || yaml.indentOf(lines[next]) > parentIndent)) {
+      next++;
+    }
+    while (next > i + 1 && lines[next - 1].trim() === '') {
+      next--; // trailing blank lines are not part of the value
+    }
+    const continuationLines = lines.slice(i + 1, next);
+    const header = yaml.stripComment( firstText );
+    const scanned = (yaml.isBlockHeader( header ))
+      ? yaml.parseBlockScalar( header, continuationLines )
+      : yaml.parseFlowScalar( yaml.stripComment( yaml.foldFlowLines( [firstText].concat( continuationLines ) ) ) );
+    return Object.assign( scanned, { next } );
+  }
+
+  // note a plain value which a standard YAML parser would read as something other than text
+  function noteType( scanned, description, location ){
+    if (scanned.type !== undefined && scanned.type !== 'str') {
+      nonStrings.push( diagnostic( 'NON_STRING_VALUE', `the value, '${scanned.value}', ${description}, would be read as a ${scanned.type} (not text) by a standard YAML parser, so should be quoted`, location ) );
+    }
+  }
+
+  // whether the value of an extension key starting with valueText on line i is a list, i.e. [] or followed by list items
+  function isListValue( valueText, i ){
+    const listText = yaml.stripComment( valueText );
+    if (listText !== '') {
+      return listText === '[]';
+    }
+    const nextLine = lines.slice(i + 1).find( line => line.trim() !== '' && !line.trim().startsWith('#') );
+    return nextLine !== undefined && nextLine.match(/^ *-(\s|$)/) !== null;
+  }
+
+  let i = 0;
+  let isFirstContent = true;
+  while (i < lines.length) {
+    const line = lines[i];
+    const trimmedLine = line.trim();
+    const matchedKeyValue = line.match( (isYaml)? /^([a-z][a-z0-9-]*):(?=\s|$)\s*(.*)$/ : /^([a-z]+):\s*(.*)$/ );
+    const matchedListItem = line.match( (isYaml)? /^( *)-(?=\s|$)\s*(.*)$/ : /^()-\s+(.+)$/ );
+    const isIgnorable = (trimmedLine === '') || (isYaml && trimmedLine.startsWith('#'));
+    const wasFirstContent = isFirstContent;
+    if (!isIgnorable) {
+      isFirstContent = false;
+    }
+
+    if (isIgnorable) {
+      i++; // blank line or comment
+    } else if (isYaml && wasFirstContent && yaml.stripComment( line ) === '---') {
+      i++; // start of document marker
+    } else if (line.match(/^ *\t/)) {
+      diagnostics.push( diagnostic( 'INVALID_LINE', `tabs cannot be used for indentation, in line[${i}]='${line}'`, { line: i+1, column: 1 } ) );
+      i++;
+    } else if (matchedKeyValue) {
+      const [, key, valueText] = matchedKeyValue;
+      const valueColumn = line.length - valueText.length + 1;
+      const isExtension = format.allowsExtensions && extensionKeyRegex.test( key );
+      const values = (isExtension)? extensions : foundItems;
+      currentList = null;
+      if (!isExtension && !format.permittedKeys.hasOwnProperty(key)) {
+        diagnostics.push( diagnostic( 'UNRECOGNISED_KEY', `unrecognised key, '${key}', in line[${i}]='${line}'`, { line: i+1, column: 1 } ) );
+        i = scanValue( valueText, i, 0 ).next;
+      } else if( values.hasOwnProperty(key) ){
+        diagnostics.push( diagnostic( 'DUPLICATE_KEY', `duplicate key, ${key}, found in line[${i}]='${line}'`, { line: i+1, column: 1 } ) );
+        i = scanValue( valueText, i, 0 ).next;
+      } else if( (isExtension)? isListValue( valueText, i ) : ['list', 'string list'].includes( format.permittedKeys[key] ) ){
+        const listText = (isYaml)? yaml.stripComment( valueText ) : valueText.trim();
+        if (listText !== '' && !(isYaml && listText === '[]')) {
+          diagnostics.push( diagnostic( 'UNEXPECTED_LIST_VALUE', `unexpected text found after list key in line[${i}]='${line}'`, { line: i+1, column: valueColumn } ) );
         } else {
-          foundItems[key] = value;
+          values[key] = [];
+          currentListLines = [];
+          sourceLines.keys[key] = i+1;
+          sourceLines.lists[key] = currentListLines;
+          if (listText === '') { // otherwise, [] is an empty list
+            currentList = values[key];
+            currentListPrefix = (format.permittedKeys[key] === 'list')? '- ' : '';
+            listIndent = undefined;
+          }
         }
+        i++;
       } else {
-        errors.push(`unrecognised key, '${key}', in line[${i}]='${line}'`);
+        const scanned = scanValue( valueText, i, 0 );
+        if (scanned.error) {
+          diagnostics.push( diagnostic( 'INVALID_VALUE', `${scanned.error}, for key, ${key}, in line[${i}]='${line}'`, { line: i+1, column: valueColumn } ) );
+        } else {
+          values[key] = scanned.value;
+          sourceLines.keys[key] = i+1;
+          noteType( scanned, `for key, ${key}`, { line: i+1, column: valueColumn } );
+        }
+        i = scanned.next;
       }
-    } else if (inList){
-      const matchedListItem = line.match(/^(\- .+)$/);
-      if (matchedListItem) {
-        currentList.push( matchedListItem[1] );
+    } else if (currentList !== null && matchedListItem) {
+      const [, indent, valueText] = matchedListItem;
+      if (listIndent === undefined) {
+        listIndent = indent.length;
+      }
+      const scanned = scanValue( valueText, i, indent.length );
+      if (indent.length !== listIndent) {
+        diagnostics.push( diagnostic( 'INVALID_LIST_ITEM', `list item not indented like the previous items: line[${i}]='${line}'`, { line: i+1, column: 1 } ) );
+      } else if (scanned.error) {
+        diagnostics.push( diagnostic( 'INVALID_VALUE', `${scanned.error}, in list item line[${i}]='${line}'`, { line: i+1, column: line.length - valueText.length + 1 } ) );
+      } else if (scanned.value === '') {
+        diagnostics.push( diagnostic( 'INVALID_LIST_ITEM', `empty list item: line[${i}]='${line}'`, { line: i+1, column: 1 } ) );
       } else {
-        errors.push(`could not parse as list item: line[${i}]='${line}'`);
+        currentList.push( `${currentListPrefix}${scanned.value}` );
+        currentListLines.push( i+1 );
+        noteType( scanned, `in list item line[${i}]`, { line: i+1, column: line.length - valueText.length + 1 } );
       }
+      i = scanned.next;
+    } else if (currentList !== null){
+      diagnostics.push( diagnostic( 'INVALID_LIST_ITEM', `could not parse as list item: line[${i}]='${line}'`, { line: i+1, column: 1 } ) );
+      i++;
     } else {
-      errors.push(`no key specified and cannot be a list item, in line[${i}]='${line}'`);
+      diagnostics.push( diagnostic( 'INVALID_LINE', `no key specified and cannot be a list item, in line[${i}]='${line}'`, { line: i+1, column: 1 } ) );
+      i++;
     }
-  })
+  }
 
-  const missingKeys = Object.keys(permittedKeys).filter( key => !foundItems.hasOwnProperty(key) );
+  const missingKeys = format.requiredKeys.filter( key => !foundItems.hasOwnProperty(key) );
   if (missingKeys.length > 0) {
-    errors.push( `missing keys: ${missingKeys.join(', ')}`);
+    diagnostics.push( diagnostic( 'MISSING_KEYS', `missing keys: ${missingKeys.join(', ')}` ) );
   }
 
+  foundItems.extensions = extensions;
   return foundItems;
 }
 
@@ -135,32 +509,42 @@ function scanYamlText( text, errors ){
 // - check the clue ids are contiguous
 ///
 
-function parseAcrossAndDownLines( acrossList, downList, errors ){
+function parseAcrossAndDownLines( acrossList, downList, diagnostics, sourceLines={ keys: {}, lists: {} } ){
   const clues = {}; // [id] = { across: {}, down: {}}. Every clue possibly has an across and a down.
 
   // loop over the across list and the down list
   [ ['across', acrossList], ['down', downList] ].forEach( directionPair => {
     const [direction, clueTexts] = directionPair;
+    const clueLines = sourceLines.lists[direction] || [];
     // loop over the clues for this direction
     let prevIdInt = 0;
     clueTexts.forEach( (clueText, c) => {
       const matchedClue = clueText.match( clueRegex );
       if (!matchedClue) {
-        errors.push(`could not parse ${direction} clue[${c}], in line='${clueText}'`);
+        diagnostics.push( diagnostic( 'INVALID_CLUE', `could not parse ${direction} clue[${c}], in line='${clueText}'`, { line: (clueLines[c] === undefined)? null : clueLines[c], column: 1 } ) );
       } else {
         const [,acrossText,downText,idsText,bodyText,answerText] = matchedClue;
         const id = idsText.split(/\D+/)[0];
         const idInt = parseInt(id,10);
+        const raw = { // place the raw values here for later parsing/checking
+          idsText,
+          bodyText,
+          answerText,
+          clueText,
+          clueTextSequenceId : c,
+          line : clueLines[c],
+        }
+        const location = clueLocation( { id, direction, raw }, 'ids' );
         if (prevIdInt > idInt) {
-          errors.push(`clue[${id}][${direction}] out of id order, in line='${clueText}'`);
+          diagnostics.push( diagnostic( 'CLUE_ID_ORDER', `clue[${id}][${direction}] out of id order, in line='${clueText}'`, location ) );
         }
         prevIdInt = idInt;
 
         if (!clues.hasOwnProperty(id)) {
           clues[id] = {}; // NB, the id is converted to a string when used as an object key.
         }
-        if( clues.hasOwnProperty(direction) ){
-          errors.push(`duplicate ${direction} for clue[${c}], in line='${clueText}'`);
+        if( clues[id].hasOwnProperty(direction) ){
+          diagnostics.push( diagnostic( 'DUPLICATE_CLUE', `duplicate ${direction} for clue[${c}], in line='${clueText}'`, location ) );
         } else {
           const clue = { // ensure each clue knows its own id and direction
             id,
@@ -171,13 +555,8 @@ function parseAcrossAndDownLines( acrossList, downList, errors ){
             across: parseInt(acrossText, 10),
             down: parseInt(downText, 10),
           };
-          clue.raw = { // place the raw values here for later parsing/checking
-            idsText,
-            bodyText,
-            answerText,
-            clueText,
-            clueTextSequenceId : c
-          }
+          clue.body = bodyText;
+          clue.raw = raw;
         }
       }
     });
@@ -196,7 +575,7 @@ function parseAcrossAndDownLines( acrossList, downList, errors ){
 // given sizeText='12x12', parse it into dimensions
 ///
 
-function parseSize( sizeText, errors ){
+function parseSize( sizeText, diagnostics, sourceLines={ keys: {}, lists: {} } ){
   const sizeComponents = {
     dimensions: {}
   };
@@ -205,17 +584,55 @@ function parseSize( sizeText, errors ){
     sizeComponents.dimensions.across = parseInt(matchedSize[1],10);
     sizeComponents.dimensions.down   = parseInt(matchedSize[2],10);
   } else {
-    errors.push( `could not parse size from text='${sizeText}'`)
+    const line = (sourceLines.keys.size === undefined)? null : sourceLines.keys.size;
+    diagnostics.push( diagnostic( 'INVALID_SIZE', `could not parse size from text='${sizeText}'`, { line, column: (line === null)? null : 1 } ) );
   }
 
   return sizeComponents;
 }
 
+///
+// given the bars list, e.g. ['(3,1) right', '(4,2) right bottom'], parse each bar into the coords of its cell and its side,
+// where a bar on the right of a cell is the word boundary between it and the next cell across, and on the bottom, the next cell down.
+// A bar must be inside the grid, and not along its edge (which is already a boundary).
+///
+
+function parseBars( barTexts, dimensions, diagnostics, sourceLines={ keys: {}, lists: {} } ){
+  const barredEdges = [];
+  const barLines = sourceLines.lists.bars || [];
+  barTexts.forEach( (barText, b) => {
+    const location = { line: (barLines[b] === undefined)? null : barLines[b], column: 1 };
+    const matchedBar = barText.match( barRegex );
+    if (!matchedBar) {
+      diagnostics.push( diagnostic( 'INVALID_BAR', `could not parse bar[${b}], in line='${barText}', e.g. (3,1) right`, location ) );
+      return;
+    }
+    const [, acrossText, downText, ...sides] = matchedBar;
+    const coords = { across: parseInt(acrossText, 10), down: parseInt(downText, 10) };
+    if (coords.across < 1 || coords.down < 1 || coords.across > dimensions.across || coords.down > dimensions.down) {
+      diagnostics.push( diagnostic( 'BAR_OUT_OF_GRID', `bar[${b}] (${coords.across},${coords.down}) is outside of the grid`, location ) );
+      return;
+    }
+    sides.filter( side => side !== undefined ).forEach( side => {
+      const isAlongEdge = (side === 'right')? (coords.across === dimensions.across) : (coords.down === dimensions.down);
+      if (isAlongEdge) {
+        diagnostics.push( diagnostic( 'BAR_OUT_OF_GRID', `bar[${b}] (${coords.across},${coords.down}) ${side} is along the edge of the grid`, location ) );
+      } else {
+        barredEdges.push({ coords, side });
+      }
+    });
+  });
+
+  return {
+    barredEdges,
+  };
+}
+
 ///
 // loop over clues, parsing ids, checking they are valid
 ///
 
-function parseCluesIds( clues, errors ){
+function parseCluesIds( clues, diagnostics ){
 
   // check all clues for belongsTo
   Object.keys(clues).forEach( id => {
@@ -226,7 +643,7 @@ function parseCluesIds( clues, errors ){
       if (!matchBelongsTo) {
         clue.belongsTo = null;
       } else if(! clue.raw.idsText.match(/^\d+$/)) {
-        errors.push( `clue [${clue.id}][${clue.direction}] belongs to a clue, but does not have a simple idsText, ${clue.raw.idsText}`);
+        diagnostics.push( diagnostic( 'INVALID_BELONGS_TO_IDS', `clue [${clue.id}][${clue.direction}] belongs to a clue, but does not have a simple idsText, ${clue.raw.idsText}`, clueLocation( clue, 'ids' ) ) );
       } else {
         clue.belongsTo = {};
         clue.belongsTo.id = matchBelongsTo[1];
@@ -234,9 +651,9 @@ function parseCluesIds( clues, errors ){
 
         // check it belongs to a valid clue
         if (!clues.hasOwnProperty(clue.belongsTo.id)) {
-          errors.push( `clue [${clue.id}][${clue.direction}] belongs to an unknown id [${clue.belongsTo.id}]`);
+          diagnostics.push( diagnostic( 'BELONGS_TO_UNKNOWN_CLUE', `clue [${clue.id}][${clue.direction}] belongs to an unknown id [${clue.belongsTo.id}]`, clueLocation( clue, 'body' ) ) );
         } else if( !clues[clue.belongsTo.id].hasOwnProperty(clue.belongsTo.direction) ){
-          errors.push( `clue [${clue.id}][${clue.direction}] belongs to an id [${clue.belongsTo.id}] without direction=${clue.belongsTo.direction}`);
+          diagnostics.push( diagnostic( 'BELONGS_TO_UNKNOWN_CLUE', `clue [${clue.id}][${clue.direction}] belongs to an id [${clue.belongsTo.id}] without direction=${clue.belongsTo.direction}`, clueLocation( clue, 'body' ) ) );
         }
       }
     });
@@ -255,12 +672,12 @@ function parseCluesIds( clues, errors ){
         // if ownedDirection is specified, check is valid
         // otherwise infer it
         if (!clues.hasOwnProperty(ownedId)) {
-          errors.push( `clue [${clue.id}][${clue.direction}] owns an unknown id [${ownedId}], in clueText='${clue.raw.clueText}'`);
+          diagnostics.push( diagnostic( 'OWNS_UNKNOWN_CLUE', `clue [${clue.id}][${clue.direction}] owns an unknown id [${ownedId}], in clueText='${clue.raw.clueText}'`, clueLocation( clue, 'ids' ) ) );
         } else {
           if (ownedDirection !== undefined && !clues[ownedId].hasOwnProperty(ownedDirection)) {
-            errors.push( `clue [${clue.id}][${clue.direction}] owns an id [${ownedId}] with an unknown direction [${ownedDirection}], in clueText='${clue.raw.clueText}'`);
+            diagnostics.push( diagnostic( 'OWNS_UNKNOWN_CLUE', `clue [${clue.id}][${clue.direction}] owns an id [${ownedId}] with an unknown direction [${ownedDirection}], in clueText='${clue.raw.clueText}'`, clueLocation( clue, 'ids' ) ) );
           } else if (ownedDirection === undefined && Object.keys(clues[ownedId]).length === 2) {
-            errors.push( `clue [${clue.id}][${clue.direction}] owns an id [${ownedId}] with an ambiguous direction, in clueText='${clue.raw.clueText}'`);
+            diagnostics.push( diagnostic( 'OWNS_AMBIGUOUS_DIRECTION', `clue [${clue.id}][${clue.direction}] owns an id [${ownedId}] with an ambiguous direction, in clueText='${clue.raw.clueText}'`, clueLocation( clue, 'ids' ) ) );
           } else {
             const inferredDirection = (ownedDirection !== undefined)? ownedDirection : Object.keys(clues[ownedId])[0];
             clue.owns.push({
@@ -270,9 +687,9 @@ function parseCluesIds( clues, errors ){
 
             const ownedClue = clues[ownedId][inferredDirection];
             if (!ownedClue.belongsTo) {
-              errors.push(`clue [${clue.id}][${clue.direction}] owns a clue [${ownedId}][${inferredDirection}] which does not belongsTo anything`);
+              diagnostics.push( diagnostic( 'OWNED_CLUE_DOES_NOT_BELONG', `clue [${clue.id}][${clue.direction}] owns a clue [${ownedId}][${inferredDirection}] which does not belongsTo anything`, Object.assign( clueLocation( clue, 'ids' ), { relatedClue: clueRef(ownedClue) } ) ) );
             } else if( ownedClue.belongsTo.id !== clue.id || ownedClue.belongsTo.direction !== clue.direction ){
-              errors.push(`clue [${clue.id}][${clue.direction}] owns a clue [${ownedId}][${inferredDirection}] which belongsTo a different clue [${ownedClue.belongsTo.id}][${ownedClue.belongsTo.direction}]`);
+              diagnostics.push( diagnostic( 'OWNED_CLUE_DOES_NOT_BELONG', `clue [${clue.id}][${clue.direction}] owns a clue [${ownedId}][${inferredDirection}] which belongsTo a different clue [${ownedClue.belongsTo.id}][${ownedClue.belongsTo.direction}]`, Object.assign( clueLocation( clue, 'ids' ), { relatedClue: clueRef(ownedClue) } ) ) );
             }
           }
         }
@@ -284,6 +701,53 @@ function parseCluesIds( clues, errors ){
   }
 }
 
+///
+// split the answerText (without its brackets) into parts, each with its text, length and separatorToPrevPart,
+// where a number is a placeholder for that many unknown letters, and the length does not count any punctuation (e.g. O'CLOCK is 6),
+// returning null if the answerText cannot be parsed.
+///
+
+function parseAnswerParts( answerText ){
+  // pick off first part, then all remaining parts with separators
+  const matchedFirstPart = answerText.match( new RegExp(`^(${sourceRegexComponent})(.*)$`, 'u') );
+  if (!matchedFirstPart) {
+    return null;
+  }
+
+  const parts = [];
+  let sequence = 0;
+  const [,firstPart, remainingPart] = matchedFirstPart;
+  parts.push({
+    wordOrNumber : firstPart,
+    sequence : sequence++
+  })
+  const remainingPartsRegex = new RegExp(`([${escapedAnswerSeparators}])(${sourceRegexComponent})`, 'gu');
+  let matchReminingPart;
+  while (matchReminingPart = remainingPartsRegex.exec(remainingPart)) {
+    const [ , separator, wordOrNumber ] = matchReminingPart;
+    parts.push({
+      wordOrNumber,
+      separator,
+      sequence: sequence++,
+    });
+  }
+
+  // complete parsing of the parts, where the length is the number of cells (so a rebus cell, e.g. [TAR], counts as one)
+  parts.forEach( part => {
+    if (part.wordOrNumber.match(/\d/)) {
+      part.text = part.wordOrNumber.replace( /\d+/g, numChars => placeHolderChar.repeat( parseInt(numChars, 10) ) ); // keeping any punctuation
+      part.placeholder = true;
+    } else {
+      part.text = part.wordOrNumber;
+      part.placeholder = false;
+    }
+
+    part.length = model.answerCells( part.text ).length;
+  });
+
+  return parts;
+}
+
 ///
 // loop over clues, processing the answers,
 // to establish
@@ -292,7 +756,7 @@ function parseCluesIds( clues, errors ){
 // - parts[text, length, separatorToPrevPart]
 ///
 
-function parseCluesAnswers( clues, errors ){
+function parseCluesAnswers( clues, diagnostics ){
 
   // loop over all clues to calc answer parts, ignoring ownership for now
   Object.keys(clues).forEach( id => {
@@ -303,42 +767,11 @@ function parseCluesAnswers( clues, errors ){
         parts : [],
       };
       clue.answer = answer;
-      // pick off first part, then all remaining parts with separators
-      const matchedFirstPart = clue.raw.answerText.match(`^(${sourceRegexComponent})(.*)$`);
-      if (!matchedFirstPart) {
-        errors.push(`failed to parse first part of answer in clue [${clue.id}][${clue.direction}], answerText='${clue.raw.answerText}'`);
+      const parts = parseAnswerParts( clue.raw.answerText );
+      if (parts === null) {
+        diagnostics.push( diagnostic( 'INVALID_ANSWER', `failed to parse first part of answer in clue [${clue.id}][${clue.direction}], answerText='${clue.raw.answerText}'`, clueLocation( clue, 'answer' ) ) );
       } else {
-        let sequence = 0;
-        const [,firstPart, remainingPart] = matchedFirstPart;
-        answer.parts.push({
-          wordOrNumber : firstPart,
-          sequence : sequence++
-        })
-        const remainingPartsRegex = new RegExp(`([${escapedAnswerSeparators.join()}])(${sourceRegexComponent})`, 'g');
-        let matchReminingPart;
-        while (matchReminingPart = remainingPartsRegex.exec(remainingPart)) {
-          const [ , separator, wordOrNumber ] = matchReminingPart;
-          answer.parts.push({
-            wordOrNumber,
-            separator,
-            sequence: sequence++,
-          });
-        }
-
-        // complete parsing of the parts
-        answer.parts.forEach( part => {
-          if (part.wordOrNumber.match(/\d+/)) {
-            const numChars = parseInt(part.wordOrNumber, 10);
-            part.text = placeHolderChar.repeat(numChars);
-            part.placeholder = true;
-          } else {
-            part.text = part.wordOrNumber;
-            part.placeholder = false;
-          }
-
-          part.length = part.text.length;
-        });
-
+        answer.parts = parts;
         answer.length = answer.parts.reduce( (sum, part) => sum + part.length, 0); // add up the part lengths
       }
     });
@@ -351,7 +784,7 @@ function parseCluesAnswers( clues, errors ){
       const clue = clues[id][direction];
       if (clue.belongsTo) {
         if (clue.answer.parts.length > 1) {
-          errors.push(`clue [${clue.id}][${clue.direction}] belongsTo another clue, but has a multi-part answer, answerText='${clue.raw.answerText}'`);
+          diagnostics.push( diagnostic( 'BELONGS_TO_MULTI_PART_ANSWER', `clue [${clue.id}][${clue.direction}] belongsTo another clue, but has a multi-part answer, answerText='${clue.raw.answerText}'`, clueLocation( clue, 'answer' ) ) );
         }
       }
     });
@@ -370,6 +803,14 @@ function parseCluesAnswers( clues, errors ){
     Object.keys(clues[id]).forEach( direction => {
       const clue = clues[id][direction];
       if (clue.owns.length > 0) {
+        // skip the clue if its ownership or any of the answers involved are already known to be broken
+        const ownedClues = clue.owns.map( owned => clues[owned.id][owned.direction] );
+        const isResolvable = clue.answer.length !== undefined && ownedClues.every( ownedClue =>
+          ownedClue.answer.length !== undefined && ownedClue.belongsTo
+          && ownedClue.belongsTo.id === clue.id && ownedClue.belongsTo.direction === clue.direction
+        );
+        if (!isResolvable) { return; }
+
         clue.answer.lengthOwned = clue.answer.length;
         let remainingLength = clue.answer.length;
         const remainingParts = clue.answer.parts.slice();
@@ -385,6 +826,7 @@ function parseCluesAnswers( clues, errors ){
           let remainingOwnedClueLength = ownedClue.answer.length;
           while (remainingOwnedClueLength>0) {
             const latestPart = remainingParts.pop();
+            if (latestPart === undefined) { break; } // no parts left to give
             latestPart.clue = {
               id       : ownedClue.id,
               direction: ownedClue.direction
@@ -395,17 +837,17 @@ function parseCluesAnswers( clues, errors ){
           }
 
           if (remainingOwnedClueLength !== 0) {
-            errors.push(`clue [${clue.id}][${clue.direction}]'s answer.parts cannot encompass the answer of ownedClue [${ownedClue.id}][${ownedClue.direction}]`);
+            diagnostics.push( diagnostic( 'OWNED_ANSWERS_MISMATCH', `clue [${clue.id}][${clue.direction}]'s answer.parts cannot encompass the answer of ownedClue [${ownedClue.id}][${ownedClue.direction}]`, Object.assign( clueLocation( clue, 'answer' ), { relatedClue: clueRef(ownedClue) } ) ) );
             remainingLength = -1; // short-circuit the outer loop
           }
         });
 
         if (remainingLength === -1) {
-          errors.push(`clue [${clue.id}][${clue.direction}]'s answer.parts failed to encompass the answers of ownedClues`);
+          diagnostics.push( diagnostic( 'OWNED_ANSWERS_MISMATCH', `clue [${clue.id}][${clue.direction}]'s answer.parts failed to encompass the answers of ownedClues`, clueLocation( clue, 'answer' ) ) );
         } else if (remainingLength === 0) {
-          errors.push(`clue [${clue.id}][${clue.direction}]'s answer.parts have no length left after encompassing the answers of ownedClues`);
+          diagnostics.push( diagnostic( 'OWNED_ANSWERS_MISMATCH', `clue [${clue.id}][${clue.direction}]'s answer.parts have no length left after encompassing the answers of ownedClues`, clueLocation( clue, 'answer' ) ) );
         } else if (remainingParts.length === 0) {
-          errors.push(`clue [${clue.id}][${clue.direction}]'s has no answer.parts left after encompassing the answers of ownedClues`);
+          diagnostics.push( diagnostic( 'OWNED_ANSWERS_MISMATCH', `clue [${clue.id}][${clue.direction}]'s has no answer.parts left after encompassing the answers of ownedClues`, clueLocation( clue, 'answer' ) ) );
         } else {
           clue.answer.length = remainingLength; // must be the portion of the combined length held by this clue
         }
@@ -417,29 +859,62 @@ function parseCluesAnswers( clues, errors ){
   }
 }
 
+///
+// loop over all the clues, to spot answers which are legal but suspicious
+// - only placeholders (ignoring clues which belong to another, which only ever have a length)
+// - an empty part, or a mix of letters and placeholders
+///
+
+function checkAnswerEnumerations( clues, diagnostics ){
+
+  Object.keys(clues).forEach( id => {
+    Object.keys(clues[id]).forEach( direction => {
+      const clue = clues[id][direction];
+      const parts = clue.answer.parts;
+      if (parts.length === 0) { return; } // the answer could not be parsed, and was reported as such
+      const placeholderParts = parts.filter( part => part.placeholder );
+      if (!clue.belongsTo && placeholderParts.length === parts.length) {
+        diagnostics.push( diagnostic( 'PLACEHOLDER_ANSWER', `clue [${clue.id}][${clue.direction}] has only placeholders in its answer, answerText='${clue.raw.answerText}'`, clueLocation( clue, 'answer' ) ) );
+      }
+      if (parts.some( part => part.length === 0 )) {
+        diagnostics.push( diagnostic( 'UNUSUAL_ENUMERATION', `clue [${clue.id}][${clue.direction}] has an empty part in its answer, answerText='${clue.raw.answerText}'`, clueLocation( clue, 'answer' ) ) );
+      } else if (placeholderParts.length > 0 && placeholderParts.length < parts.length) {
+        diagnostics.push( diagnostic( 'UNUSUAL_ENUMERATION', `clue [${clue.id}][${clue.direction}] mixes letters and placeholders in its answer, answerText='${clue.raw.answerText}'`, clueLocation( clue, 'answer' ) ) );
+      }
+    });
+  });
+
+  return {
+  }
+}
+
 ///
 // loop over all the clues and ensure the answers fit within the grid
 // - and that they are in correct sequence of coords
 ///
 
-function checkAnswersFitInDimensions( clues, dimensions, errors ){
+function checkAnswersFitInDimensions( clues, dimensions, diagnostics ){
 
   Object.keys(clues).forEach( id => {
     Object.keys(clues[id]).forEach( direction => {
       const clue = clues[id][direction];
-      let acrossest = clue.coords.across + ((direction === 'across')? clue.answer.length : 0);
-      let downest   = clue.coords.down   + ((direction === 'down'  )? clue.answer.length : 0);
+      if (clue.answer.length === undefined) { return; } // the answer could not be parsed, and was reported as such
+      let acrossest = clue.coords.across + ((direction === 'across')? clue.answer.length - 1 : 0); // the last cell of the answer
+      let downest   = clue.coords.down   + ((direction === 'down'  )? clue.answer.length - 1 : 0);
+      if (clue.coords.across < 1 || clue.coords.down < 1) {
+        diagnostics.push( diagnostic( 'ANSWER_OUT_OF_GRID', `clue [${clue.id}][${clue.direction}] starts outside of the grid: clue.coords (${clue.coords.across},${clue.coords.down}) must be at least (1,1)`, clueLocation( clue, 'coords' ) ) );
+      }
       if (clue.coords.across > dimensions.across) {
-        errors.push(`clue [${clue.id}][${clue.direction}] starts outside of the grid: clue.coords.across (${clue.coords.across}) > dimensions.across (${dimensions.across})`);
+        diagnostics.push( diagnostic( 'ANSWER_OUT_OF_GRID', `clue [${clue.id}][${clue.direction}] starts outside of the grid: clue.coords.across (${clue.coords.across}) > dimensions.across (${dimensions.across})`, clueLocation( clue, 'coords' ) ) );
       }
       if (clue.coords.down > dimensions.down) {
-        errors.push(`clue [${clue.id}][${clue.direction}] starts outside of the grid: clue.coords.down (${clue.coords.down}) > dimensions.across (${dimensions.down})`);
+        diagnostics.push( diagnostic( 'ANSWER_OUT_OF_GRID', `clue [${clue.id}][${clue.direction}] starts outside of the grid: clue.coords.down (${clue.coords.down}) > dimensions.across (${dimensions.down})`, clueLocation( clue, 'coords' ) ) );
       }
       if (acrossest > dimensions.across) {
-        errors.push(`clue [${clue.id}][${clue.direction}] ends outside of the grid: acrossest (${acrossest}) > dimensions.across (${dimensions.across})`);
+        diagnostics.push( diagnostic( 'ANSWER_OUT_OF_GRID', `clue [${clue.id}][${clue.direction}] ends outside of the grid: acrossest (${acrossest}) > dimensions.across (${dimensions.across})`, clueLocation( clue, 'answer' ) ) );
       }
       if (downest > dimensions.down) {
-        errors.push(`clue [${clue.id}][${clue.direction}] starts outside of the grid: downest (${downest}) > dimensions.across (${dimensions.down})`);
+        diagnostics.push( diagnostic( 'ANSWER_OUT_OF_GRID', `clue [${clue.id}][${clue.direction}] starts outside of the grid: downest (${downest}) > dimensions.across (${dimensions.down})`, clueLocation( clue, 'answer' ) ) );
       }
     });
   });
@@ -454,7 +929,7 @@ function checkAnswersFitInDimensions( clues, dimensions, errors ){
 // - any across+down clues have the same crords
 // - the clue coords match the id sequence (across then down)
 ///
-function checkClueContiguity( clues, errors ){
+function checkClueContiguity( clues, diagnostics ){
   const cluesIds = Object.keys( clues );
   const cluesIdsInts = cluesIds.map( c => parseInt(c,10) );
   const orderedCluesIdsInts = cluesIdsInts.sort( (a,b) => a-b );
@@ -462,7 +937,7 @@ function checkClueContiguity( clues, errors ){
   // check for missing clue ids
   orderedCluesIdsInts.forEach( (idInt, i) => {
     if (idInt !== i+1) {
-      errors.push(`missing clue[${idInt}]`);
+      diagnostics.push( diagnostic( 'MISSING_CLUE_ID', `missing clue[${idInt}]` ) );
     }
   });
 
@@ -473,7 +948,7 @@ function checkClueContiguity( clues, errors ){
       const coords1 = clues[id].across.coords;
       const coords2 = clues[id].down.coords;
       if (coords1.across !== coords2.across || coords1.down !== coords2.down) {
-        errors.push(`clue[${id}] has different coords for it's across and down variants`);
+        diagnostics.push( diagnostic( 'CLUE_COORDS_MISMATCH', `clue[${id}] has different coords for it's across and down variants`, Object.assign( clueLocation( clues[id].down, 'coords' ), { relatedClue: clueRef(clues[id].across) } ) ) );
       }
     }
   });
@@ -488,7 +963,7 @@ function checkClueContiguity( clues, errors ){
     ) {
       // this is fine
     } else {
-      errors.push(`clue[${id}]'s coords are out of sequence with previous clue: must be across then down'`);
+      diagnostics.push( diagnostic( 'CLUE_COORDS_ORDER', `clue[${id}]'s coords are out of sequence with previous clue: must be across then down'`, clueLocation( clues[id][directions[0]], 'coords' ) ) );
     }
     prevCoords = coords;
   });
@@ -498,59 +973,1495 @@ function checkClueContiguity( clues, errors ){
 }
 
 ///
-// embellishes the parsing obj as the parsing procedes,
-// returns when there is a fatal error with the parsing
+// work out which letter (or null, if not known) goes in each cell of the clue's answer,
+// where an owned clue takes its letters from the parts of the owning clue which were assigned to it,
+// and an owning clue keeps the parts which were not assigned to any owned clue.
 ///
-function innerParse( parsing ){
-  if (parsing.text === '') {
-    parsing.errors.push( 'No text specified');
-    return
+
+function partsLetters( parts ){
+  return parts.reduce( (letters, part) => {
+    const partLetters = (part.placeholder)? new Array(part.length).fill(null) : model.answerCells( part.text );
+    return letters.concat( partLetters );
+  }, []);
+}
+
+function clueLetters( clue, clues ){
+  const ownParts = clue.answer.parts.filter( part => !part.clue );
+  const letters = partsLetters( (clue.owns.length > 0)? ownParts : clue.answer.parts );
+
+  if (clue.belongsTo) {
+    const owningClue = clues[clue.belongsTo.id][clue.belongsTo.direction];
+    const assignedParts = owningClue.answer.parts.filter( part => part.clue && part.clue.id === clue.id && part.clue.direction === clue.direction );
+    const assignedLetters = partsLetters( assignedParts );
+    assignedLetters.forEach( (letter, i) => {
+      if (letter !== null && (letters[i] === null || letters[i] === undefined)) {
+        letters[i] = letter;
+      }
+    });
+  }
+
+  return letters.slice(0, clue.answer.length);
+}
+
+///
+// calculate how each cell in the grid, and in the answers, connects to 0,1,2 clues,
+// creating the main data structure for constructing the web display view.
+// The grid is a list of rows (down), each a list of cells (across), so grid[down-1][across-1], where each cell is
+// { coords, isLight, isBlocked, id, across, down, letter, bars }
+// - id: the clue id starting in this cell, or null
+// - across/down: { id, index } of the clue passing through this cell in that direction (index is the position in its answer), or null
+// - letter: the letter in this cell (or the characters of a rebus cell, e.g. 'TAR'), or null if not known (e.g. placeholder answers)
+// - bars: { top, right, bottom, left }, whether there is a bar (see parseBars) on each side of the cell,
+//   so each bar appears on both of the cells it separates
+// A cell not covered by any answer is blocked.
+///
+
+function calcCellConnectivity( clues, dimensions, barredEdges=[] ){
+  const grid = [];
+  for (let down = 1; down <= dimensions.down; down++) {
+    const row = [];
+    for (let across = 1; across <= dimensions.across; across++) {
+      row.push({
+        coords : { across, down },
+        isLight : false,
+        isBlocked : true,
+        id : null,
+        across : null,
+        down : null,
+        letter : null,
+        bars : { top: false, right: false, bottom: false, left: false },
+      });
+    }
+    grid.push( row );
   }
 
-  // lots more parsing goes on in here
-  const foundItems = scanYamlText( parsing.text, parsing.errors );
-  Object.assign( parsing, foundItems );
-  if (parsing.errors.length !== 0) { return parsing; }
+  barredEdges.forEach( ({ coords, side }) => {
+    const cell = grid[coords.down - 1][coords.across - 1];
+    if (side === 'right') {
+      cell.bars.right = true;
+      grid[coords.down - 1][coords.across].bars.left = true;
+    } else {
+      cell.bars.bottom = true;
+      grid[coords.down][coords.across - 1].bars.top = true;
+    }
+  });
 
-  const foundClues = parseAcrossAndDownLines( parsing.across, parsing.down, parsing.errors );
-  Object.assign( parsing, foundClues );
-  if (parsing.errors.length !== 0) { return parsing; }
+  Object.keys(clues).forEach( id => {
+    Object.keys(clues[id]).forEach( direction => {
+      const clue = clues[id][direction];
+      const letters = clueLetters( clue, clues );
+      grid[clue.coords.down - 1][clue.coords.across - 1].id = clue.id;
 
-  const parsedSize = parseSize( parsing.size, parsing.errors );
-  Object.assign( parsing, parsedSize );
-  if (parsing.errors.length !== 0) { return parsing; }
+      for (let index = 0; index < clue.answer.length; index++) {
+        const across = clue.coords.across + ((direction === 'across')? index : 0);
+        const down   = clue.coords.down   + ((direction === 'down'  )? index : 0);
+        const cell = grid[down - 1][across - 1];
+        cell.isLight = true;
+        cell.isBlocked = false;
+        if (cell[direction] === null) {
+          cell[direction] = { id: clue.id, index };
+        }
+        if (cell.letter === null && letters[index] !== null) {
+          cell.letter = letters[index];
+        }
+      }
+    });
+  });
 
-  parseCluesIds( parsing.clues, parsing.errors );
-  if (parsing.errors.length !== 0) { return parsing; }
+  return {
+    grid
+  };
+}
 
-  parseCluesAnswers( parsing.clues, parsing.errors ); // - to get length for each clue's answers, and separators overal, and for each clue
-  if (parsing.errors.length !== 0) { return parsing; }
+///
+// loop over all the clues, visiting each cell of each answer, to check
+// - no two clues in the same direction overlap (e.g. two across answers sharing a cell on one row)
+// - where an across and a down answer cross, they agree on the letter (ignoring unknown letters, e.g. placeholders)
+///
 
-  checkAnswersFitInDimensions( parsing.clues, parsing.dimensions, parsing.errors );
-  if (parsing.errors.length !== 0) { return parsing; }
+function checkCellConsistency( clues, grid, diagnostics ){
+  const occupants = grid.map( row => row.map( cell => [] ) ); // [down-1][across-1] = [{ clue, letter }]
 
-  checkClueContiguity( parsing.clues, parsing.errors );
-  if (parsing.errors.length !== 0) { return parsing; }
+  Object.keys(clues).forEach( id => {
+    Object.keys(clues[id]).forEach( direction => {
+      const clue = clues[id][direction];
+      const letters = clueLetters( clue, clues );
+      for (let index = 0; index < clue.answer.length; index++) {
+        const across = clue.coords.across + ((direction === 'across')? index : 0);
+        const down   = clue.coords.down   + ((direction === 'down'  )? index : 0);
+        occupants[down - 1][across - 1].push({ clue, letter: letters[index] });
+      }
+    });
+  });
 
-  // calcCellConnectivity
-  // - calculate the how each cell in the grid, and in the answers connects to 0,1,2 clues,
-  //   creating the main data structure for constructing the web display view
+  occupants.forEach( (row, down) => {
+    row.forEach( (cellOccupants, across) => {
+      const cellText = `(${across + 1},${down + 1})`;
+      cellOccupants.forEach( (occupant, o) => {
+        cellOccupants.slice(o + 1).forEach( other => {
+          const [a, b] = [occupant.clue, other.clue];
+          if (a.direction === b.direction) {
+            diagnostics.push( diagnostic( 'OVERLAPPING_ANSWERS', `cell ${cellText} is in two ${a.direction} clues: clue [${a.id}][${a.direction}] overlaps clue [${b.id}][${b.direction}]`, Object.assign( clueLocation( b, 'coords' ), { relatedClue: clueRef(a) } ) ) );
+          } else if (occupant.letter !== null && other.letter !== null && occupant.letter !== other.letter) {
+            diagnostics.push( diagnostic( 'CONFLICTING_LETTERS', `cell ${cellText} has conflicting letters: '${occupant.letter}' in clue [${a.id}][${a.direction}] but '${other.letter}' in clue [${b.id}][${b.direction}]`, Object.assign( clueLocation( b, 'answer' ), { relatedClue: clueRef(a) } ) ) );
+          }
+        });
+      });
+    });
+  });
 
-  return parsing;
+  return {
+  }
 }
 
 ///
-// wrapper to set up the main parsing
+// check the answers against the bars of the grid:
+// - no bar lies between two cells of an answer,
+// - in a barred grid (i.e. one whose document has a bars list), each answer starts and ends at a word boundary,
+//   i.e. the edge of the grid, a blocked cell or a bar, rather than running on from or into a light cell.
 ///
-function parse( text='' ){
-  const parsing = {
-    errors : [],
-    text,
-    spec
+
+function checkAnswerBars( clues, grid, isBarred, diagnostics ){
+  const sides = { // [direction] = the sides of a cell facing backwards and forwards along an answer
+    across : { before: 'left', after: 'right' },
+    down   : { before: 'top',  after: 'bottom' },
+  };
+  const isLight = (across, down) => down >= 1 && down <= grid.length && across >= 1 && across <= grid[0].length && grid[down - 1][across - 1].isLight;
+
+  Object.keys(clues).forEach( id => {
+    Object.keys(clues[id]).forEach( direction => {
+      const clue = clues[id][direction];
+      const cells = [];
+      for (let index = 0; index < clue.answer.length; index++) {
+        const across = clue.coords.across + ((direction === 'across')? index : 0);
+        const down   = clue.coords.down   + ((direction === 'down'  )? index : 0);
+        cells.push( grid[down - 1][across - 1] );
+      }
+      const {before, after} = sides[direction];
+      const barIndex = cells.slice(0, -1).findIndex( cell => cell.bars[after] );
+      if (barIndex !== -1) {
+        diagnostics.push( diagnostic( 'ANSWER_CROSSES_BAR', `clue [${clue.id}][${clue.direction}] crosses a bar, after position ${barIndex} of its answer, at cell (${cells[barIndex].coords.across},${cells[barIndex].coords.down})`, clueLocation( clue, 'answer' ) ) );
+      }
+      if (!isBarred || cells.length === 0) {
+        return;
+      }
+      const [first, last] = [cells[0], cells[cells.length - 1]];
+      const step = (direction === 'across')? { across: 1, down: 0 } : { across: 0, down: 1 };
+      if (isLight( first.coords.across - step.across, first.coords.down - step.down ) && !first.bars[before]) {
+        diagnostics.push( diagnostic( 'UNBARRED_ANSWER_END', `clue [${clue.id}][${clue.direction}] starts next to a light cell, with no bar ${before} of cell (${first.coords.across},${first.coords.down})`, clueLocation( clue, 'coords' ) ) );
+      }
+      if (isLight( last.coords.across + step.across, last.coords.down + step.down ) && !last.bars[after]) {
+        diagnostics.push( diagnostic( 'UNBARRED_ANSWER_END', `clue [${clue.id}][${clue.direction}] ends next to a light cell, with no bar ${after} of cell (${last.coords.across},${last.coords.down})`, clueLocation( clue, 'answer' ) ) );
+      }
+    });
+  });
+
+  return {
+  }
+}
+
+///
+// check the symmetry of the pattern of light and blocked cells, i.e. whether each cell is light if and only if its counterpart is,
+// - rotational: the counterpart is the cell opposite, when rotated by 180 degrees, reporting ASYMMETRIC_GRID if not
+// - leftRight and topBottom: the counterpart is the cell reflected across the middle column or row,
+//   reporting MIRROR_ASYMMETRIC_GRID if neither,
+// giving the first cell which is not symmetric, and how many there are.
+// Returns { symmetry: { rotational, leftRight, topBottom } }.
+///
+
+function checkGridSymmetry( grid, diagnostics ){
+  const counterparts = {
+    rotational : cell => grid[grid.length - cell.coords.down][grid[0].length - cell.coords.across],
+    leftRight  : cell => grid[cell.coords.down - 1][grid[0].length - cell.coords.across],
+    topBottom  : cell => grid[grid.length - cell.coords.down][cell.coords.across - 1],
+  };
+  const asymmetricCells = {}; // [kind] = [{ cell, counterpart }], where cell is light but its counterpart is not
+  Object.keys(counterparts).forEach( kind => {
+    asymmetricCells[kind] = [];
+    grid.forEach( row => {
+      row.forEach( cell => {
+        const counterpart = counterparts[kind]( cell );
+        if (cell.isLight && !counterpart.isLight) {
+          asymmetricCells[kind].push( { cell, counterpart } );
+        }
+      });
+    });
+  });
+  const cellText = cell => `(${cell.coords.across},${cell.coords.down})`;
+  const firstText = (kind, counterpartName) => {
+    const {cell, counterpart} = asymmetricCells[kind][0];
+    return `cell ${cellText(cell)} is light but ${counterpartName}${cellText(counterpart)} is blocked, and ${asymmetricCells[kind].length - 1} more light cells like it`;
+  };
+
+  if (asymmetricCells.rotational.length > 0) {
+    diagnostics.push( diagnostic( 'ASYMMETRIC_GRID', `grid is not rotationally symmetric: ${firstText( 'rotational', '' )}` ) );
+  }
+  if (asymmetricCells.leftRight.length > 0 && asymmetricCells.topBottom.length > 0) {
+    diagnostics.push( diagnostic( 'MIRROR_ASYMMETRIC_GRID', `grid has no mirror symmetry: left-right, ${firstText( 'leftRight', 'its mirror ' )}; top-bottom, ${firstText( 'topBottom', 'its mirror ' )}` ) );
+  }
+
+  return {
+    symmetry : {
+      rotational : asymmetricCells.rotational.length === 0,
+      leftRight  : asymmetricCells.leftRight.length === 0,
+      topBottom  : asymmetricCells.topBottom.length === 0,
+    },
+  }
+}
+
+///
+// check the answer in each clue's own cells against the usual conventions of UK cryptic grids, where a cell is checked
+// if it is crossed by answers in both directions:
+// - no more than half of an answer's cells are unchecked (rounding up, for the alternate checking of an odd length),
+// - no two unchecked cells are next to each other,
+// - no answer is only two cells long.
+///
+
+function checkAnswerChecking( clues, grid, diagnostics ){
+  Object.keys(clues).forEach( id => {
+    Object.keys(clues[id]).forEach( direction => {
+      const clue = clues[id][direction];
+      const length = clue.answer.length;
+      const isChecked = [];
+      for (let index = 0; index < length; index++) {
+        const across = clue.coords.across + ((direction === 'across')? index : 0);
+        const down   = clue.coords.down   + ((direction === 'down'  )? index : 0);
+        const cell = grid[down - 1][across - 1];
+        isChecked.push( cell.across !== null && cell.down !== null );
+      }
+      const uncheckedCount = isChecked.filter( checked => !checked ).length;
+      if (uncheckedCount > Math.ceil( length / 2 )) {
+        diagnostics.push( diagnostic( 'UNDERCHECKED_ANSWER', `clue [${clue.id}][${clue.direction}] has ${uncheckedCount} unchecked cells out of ${length}, more than half`, clueLocation( clue, 'coords' ) ) );
+      }
+      const consecutiveIndex = isChecked.findIndex( (checked, index) => !checked && index > 0 && !isChecked[index - 1] );
+      if (consecutiveIndex !== -1) {
+        diagnostics.push( diagnostic( 'CONSECUTIVE_UNCHECKED_CELLS', `clue [${clue.id}][${clue.direction}] has consecutive unchecked cells, at positions ${consecutiveIndex} and ${consecutiveIndex + 1} of its answer`, clueLocation( clue, 'coords' ) ) );
+      }
+      if (length === 2) {
+        diagnostics.push( diagnostic( 'TWO_LETTER_LIGHT', `clue [${clue.id}][${clue.direction}] is a two-letter light`, clueLocation( clue, 'coords' ) ) );
+      }
+    });
+  });
+
+  return {
+  }
+}
+
+///
+// find the regions of the grid, i.e. the groups of light cells connected to each other across or down,
+// reporting each region (after the first, in reading order) as isolated from the rest of the grid.
+// Returns { regions }, the number of regions.
+///
+
+function checkGridRegions( clues, grid, diagnostics ){
+  const regionOf = grid.map( row => row.map( cell => null ) ); // [down-1][across-1] = index of the region, for a light cell
+  const regions = []; // [{ first: cell, size }]
+  const isLight = (across, down) => down >= 1 && down <= grid.length && across >= 1 && across <= grid[0].length && grid[down - 1][across - 1].isLight;
+
+  grid.forEach( row => {
+    row.forEach( cell => {
+      if (!cell.isLight || regionOf[cell.coords.down - 1][cell.coords.across - 1] !== null) {
+        return;
+      }
+      const region = { first: cell, size: 0 };
+      const toVisit = [cell.coords];
+      regionOf[cell.coords.down - 1][cell.coords.across - 1] = regions.length;
+      while (toVisit.length > 0) {
+        const {across, down} = toVisit.pop();
+        region.size++;
+        [[across - 1, down], [across + 1, down], [across, down - 1], [across, down + 1]].forEach( ([a, d]) => {
+          if (isLight(a, d) && regionOf[d - 1][a - 1] === null) {
+            regionOf[d - 1][a - 1] = regions.length;
+            toVisit.push( { across: a, down: d } );
+          }
+        });
+      }
+      regions.push( region );
+    });
+  });
+
+  regions.slice(1).forEach( region => {
+    const cell = region.first;
+    const direction = (cell.across !== null)? 'across' : 'down';
+    const clue = clues[cell[direction].id][direction];
+    diagnostics.push( diagnostic( 'ISOLATED_REGION', `the ${region.size} light cells connected to cell (${cell.coords.across},${cell.coords.down}), in clue [${clue.id}][${clue.direction}], are isolated from the rest of the grid`, clueLocation( clue, 'coords' ) ) );
+  });
+
+  return {
+    regions : regions.length,
+  }
+}
+
+///
+// embellishes the parsing obj as the parsing procedes,
+// running each stage in turn and recording in parsing.stages which ran and which were skipped (and why).
+// Each diagnostic a stage finds is given the severity from the rules (see resolveRules), or dropped if 'off'.
+// By default, stops (skipping the remaining stages) as soon as a stage reports an error.
+// With options.collectAll, carries on, skipping a stage only when its inputs are unavailable,
+// so that as many problems as possible are reported in one go.
+///
+function innerParse( parsing, options={} ){
+  const stages = parsing.stages;
+  const levels = resolveRules( options.profile, options.rules );
+  const cleanStages = {}; // whether a stage found no problems at all, whatever their level
+  const hasErrors = () => parsing.diagnostics.some( d => d.severity === 'error' );
+  function applyRules( found ){
+    found.forEach( d => {
+      if (levels[d.code] !== 'off') {
+        d.severity = levels[d.code];
+        parsing.diagnostics.push( d );
+      }
+    });
+  }
+  function runStage( name, unavailableReason, fn ){
+    if (!options.collectAll && hasErrors()) {
+      stages.skipped.push({ stage: name, reason: 'an earlier stage reported errors' });
+    } else if (unavailableReason) {
+      stages.skipped.push({ stage: name, reason: unavailableReason });
+    } else {
+      const diagnosticsCountBefore = parsing.diagnostics.length;
+      fn();
+      const found = parsing.diagnostics.splice( diagnosticsCountBefore );
+      stages.ran.push( name );
+      cleanStages[name] = (found.length === 0);
+      applyRules( found );
+    }
+  }
+  const ran = name => stages.ran.includes( name );
+
+  if (parsing.text === '') {
+    applyRules( [diagnostic( 'NO_TEXT', 'No text specified' )] );
+  }
+
+  // read the text with the rules of the version it declares
+  const version = declaredVersion( parsing.text );
+  const format = formatFor( version );
+  parsing.spec = specVersions[format.version];
+  if (version !== null && !formatVersions.hasOwnProperty(version)) {
+    const line = parsing.text.split(/\r?\n/).findIndex( textLine => textLine.startsWith('version:') ) + 1;
+    applyRules( [diagnostic( 'UNKNOWN_VERSION', `unknown version, '${version}', must be one of: ${Object.keys(formatVersions).join(', ')}`, { line, column: 1 } )] );
+  }
+
+  runStage( 'yaml', (parsing.text === '')? 'no text' : null, () => {
+    const foundItems = scanYamlText( parsing.text, parsing.diagnostics, parsing.sourceLines, format, parsing.diagnostics );
+    Object.assign( parsing, foundItems );
+  });
+
+  runStage( 'clueLines', (parsing.across === undefined || parsing.down === undefined)? 'no across or down list' : null, () => {
+    const foundClues = parseAcrossAndDownLines( parsing.across, parsing.down, parsing.diagnostics, parsing.sourceLines );
+    Object.assign( parsing, foundClues );
+  });
+
+  runStage( 'size', (parsing.size === undefined)? 'no size' : null, () => {
+    const parsedSize = parseSize( parsing.size, parsing.diagnostics, parsing.sourceLines );
+    Object.assign( parsing, parsedSize );
+  });
+
+  const hasDimensions = (parsing.dimensions !== undefined && parsing.dimensions.across !== undefined);
+  runStage( 'bars', (!hasDimensions)? 'no valid size' : null, () => {
+    const parsedBars = parseBars( parsing.bars || [], parsing.dimensions, parsing.diagnostics, parsing.sourceLines );
+    Object.assign( parsing, parsedBars );
+  });
+
+  runStage( 'ids', (!ran('clueLines'))? 'no clues' : null, () => {
+    parseCluesIds( parsing.clues, parsing.diagnostics );
+  });
+
+  runStage( 'answers', (!ran('ids'))? 'clue ids not parsed' : null, () => {
+    parseCluesAnswers( parsing.clues, parsing.diagnostics ); // - to get length for each clue's answers, and separators overal, and for each clue
+  });
+
+  runStage( 'enumerations', (!ran('answers'))? 'clue answers not parsed' : null, () => {
+    checkAnswerEnumerations( parsing.clues, parsing.diagnostics );
+  });
+
+  runStage( 'fit', (!hasDimensions)? 'no valid size' : (!ran('answers'))? 'clue answers not parsed' : null, () => {
+    checkAnswersFitInDimensions( parsing.clues, parsing.dimensions, parsing.diagnostics );
+  });
+
+  runStage( 'contiguity', (!ran('clueLines'))? 'no clues' : null, () => {
+    checkClueContiguity( parsing.clues, parsing.diagnostics );
+  });
+
+  // the grid needs every answer to be fully resolved and to lie within it
+  const gridReady = ['ids', 'answers', 'fit'].every( name => ran(name) && cleanStages[name] );
+  runStage( 'grid', (!gridReady)? 'not every answer could be placed in the grid' : null, () => {
+    const connectivity = calcCellConnectivity( parsing.clues, parsing.dimensions, parsing.barredEdges );
+    Object.assign( parsing, connectivity );
+
+    checkCellConsistency( parsing.clues, parsing.grid, parsing.diagnostics );
+    checkAnswerBars( parsing.clues, parsing.grid, parsing.bars !== undefined, parsing.diagnostics );
+  });
+  if (!ran('grid') && !hasErrors()) { // i.e. only warnings (or problems turned off) stopped the grid being built
+    applyRules( [diagnostic( 'NO_GRID', `the grid could not be built: ${stages.skipped.find( skipped => skipped.stage === 'grid' ).reason}` )] );
+  }
+
+  // the house-style checks of the pattern of the grid, whose results are also gathered in parsing.analysis
+  runStage( 'analysis', (!ran('grid'))? 'no grid' : null, () => {
+    const symmetry = checkGridSymmetry( parsing.grid, parsing.diagnostics );
+    checkAnswerChecking( parsing.clues, parsing.grid, parsing.diagnostics );
+    const regions = checkGridRegions( parsing.clues, parsing.grid, parsing.diagnostics );
+    parsing.analysis = Object.assign( {}, symmetry, regions );
+  });
+
+  return parsing;
+}
+
+///
+// wrapper to set up the main parsing,
+// where parsing.diagnostics lists every problem found (see diagnostic),
+// parsing.errors lists just the messages of the errors (as it always has), and parsing.warnings those of the warnings.
+// options
+// - collectAll: keep going after a stage reports errors (see innerParse),
+//   with parsing.stages listing the stages which ran, and those skipped (with a reason).
+// - profile: the name of one of ruleProfiles (default 'standard'), setting the level of each diagnostic code
+// - rules: { code: 'error'|'warning'|'off' } to override the profile for specific codes
+///
+function parse( text='', options={} ){
+  const parsing = {
+    errors : [],
+    warnings : [],
+    diagnostics : [],
+    sourceLines : { keys: {}, lists: {} },
+    stages : { ran: [], skipped: [] },
+    text,
+    spec
+  }
+  innerParse( parsing, options );
+  parsing.errors   = parsing.diagnostics.filter( d => d.severity === 'error'   ).map( d => d.message );
+  parsing.warnings = parsing.diagnostics.filter( d => d.severity === 'warning' ).map( d => d.message );
+  parsing.isValid = (parsing.errors.length == 0); // no errors means isValid, whatever the warnings
+  return parsing;
+}
+
+///
+// the reverse of parse: write a parsing (or anything shaped like one) back out as canonical text,
+// - the header keys in permittedKeys order,
+// - each list of clues in id order, with ids (and owned clues), body and answer rebuilt from the clue model
+// such that parse(stringify(parse(text))) gives the same model as parse(text).
+///
+
+function stringifyIds( clue ){
+  const ownedIdsItems = clue.owns.map( owned => `${owned.id} ${owned.direction}` );
+  return [clue.id].concat( ownedIdsItems ).join(',');
+}
+
+function stringifyBody( clue ){
+  if (clue.belongsTo) {
+    const direction = clue.belongsTo.direction;
+    return `See ${clue.belongsTo.id} ${direction.charAt(0).toUpperCase()}${direction.slice(1)}`;
+  }
+  return clue.body;
+}
+
+function stringifyAnswer( answer ){
+  const partsTexts = answer.parts.map( part => {
+    const separator = (part.separator === undefined)? '' : part.separator;
+    const wordOrNumber = (part.placeholder)? model.formatEnumeration( [part] ) : part.text; // e.g. 5, or 1'5
+    return `${separator}${wordOrNumber}`;
+  });
+  return `(${partsTexts.join('')})`;
+}
+
+function stringifyClue( clue ){
+  return `- (${clue.coords.across},${clue.coords.down}) ${stringifyIds(clue)}. ${stringifyBody(clue)} ${stringifyAnswer(clue.answer)}`;
+}
+
+function stringifyValue( key, value, format ){
+  const scalar = (format.scanning === 'yaml')? yaml.quoteScalar : (text => text); // 'lines' are taken literally
+  if (Array.isArray(value)) {
+    return [`${key}:`].concat( value.map( item => `- ${scalar( item )}` ) );
+  }
+  return [ (value === '')? `${key}:` : `${key}: ${scalar( value )}` ];
+}
+
+///
+// the required header keys (empty if missing), then any optional header keys and extension keys which have a value,
+// then the lists, all according to the rules of the format version given by values.version,
+// with any comments (see format) written on the lines before the key or list item they belong to.
+///
+
+function stringifyDocument( values, listsLines, comments={ keys: {}, lists: {}, end: [] } ){
+  const format = formatFor( values.version );
+  const extensions = (format.allowsExtensions && values.extensions)? values.extensions : {};
+  const headerLines = [];
+  const listLines = [];
+
+  // the lines of a key's value, where lines[0] is the key, and any others are its list items
+  const withComments = (key, lines) => (comments.keys[key] || []).concat(
+    [lines[0]],
+    ...lines.slice(1).map( (line, j) => ((comments.lists[key] || [])[j] || []).concat( [line] ) )
+  );
+
+  Object.keys(format.permittedKeys).forEach( key => {
+    if (format.permittedKeys[key] === 'list') {
+      const items = (listsLines[key] || []).map( line => line.replace(/^- /, '') );
+      withComments( key, stringifyValue( key, items, format ) ).forEach( line => listLines.push( line ) );
+    } else if (values[key] !== undefined || format.requiredKeys.includes(key)) {
+      const value = (values[key] === undefined)? '' : values[key];
+      withComments( key, stringifyValue( key, value, format ) ).forEach( line => headerLines.push( line ) );
+    }
+  });
+
+  Object.keys(extensions).forEach( key => {
+    withComments( key, stringifyValue( key, extensions[key], format ) ).forEach( line => headerLines.push( line ) );
+  });
+
+  return headerLines.concat( listLines, comments.end ).join("\n") + "\n";
+}
+
+function stringify( parsing ){
+  const clues = parsing.clues || {};
+  const orderedIds = Object.keys( clues ).sort( (a,b) => parseInt(a,10) - parseInt(b,10) );
+  const listsLines = {};
+
+  Object.keys(permittedKeys)
+  .filter( key => permittedKeys[key] === 'list' )
+  .forEach( direction => {
+    listsLines[direction] = orderedIds
+    .filter( id => clues[id].hasOwnProperty(direction) )
+    .map( id => stringifyClue( clues[id][direction] ) );
+  });
+
+  return stringifyDocument( parsing, listsLines );
+}
+
+///
+// upgrade a document from the (older) version it declares to targetVersion (by default, the latestVersion),
+// by reading it with the rules of its version, and writing it with the rules of the targetVersion,
+// e.g. quoting any 'standard v2' values which would otherwise be read differently as YAML.
+// Only the header and lists are read, so the clues are carried over as they are, and need not be valid.
+// Returns { errors, text }, where the text is the migrated document, or the original text if there are any errors.
+///
+
+function migrate( text, targetVersion=latestVersion ){
+  const errors = [];
+  const versions = Object.keys(formatVersions);
+  const version = declaredVersion( text );
+  if (!formatVersions.hasOwnProperty(targetVersion)) {
+    errors.push(`unknown target version, '${targetVersion}', must be one of: ${versions.join(', ')}`);
+  }
+  if (version === null) {
+    errors.push(`no version specified, so cannot tell which version to migrate from`);
+  } else if (!formatVersions.hasOwnProperty(version)) {
+    errors.push(`unknown version, '${version}', must be one of: ${versions.join(', ')}`);
+  } else if (formatVersions.hasOwnProperty(targetVersion) && versions.indexOf(version) > versions.indexOf(targetVersion)) {
+    errors.push(`cannot migrate back from version '${version}' to the older '${targetVersion}'`);
+  }
+  if (errors.length !== 0 || version === targetVersion) { return { errors, text }; }
+
+  const diagnostics = [];
+  const foundItems = scanYamlText( text, diagnostics, undefined, formatVersions[version] );
+  diagnostics.forEach( d => errors.push( d.message ) );
+  if (errors.length !== 0) { return { errors, text }; }
+
+  foundItems.version = targetVersion;
+  const listsLines = {};
+  Object.keys(formatVersions[targetVersion].permittedKeys)
+  .filter( key => formatVersions[targetVersion].permittedKeys[key] === 'list' )
+  .forEach( key => { listsLines[key] = foundItems[key]; });
+
+  return { errors, text: stringifyDocument( foundItems, listsLines ) };
+}
+
+///
+// Hiding the answers, so a crossword can be published before its solution:
+// hideAnswers replaces each answer with its enumeration, e.g. (TRIES,DURING) becomes (5,6), as placeholder answers,
+// and adds a salted hash of each answer it hid, so verifyAnswer can later check a solver's answer without knowing it.
+// The hashing (see lib/hide.js) is asynchronous, and slow on purpose (around 50ms a clue), so both return Promises,
+// and lib/hide.js is only loaded when they are first called.
+///
+
+///
+// Returns a Promise of { errors, text }, where text is the document (in the latestVersion) with the answers hidden,
+// or null if the parsing is not valid. Clues whose answers are already placeholders (e.g. 'See 1 Across' clues) get no hash.
+// options.salt is for repeatable output, otherwise each call makes a new random salt.
+///
+async function hideAnswers( parsing, options={} ){
+  const errors = [];
+  if (!parsing || !parsing.isValid) {
+    errors.push(`can only hide the answers of a valid parsing`);
+    return { errors, text: null };
+  }
+
+  const candidate = { clues: copyClues( parsing.clues ) };
+  Object.keys(permittedKeys)
+  .filter( key => permittedKeys[key] !== 'list' )
+  .forEach( key => { candidate[key] = parsing[key]; });
+  candidate.version = latestVersion;
+  candidate.extensions = Object.assign( {}, parsing.extensions );
+
+  const answers = [];
+  const orderedIds = Object.keys( candidate.clues ).sort( (a,b) => parseInt(a,10) - parseInt(b,10) );
+  Object.keys(permittedKeys)
+  .filter( key => permittedKeys[key] === 'list' )
+  .forEach( direction => {
+    orderedIds
+    .filter( id => candidate.clues[id].hasOwnProperty(direction) )
+    .map( id => candidate.clues[id][direction] )
+    .forEach( clue => {
+      const parts = clue.answer.parts;
+      if (!parts.some( part => part.placeholder )) {
+        answers.push({ id: clue.id, direction, text: parts.map( part => part.text ).join('') });
+      }
+      parts.forEach( part => {
+        part.text = model.answerTokens( part.text ).map( token => (answerPunctuation.includes(token))? token : placeHolderChar ).join(''); // keeping the punctuation of the enumeration
+        part.placeholder = true;
+      });
+    });
+  });
+  Object.assign( candidate.extensions, await require('./lib/hide.js').hashAnswers( answers, options.salt ) );
+
+  return { errors, text: stringify( candidate ) };
+}
+
+///
+// check a solver's answer (e.g. 'tries, during') to a clue against the hash added by hideAnswers,
+// returning a Promise of { errors, isCorrect }. See lib/hide.js.
+///
+function verifyAnswer( parsing, id, direction, answer ){
+  return require('./lib/hide.js').verifyAnswer( parsing, id, direction, answer );
+}
+
+///
+// The fixes which format can make, mapped to a description of the problem fixed.
+// Each is mechanical: anything ambiguous (e.g. a clue which cannot be read at all, or a duplicate id) is left alone.
+///
+const fixCodes = {
+  LINE_ENDINGS        : 'Windows (\\r\\n) line endings',
+  TRAILING_WHITESPACE : 'Whitespace at the end of a line',
+  HEADER_KEY_ORDER    : 'The keys are not in the canonical order: the header keys in permittedKeys order, then any extension keys, then the lists',
+  CLUE_LAYOUT         : 'Inconsistent spacing or case in the coords, ids or answer of a clue, e.g. ( 1, 2 ) or 1, 2 Down.',
+  CLUE_ID_ORDER       : 'A list of clues is not in id order',
+  CLUE_COORDS_ORDER   : 'The clue ids are not in sequence with their coords, so are renumbered, when that gives a valid crossword',
+  QUOTED_VALUE        : 'A plain value which a standard YAML parser would not read as text (see NON_STRING_VALUE), so is quoted',
+};
+
+function fix( code, message, line=null ){
+  return { code, message, line };
+}
+
+// a clue, allowing for any spacing within (and the case of the directions in) its coords, ids and answer
+const looseClueRegex = /^-\s+\(\s*(\d+)\s*,\s*(\d+)\s*\)\s*(\d+(?:\s*,\s*\d+\s*[a-zA-Z]+)*)\s*\.\s+(.*\S)\s+\(\s*((?:[\p{Lu}\p{Lo}\p{M}0-9'’.!]|\[[^\[\]()\s]+\])+(?:\s*[,\-|]\s*(?:[\p{Lu}\p{Lo}\p{M}0-9'’.!]|\[[^\[\]()\s]+\])+)*)\s*\)$/u;
+
+///
+// the clue text written with canonical spacing, i.e. '- (1,2) 3,4 down. Body text (ANS-WER)',
+// or null if it cannot be, in which case it is left as it is
+///
+
+function canonicalClueText( clueText ){
+  const matchedClue = clueText.trim().match( looseClueRegex );
+  if (!matchedClue) {
+    return null;
+  }
+  const [, acrossText, downText, idsText, bodyText, answerText] = matchedClue;
+  const [id, ...ownedIdsItems] = idsText.split(',').map( idItem => idItem.trim() );
+  const ownedIds = ownedIdsItems.map( idItem => idItem.match(/^(\d+)\s*([a-zA-Z]+)$/) );
+  if (ownedIds.some( matchedId => !['across', 'down'].includes( matchedId[2].toLowerCase() ) )) {
+    return null;
+  }
+  const canonicalIds = [id].concat( ownedIds.map( matchedId => `${matchedId[1]} ${matchedId[2].toLowerCase()}` ) ).join(',');
+  const canonicalText = `- (${parseInt(acrossText, 10)},${parseInt(downText, 10)}) ${canonicalIds}. ${bodyText} (${answerText.replace(/\s+/g, '')})`;
+  return (canonicalText.match( clueRegex ))? canonicalText : null;
+}
+
+///
+// the comments in a 'yaml' document, as { keys: { key: [comment] }, lists: { key: [[comment] per item] }, end: [comment] },
+// where each full-line comment belongs to the next key or list item, and a comment after a value to that key or list item,
+// so they can be written back (see stringifyDocument) on the lines before the key or item they belong to.
+// Comment-like lines within a block scalar or a quoted value are part of the value.
+///
+
+function scanComments( lines, sourceLines ){
+  const comments = { keys: {}, lists: {}, end: [] };
+  const starts = {}; // [line] = the comments of the key or list item starting on that line
+  Object.keys(sourceLines.keys).forEach( key => {
+    starts[sourceLines.keys[key]] = comments.keys[key] = [];
+  });
+  Object.keys(sourceLines.lists).forEach( key => {
+    comments.lists[key] = sourceLines.lists[key].map( line => {
+      starts[line] = [];
+      return starts[line];
+    });
+  });
+
+  let pending = [];
+  let valueIndent = -1;      // the indent of the current key or list item
+  let isVerbatim = false;    // whether the current value is a block scalar or quoted, so its continuation lines are taken as they are
+  lines.forEach( (line, i) => {
+    if (starts.hasOwnProperty(i+1)) {
+      const matched = line.match(/^( *)(?:-(?=\s|$)|[a-z][a-z0-9-]*:(?=\s|$))\s*(.*)$/);
+      const valueText = matched[2];
+      const uncommented = yaml.stripComment( valueText );
+      const comment = valueText.slice( uncommented.length ).trim();
+      starts[i+1].push( ...pending, ...((comment === '')? [] : [comment]) );
+      pending = [];
+      valueIndent = matched[1].length;
+      isVerbatim = yaml.isBlockHeader( uncommented ) || uncommented.match(/^["']/) !== null;
+    } else if (line.trim().startsWith('#') && (yaml.indentOf( line ) <= valueIndent || !isVerbatim)) {
+      pending.push( line.trim() );
+    }
+  });
+  comments.end = pending;
+  return comments;
+}
+
+///
+// Map each clue of each direction to a new id, following the sequence of their coords (across then down),
+// rewriting references between clues (owned ids, and 'See N Across' bodies), and returning the clues in their new id order,
+// or null if there is a reference to a clue which is unknown.
+///
+
+function renumberByCoords( listsItems, directions ){
+  const matched = {}; // [direction] = matched clue text, per item
+  const coordsKeys = [];
+  directions.forEach( direction => {
+    matched[direction] = listsItems[direction].map( item => item.text.match( clueRegex ) );
+    matched[direction].forEach( ([, acrossText, downText]) => coordsKeys.push( [parseInt(downText, 10), parseInt(acrossText, 10)] ) );
+  });
+  const orderedCoordsKeys = coordsKeys
+  .sort( (a, b) => (a[0] - b[0]) || (a[1] - b[1]) )
+  .map( coords => coords.join(',') )
+  .filter( (key, k, keys) => keys.indexOf( key ) === k );
+
+  const newIds = {}; // [oldId direction] = newId
+  directions.forEach( direction => matched[direction].forEach( ([, acrossText, downText, idsText]) => {
+    newIds[`${idsText.split(',')[0]} ${direction}`] = `${orderedCoordsKeys.indexOf( `${parseInt(downText, 10)},${parseInt(acrossText, 10)}` ) + 1}`;
+  }));
+
+  let isUnknown = false;
+  const newIdOf = key => {
+    if (!newIds.hasOwnProperty(key)) {
+      isUnknown = true;
+    }
+    return newIds[key];
+  };
+  const renumbered = {};
+  directions.forEach( direction => {
+    renumbered[direction] = listsItems[direction].map( (item, c) => {
+      const [, acrossText, downText, idsText, bodyText, answerText] = matched[direction][c];
+      const [oldId, ...ownedIdsItems] = idsText.split(',');
+      const ids = [newIdOf( `${oldId} ${direction}` )]
+      .concat( ownedIdsItems.map( idItem => idItem.match(/^(\d+)\s*(across|down)$/) ).map( ([, ownedId, ownedDirection]) => `${newIdOf( `${ownedId} ${ownedDirection}` )} ${ownedDirection}` ) )
+      .join(',');
+      const matchBelongsTo = bodyText.match( bodyBelongsToRegex );
+      const body = (matchBelongsTo)? `See ${newIdOf( `${matchBelongsTo[1]} ${matchBelongsTo[2].toLowerCase()}` )} ${matchBelongsTo[2]}` : bodyText;
+      return Object.assign( {}, item, { id: parseInt(ids, 10), text: `- (${acrossText},${downText}) ${ids}. ${body} (${answerText})` } );
+    })
+    .sort( (a, b) => a.id - b.id );
+  });
+  return (isUnknown)? null : renumbered;
+}
+
+///
+// Rewrite a document into the canonical layout (see stringify), keeping its comments, and applying the safe fixes (see fixCodes).
+// Returns { errors, fixes, text }, where
+// - text is the formatted document, or the original text if it could not be read (e.g. an unknown key, or a missing required key),
+// - fixes lists each fix made, as { code, message, line }, where line is in the original text (or null for the whole document),
+// - errors lists the errors (as from parse) which remain in the text.
+///
+
+function format( text ){
+  const fixes = [];
+  const version = declaredVersion( text );
+  const formatOfText = formatFor( version );
+  const diagnostics = [];
+  const sourceLines = { keys: {}, lists: {} };
+  const nonStrings = [];
+  const foundItems = scanYamlText( text, diagnostics, sourceLines, formatOfText, nonStrings );
+  if (text === '' || diagnostics.length > 0 || !formatVersions.hasOwnProperty(version)) {
+    return { errors: parse( text ).errors, fixes, text };
+  }
+  nonStrings.forEach( nonString => {
+    fixes.push( fix( 'QUOTED_VALUE', nonString.message.replace(/, so should be quoted$/, ', so quoted it'), nonString.line ) );
+  });
+
+  const lines = text.split(/\r?\n/);
+  if (text.includes("\r\n")) {
+    fixes.push( fix( 'LINE_ENDINGS', `replaced the \\r\\n line endings with \\n` ) );
+  }
+  lines.forEach( (line, i) => {
+    if (line.match(/\s$/)) {
+      fixes.push( fix( 'TRAILING_WHITESPACE', `removed the whitespace from the end of line[${i}]`, i+1 ) );
+    }
+  });
+
+  const directions = Object.keys(formatOfText.permittedKeys).filter( key => formatOfText.permittedKeys[key] === 'list' );
+  const foundKeys = Object.keys(sourceLines.keys).sort( (a, b) => sourceLines.keys[a] - sourceLines.keys[b] );
+  const canonicalKeys = Object.keys(formatOfText.permittedKeys).filter( key => !directions.includes(key) )
+  .concat( Object.keys(foundItems.extensions), directions )
+  .filter( key => foundKeys.includes(key) );
+  if (foundKeys.join(',') !== canonicalKeys.join(',')) {
+    fixes.push( fix( 'HEADER_KEY_ORDER', `reordered the keys: from ${foundKeys.join(', ')}; to ${canonicalKeys.join(', ')}` ) );
+  }
+
+  const comments = (formatOfText.scanning === 'yaml')? scanComments( lines, sourceLines ) : { keys: {}, lists: {}, end: [] };
+
+  // each clue as { text, line, comments, id }, in canonical layout, and sorted into id order, if that can be done safely
+  const listsItems = {};
+  directions.forEach( direction => {
+    const clueLines = sourceLines.lists[direction] || [];
+    const items = foundItems[direction].map( (clueText, c) => {
+      const canonicalText = canonicalClueText( clueText );
+      if (canonicalText !== null && canonicalText !== clueText) {
+        fixes.push( fix( 'CLUE_LAYOUT', `rewrote ${direction} clue[${c}] from '${clueText}' to '${canonicalText}'`, clueLines[c] ) );
+      }
+      return {
+        text     : (canonicalText === null)? clueText : canonicalText,
+        line     : clueLines[c],
+        comments : (comments.lists[direction] || [])[c] || [],
+        id       : (canonicalText === null)? null : parseInt( canonicalText.match( clueRegex )[3], 10 ),
+      };
+    });
+    const ids = items.map( item => item.id );
+    const isSortable = ids.every( (id, i) => id !== null && ids.indexOf( id ) === i );
+    const sortedItems = (isSortable)? items.slice().sort( (a, b) => a.id - b.id ) : items;
+    if (sortedItems.some( (item, i) => item !== items[i] )) {
+      fixes.push( fix( 'CLUE_ID_ORDER', `sorted the ${direction} clues into id order`, sourceLines.keys[direction] ) );
+    }
+    listsItems[direction] = sortedItems;
+  });
+
+  const stringifyItems = itemsOfLists => {
+    const listsLines = {};
+    const listsComments = Object.assign( {}, comments.lists );
+    directions.forEach( direction => {
+      listsLines[direction] = itemsOfLists[direction].map( item => item.text );
+      listsComments[direction] = itemsOfLists[direction].map( item => item.comments );
+    });
+    return stringifyDocument( foundItems, listsLines, Object.assign( {}, comments, { lists: listsComments } ) );
+  };
+
+  let formattedText = stringifyItems( listsItems );
+  let parsing = parse( formattedText );
+  if (parsing.diagnostics.some( d => d.code === 'CLUE_COORDS_ORDER' )
+   && directions.every( direction => listsItems[direction].every( item => item.id !== null ) )) {
+    const renumbered = renumberByCoords( listsItems, directions );
+    const renumberedText = (renumbered === null)? null : stringifyItems( renumbered );
+    const renumberedParsing = (renumbered === null)? null : parse( renumberedText );
+    if (renumberedParsing !== null && renumberedParsing.isValid) {
+      fixes.push( fix( 'CLUE_COORDS_ORDER', `renumbered the clue ids to follow the sequence of their coords` ) );
+      formattedText = renumberedText;
+      parsing = renumberedParsing;
+    }
+  }
+
+  return { errors: parsing.errors, fixes, text: formattedText };
+}
+
+///
+// JSON Schemas, generated from the spec of a version (by default, the latestVersion), as { document, model },
+// where the document schema describes the text as read by a standard YAML parser, and the model schema a valid parsing,
+// for checking with a JSON Schema validator, e.g. ajv (this module only parses, and has no validator of its own).
+// See lib/schema.js.
+///
+
+function jsonSchemas( version=latestVersion ){
+  if (!specVersions.hasOwnProperty(version)) {
+    throw new Error(`unknown version, '${version}', must be one of: ${Object.keys(specVersions).join(', ')}`);
+  }
+  return {
+    document : schema.documentSchema( specVersions[version] ),
+    model    : schema.modelSchema( specVersions[version] ),
+  };
+}
+
+///
+// Given the black squares of a grid, as rows of '#' (blocked) and '.' (light),
+// e.g. ['...#.', '.#...'] or the same rows joined by newlines,
+// work out the standard numbering: every light cell which starts an answer of 2 or more cells
+// (across and/or down) gets the next clue id, scanning across then down.
+// Returns { errors, dimensions, numbering: [{ id, direction, coords, length }] }, in id order, across before down.
+///
+
+function numberGrid( blockRows ){
+  const errors = [];
+  const rows = ((typeof blockRows === 'string')? blockRows.split("\n") : blockRows)
+  .map( row => row.trim() )
+  .filter( row => row !== '' );
+  const dimensions = {
+    across : (rows.length > 0)? rows[0].length : 0,
+    down   : rows.length,
+  };
+  const numbering = [];
+
+  rows.forEach( (row, r) => {
+    if (row.length !== dimensions.across) {
+      errors.push(`grid row[${r}]='${row}' has length ${row.length}, but expected ${dimensions.across}`);
+    }
+    if (!row.match(/^[#.]*$/)) {
+      errors.push(`grid row[${r}]='${row}' must only contain '#' (blocked) or '.' (light)`);
+    }
+  });
+  if (errors.length !== 0) {
+    return { errors, dimensions, numbering };
+  }
+
+  const isLight = (across, down) => across >= 1 && across <= dimensions.across && down >= 1 && down <= dimensions.down
+                                 && rows[down - 1][across - 1] === '.';
+  const lightRunLength = (across, down, direction) => {
+    let length = 0;
+    while (isLight( across + ((direction === 'across')? length : 0), down + ((direction === 'down')? length : 0) )) {
+      length++;
+    }
+    return length;
+  };
+
+  let idInt = 0;
+  for (let down = 1; down <= dimensions.down; down++) {
+    for (let across = 1; across <= dimensions.across; across++) {
+      if (!isLight(across, down)) { continue; }
+      const starts = [];
+      if (!isLight(across - 1, down) && lightRunLength(across, down, 'across') > 1) {
+        starts.push( 'across' );
+      }
+      if (!isLight(across, down - 1) && lightRunLength(across, down, 'down') > 1) {
+        starts.push( 'down' );
+      }
+      if (starts.length > 0) {
+        idInt++;
+        starts.forEach( direction => {
+          numbering.push({
+            id : idInt.toString(),
+            direction,
+            coords : { across, down },
+            length : lightRunLength(across, down, direction),
+          });
+        });
+      }
+    }
+  }
+
+  return { errors, dimensions, numbering };
+}
+
+///
+// The companion fixer to numberGrid:
+// rewrite the ids and coords of an existing document to match the numbering of the grid,
+// where the Nth clue listed in each direction is matched to the Nth answer in that direction in the grid,
+// and all references between clues (owned ids, and 'See N Across' bodies) are rewritten to match.
+// The answer lengths of the clues must fit the answers in the grid.
+// Returns { errors, text }, where the text is the rewritten document, or the original text if there are any errors.
+///
+
+function renumber( text, blockRows ){
+  const errors = [];
+  const diagnostics = [];
+  const foundItems = scanYamlText( text, diagnostics, undefined, formatFor( declaredVersion( text ) ) );
+  diagnostics.forEach( d => errors.push( d.message ) );
+  const numbered = numberGrid( blockRows );
+  numbered.errors.forEach( error => errors.push( error ) );
+  if (errors.length !== 0) { return { errors, text }; }
+
+  const sizeText = `${numbered.dimensions.across}x${numbered.dimensions.down}`;
+  if (foundItems.size !== sizeText) {
+    errors.push(`size='${foundItems.size}' does not match the grid, which is ${sizeText}`);
+  }
+
+  // match up each listed clue with its grid answer, noting how the old ids map to the new ids
+  const directions = Object.keys(permittedKeys).filter( key => permittedKeys[key] === 'list' );
+  const newIds = {}; // [oldId direction] = newId, or null if ambiguous
+  const listedClues = {};
+  directions.forEach( direction => {
+    const gridAnswers = numbered.numbering.filter( n => n.direction === direction );
+    if (foundItems[direction].length !== gridAnswers.length) {
+      errors.push(`there are ${foundItems[direction].length} ${direction} clues, but the grid has ${gridAnswers.length} ${direction} answers`);
+    }
+    listedClues[direction] = foundItems[direction].map( (clueText, c) => {
+      const matchedClue = clueText.match( clueRegex );
+      if (!matchedClue) {
+        errors.push(`could not parse ${direction} clue[${c}], in line='${clueText}'`);
+        return null;
+      }
+      const [,,,idsText,bodyText,answerText] = matchedClue;
+      const [oldId, ...ownedIdsItems] = idsText.split(',');
+      const key = `${oldId} ${direction}`;
+      const gridAnswer = gridAnswers[c];
+      newIds[key] = (newIds.hasOwnProperty(key) || gridAnswer === undefined)? null : gridAnswer.id;
+      const parts = parseAnswerParts( answerText );
+      if (parts === null) {
+        errors.push(`failed to parse answer in ${direction} clue[${c}], answerText='${answerText}'`);
+      }
+      return {
+        key,
+        direction,
+        ownedKeys : ownedIdsItems.map( idItem => idItem.replace(/^(\d+)\s*(across|down)$/, '$1 $2') ),
+        bodyText,
+        answerText,
+        length : (parts === null)? 0 : parts.reduce( (sum, part) => sum + part.length, 0 ),
+        gridAnswer,
+      };
+    });
+  });
+  if (errors.length !== 0) { return { errors, text }; }
+
+  const lengths = {};
+  directions.forEach( direction => listedClues[direction].forEach( clue => { lengths[clue.key] = clue.length; }) );
+
+  const newIdOf = (key, clue) => {
+    if (!newIds.hasOwnProperty(key) || newIds[key] === null) {
+      errors.push(`clue [${clue.key}] refers to [${key}], which is unknown or ambiguous`);
+      return '?';
+    }
+    return newIds[key];
+  };
+
+  const listsLines = {};
+  directions.forEach( direction => {
+    listsLines[direction] = listedClues[direction].map( clue => {
+      const ownedLength = clue.ownedKeys.reduce( (sum, key) => sum + (lengths[key] || 0), 0 );
+      if (clue.length - ownedLength !== clue.gridAnswer.length) {
+        errors.push(`clue [${clue.key}] has an answer of length ${clue.length - ownedLength}, but the grid answer at (${clue.gridAnswer.coords.across},${clue.gridAnswer.coords.down}) has length ${clue.gridAnswer.length}`);
+      }
+      const idsText = [clue.gridAnswer.id]
+      .concat( clue.ownedKeys.map( key => `${newIdOf(key, clue)} ${key.split(' ')[1]}` ) )
+      .join(',');
+      let bodyText = clue.bodyText;
+      const matchBelongsTo = bodyText.match( bodyBelongsToRegex );
+      if (matchBelongsTo) {
+        bodyText = `See ${newIdOf( `${matchBelongsTo[1]} ${matchBelongsTo[2].toLowerCase()}`, clue )} ${matchBelongsTo[2]}`;
+      }
+      return `- (${clue.gridAnswer.coords.across},${clue.gridAnswer.coords.down}) ${idsText}. ${bodyText} (${clue.answerText})`;
+    });
+  });
+  if (errors.length !== 0) { return { errors, text }; }
+
+  return {
+    errors,
+    text : stringifyDocument( foundItems, listsLines ),
+  };
+}
+
+///
+// Convert an Across Lite .puz file (as a Buffer) into text in this format,
+// numbering the grid to establish the coords and lengths of the answers (and so which .puz clue is which),
+// taking the enumeration from the end of the .puz clue, e.g. 'Tries during proper practice session (5,4)' or 'When the clock strikes (1'5)', if there is one,
+// and linking a clue written as e.g. 'See 1' or 'See 1 Across' (as toPuz writes an owned clue) to the clue it refers to,
+// whose enumeration then covers the answers of all its linked clues, and whose linked clues each have only their length, e.g. (5),
+// and the letters from the solution, where a rebus cell (from the .puz rebus sections) is written as e.g. [TAR],
+// unless the solution is scrambled or contains other non-letters.
+// See lib/puz.js for the reverse, toPuz.
+// Returns { errors, text }, where a non-empty list of errors means there were problems with the conversion.
+///
+
+const puzEnumerationWordRegexComponent = model.enumerationWordRegexComponent; // e.g. 5, or 1'5 for O'CLOCK
+const puzEnumerationRegex = new RegExp( `^(.*\\S)\\s*\\((${puzEnumerationWordRegexComponent}(?:\\s*[,\\-]\\s*${puzEnumerationWordRegexComponent})*)\\)$` );
+const puzSeeRegex = /^See (\d+)(?: (Across|Down))?$/i; // e.g. See 1, or See 1 Across
+
+function puzClueAnswer( clueText, letters ){
+  let body = clueText.trim();
+  let parts = [{ word: `${letters.length}`, length: letters.length }];
+
+  const matchedEnumeration = body.match( puzEnumerationRegex );
+  if (matchedEnumeration) {
+    const enumerationParts = matchedEnumeration[2].replace(/\s+/g, '').match( new RegExp(`${puzEnumerationWordRegexComponent}|[,\\-]`, 'g') );
+    const enumeratedParts = [];
+    for (let e = 0; e < enumerationParts.length; e += 2) {
+      enumeratedParts.push({
+        separator : (e > 0)? enumerationParts[e - 1] : undefined,
+        word      : enumerationParts[e],
+        length    : model.enumerationWordLength( enumerationParts[e] ),
+      });
+    }
+    if (enumeratedParts.reduce( (sum, part) => sum + part.length, 0 ) === letters.length) {
+      body = matchedEnumeration[1];
+      parts = enumeratedParts;
+    }
+  }
+
+  const isKnown = letters.every( letter => letter.match(/^[\p{Lu}\p{Lo}]$/u) || (letter.length > 1 && !letter.match(/[\s\[\]()]/)) );
+  let offset = 0;
+  parts.forEach( part => {
+    const contents = (isKnown)? letters.slice( offset, offset + part.length ) : new Array( part.length ).fill( placeHolderChar );
+    part.text = model.enumerationWordText( part.word, contents );
+    part.placeholder = !isKnown;
+    offset += part.length;
+    delete part.word;
+    if (part.separator === undefined) { delete part.separator; }
+  });
+
+  return { body, answer: { parts } };
+}
+
+function fromPuz( buffer ){
+  const errors = [];
+  const puzzle = puz.readPuz( buffer, errors );
+  if (puzzle === null) {
+    return { errors, text: '' };
+  }
+
+  const rows = [];
+  for (let down = 0; down < puzzle.height; down++) {
+    rows.push( puzzle.solution.substr( down * puzzle.width, puzzle.width ) );
+  }
+  const numbered = numberGrid( rows.map( row => row.split('').map( c => (c === puz.blockChar)? '#' : '.' ).join('') ) );
+  numbered.errors.forEach( error => errors.push( error ) );
+  if (numbered.numbering.length !== puzzle.clues.length) {
+    errors.push(`.puz file has ${puzzle.clues.length} clues, but its grid has ${numbered.numbering.length} answers`);
+    return { errors, text: '' };
+  }
+  if (puzzle.isScrambled) {
+    errors.push(`.puz file solution is scrambled, so all the answers are placeholders`);
+  }
+
+  // first pass: the letters of each clue
+  const puzClues = numbered.numbering.map( (numberedAnswer, n) => {
+    const { id, direction, coords, length } = numberedAnswer;
+    const letters = [];
+    for (let index = 0; index < length; index++) {
+      const across = coords.across + ((direction === 'across')? index : 0);
+      const down   = coords.down   + ((direction === 'down'  )? index : 0);
+      const cellRebus = (puzzle.rebus)? puzzle.rebus[(down - 1) * puzzle.width + (across - 1)] : null;
+      letters.push( (puzzle.isScrambled)? '' : (cellRebus !== null)? cellRebus.toUpperCase() : rows[down - 1][across - 1].toUpperCase() );
+    }
+    return { id, direction, coords, text: puzzle.clues[n].trim(), letters, belongsTo: null };
+  });
+
+  // second pass: the links between clues, where an owned clue refers to a clue which is not itself owned
+  puzClues.forEach( puzClue => {
+    const matchedSee = puzClue.text.match( puzSeeRegex );
+    if (matchedSee) {
+      const direction = (matchedSee[2])? matchedSee[2].toLowerCase() : puzClue.direction;
+      const owner = puzClues.find( other => other.id === matchedSee[1] && other.direction === direction );
+      if (owner !== undefined && owner !== puzClue && !owner.text.match( puzSeeRegex )) {
+        puzClue.belongsTo = owner;
+      }
+    }
+  });
+
+  // third pass: the answer parts, where an owning clue's enumeration covers the letters of the clues it owns
+  const clues = {};
+  puzClues.forEach( puzClue => {
+    const { id, direction, coords } = puzClue;
+    const ownedClues = puzClues.filter( other => other.belongsTo === puzClue );
+    const letters = [].concat( puzClue.letters, ...ownedClues.map( owned => owned.letters ) );
+    const { body, answer } = (puzClue.belongsTo)? { body: puzClue.text, answer: model.ownedClueAnswer( letters.length ) } : puzClueAnswer( puzClue.text, letters );
+    if (body === '') {
+      errors.push(`.puz file has an empty clue for [${id}][${direction}]`);
+    }
+    if (!clues.hasOwnProperty(id)) {
+      clues[id] = {};
+    }
+    clues[id][direction] = {
+      id,
+      direction,
+      coords,
+      body,
+      owns : ownedClues.map( owned => ({ id: owned.id, direction: owned.direction }) ),
+      belongsTo : (puzClue.belongsTo)? { id: puzClue.belongsTo.id, direction: puzClue.belongsTo.direction } : null,
+      answer,
+    };
+  });
+
+  const text = stringify({
+    version   : latestVersion,
+    name      : puzzle.title,
+    author    : puzzle.author,
+    copyright : puzzle.copyright,
+    size      : `${puzzle.width}x${puzzle.height}`,
+    notes     : (puzzle.notes !== '')? puzzle.notes : undefined,
+    clues,
+  });
+
+  return { errors, text };
+}
+
+///
+// Convert an ipuz puzzle (as an object or JSON text) into text in this format,
+// returning { errors, text }, where the errors list anything in the ipuz which could not be represented.
+// See lib/ipuz.js for the mapping, and toIpuz for the reverse.
+///
+
+function fromIpuz( json ){
+  const errors = [];
+  const parsing = ipuz.ipuzToParsing( json, errors );
+  const text = (parsing === null)? '' : stringify( Object.assign( { version: latestVersion }, parsing ) );
+  return { errors, text };
+}
+
+///
+// A Crossword wraps a valid parsing, and offers methods to manipulate it.
+// Each mutation is made to a copy of the clues, which is then written out and re-parsed,
+// so every rule applied by parse (parseCluesIds, parseCluesAnswers, checkClueContiguity, etc) is applied again,
+// with the parse options (e.g. { profile: 'lenient' }) given when the Crossword was made, so its rules stay the same.
+// Each mutation returns a list of errors: a non-empty list means the mutation was refused and the crossword is unchanged.
+///
+
+function copyClues( clues ){
+  const copiedClues = {};
+  Object.keys(clues).forEach( id => {
+    copiedClues[id] = {};
+    Object.keys(clues[id]).forEach( direction => {
+      const clue = clues[id][direction];
+      copiedClues[id][direction] = {
+        id,
+        direction,
+        coords    : Object.assign( {}, clue.coords ),
+        body      : clue.body,
+        owns      : clue.owns.map( owned => Object.assign( {}, owned ) ),
+        belongsTo : (clue.belongsTo)? { id: clue.belongsTo.id, direction: clue.belongsTo.direction } : null,
+        answer    : {
+          parts : clue.answer.parts.map( part => {
+            const copiedPart = {
+              text        : part.text,
+              placeholder : part.placeholder,
+              length      : part.length,
+              separator   : part.separator,
+            };
+            if (part.clue) {
+              copiedPart.clue = Object.assign( {}, part.clue );
+            }
+            return copiedPart;
+          }),
+        },
+      };
+    });
+  });
+  return copiedClues;
+}
+
+function mutateCrossword( crossword, mutation ){
+  const candidate = { clues: copyClues( crossword.parsing.clues ) };
+  Object.keys(permittedKeys)
+  .filter( key => permittedKeys[key] !== 'list' )
+  .forEach( key => { candidate[key] = crossword.parsing[key]; });
+  candidate.extensions = Object.assign( {}, crossword.parsing.extensions );
+
+  const errors = [];
+  mutation( candidate, errors );
+  if (errors.length === 0) {
+    const parsing = parse( stringify( candidate ), crossword.options );
+    if (parsing.isValid) {
+      crossword.parsing = parsing;
+    } else {
+      parsing.errors.forEach( error => errors.push( error ) );
+    }
+  }
+  return errors;
+}
+
+function answerFromText( answerText, errors ){
+  if (typeof answerText !== 'string') {
+    errors.push(`answer must be a string, e.g. '(5)' or 'HELLO', not ${JSON.stringify(answerText)}`);
+    return null;
+  }
+  const unbracketedAnswerText = answerText.replace(/^\((.*)\)$/, '$1');
+  const parts = parseAnswerParts( unbracketedAnswerText );
+  if (parts === null) {
+    errors.push(`failed to parse answer, answerText='${answerText}'`);
+    return null;
+  }
+  return { parts };
+}
+
+function coordsFrom( coords, errors ){
+  const isCoord = value => Number.isInteger(value) && value > 0;
+  if (!coords || !isCoord(coords.across) || !isCoord(coords.down)) {
+    errors.push(`coords must be positive whole numbers, e.g. {across: 1, down: 1}, not ${JSON.stringify(coords)}`);
+    return null;
+  }
+  return { across: coords.across, down: coords.down };
+}
+
+class Crossword {
+  ///
+  // where options are those the parsing was made with, e.g. new Crossword( parse( text, options ), options ),
+  // and are used again each time a mutation re-parses the crossword
+  ///
+  constructor( parsing, options={} ){
+    if (!parsing || !parsing.isValid) {
+      const errors = (parsing && parsing.errors)? parsing.errors : [];
+      throw new Error(`Crossword can only be built from a valid parsing: errors=${JSON.stringify(errors)}`);
+    }
+    this.parsing = parsing;
+    this.options = options;
+  }
+
+  ///
+  // start from scratch, with no clues, parsed with the options (see the constructor),
+  // e.g. Crossword.create({ name: 'Crossword 1', size: '15x15' }, { profile: 'lenient' })
+  ///
+  static create( header={}, options={} ){
+    const candidate = { version: latestVersion, size: '15x15', extensions: {} };
+    Object.keys(header).forEach( key => {
+      const values = (extensionKeyRegex.test(key))? candidate.extensions : candidate;
+      values[key] = header[key];
+    });
+    return new Crossword( parse( stringify( candidate ), options ), options );
+  }
+
+  get clues(){ return this.parsing.clues; }
+  get dimensions(){ return this.parsing.dimensions; }
+  get grid(){ return this.parsing.grid; }
+
+  getClue( id, direction ){
+    return model.findClue( this.parsing.clues, id, direction, [] );
+  }
+
+  toText(){
+    return stringify( this.parsing );
+  }
+
+  ///
+  // set a header key, or an extension key (to a string or a list of strings),
+  // where a value of undefined removes an optional or extension key
+  ///
+  setHeader( key, value ){
+    const format = formatFor( this.parsing.version );
+    return mutateCrossword( this, (candidate, errors) => {
+      if (format.allowsExtensions && extensionKeyRegex.test(key)) {
+        candidate.extensions[key] = value;
+        if (value === undefined) { delete candidate.extensions[key]; }
+      } else if (!format.permittedKeys.hasOwnProperty(key) || format.permittedKeys[key] === 'list') {
+        errors.push(`unrecognised header key, '${key}'`);
+      } else if (value === undefined && format.requiredKeys.includes(key)) {
+        errors.push(`header key, '${key}', is required, so cannot be removed`);
+      } else {
+        candidate[key] = value;
+      }
+    });
+  }
+
+  ///
+  // e.g. addClue({ id: 1, direction: 'across', coords: {across: 1, down: 1}, body: 'Tries during proper practice session', answer: '(9)' })
+  ///
+  addClue( { id, direction, coords, body, answer } ){
+    return mutateCrossword( this, (candidate, errors) => {
+      if (id === undefined || id === null || !model.directions.includes(direction)) {
+        errors.push(`a new clue needs an id and a direction (one of ${model.directions.join(', ')}), not [${id}][${direction}]`);
+        return;
+      }
+      const idText = `${id}`;
+      if (candidate.clues.hasOwnProperty(idText) && candidate.clues[idText].hasOwnProperty(direction)) {
+        errors.push(`clue [${idText}][${direction}] already exists`);
+        return;
+      }
+      const clueCoords = coordsFrom( coords, errors );
+      const clueAnswer = answerFromText( answer, errors );
+      if (clueCoords === null || clueAnswer === null) { return; }
+      if (!candidate.clues.hasOwnProperty(idText)) {
+        candidate.clues[idText] = {};
+      }
+      candidate.clues[idText][direction] = {
+        id : idText,
+        direction,
+        coords : clueCoords,
+        body,
+        owns : [],
+        belongsTo : null,
+        answer : clueAnswer,
+      };
+    });
+  }
+
+  removeClue( id, direction ){
+    return mutateCrossword( this, (candidate, errors) => {
+      const idText = `${id}`;
+      if (model.findClue( candidate.clues, idText, direction, errors ) === null) { return; }
+      delete candidate.clues[idText][direction];
+      if (Object.keys(candidate.clues[idText]).length === 0) {
+        delete candidate.clues[idText];
+      }
+    });
+  }
+
+  ///
+  // moves all the directions of the clue id, since they must share coords
+  ///
+  moveClue( id, coords ){
+    return mutateCrossword( this, (candidate, errors) => {
+      const idText = `${id}`;
+      if (!candidate.clues.hasOwnProperty(idText)) {
+        errors.push(`unknown clue id [${idText}]`);
+        return;
+      }
+      const clueCoords = coordsFrom( coords, errors );
+      if (clueCoords === null) { return; }
+      Object.keys(candidate.clues[idText]).forEach( direction => {
+        candidate.clues[idText][direction].coords = Object.assign( {}, clueCoords );
+      });
+    });
+  }
+
+  setBody( id, direction, body ){
+    return mutateCrossword( this, (candidate, errors) => {
+      const clue = model.findClue( candidate.clues, id, direction, errors );
+      if (clue === null) { return; }
+      if (clue.belongsTo) {
+        errors.push(`clue [${clue.id}][${clue.direction}] belongs to clue [${clue.belongsTo.id}][${clue.belongsTo.direction}], so its body cannot be set`);
+        return;
+      }
+      clue.body = body;
+    });
+  }
+
+  ///
+  // e.g. setAnswer(1, 'across', 'HELLO,THERE') or setAnswer(1, 'across', '(5,5)')
+  ///
+  setAnswer( id, direction, answerText ){
+    return mutateCrossword( this, (candidate, errors) => {
+      const clue = model.findClue( candidate.clues, id, direction, errors );
+      if (clue === null) { return; }
+      const clueAnswer = answerFromText( answerText, errors );
+      if (clueAnswer === null) { return; }
+      clue.answer = clueAnswer;
+    });
+  }
+
+  ///
+  // make the owning clue own the owned clue, appending the owned clue's answer to the owning clue's answer,
+  // and making the owned clue belongTo the owning clue (i.e. its body becomes 'See ...').
+  ///
+  link( ownerId, ownerDirection, ownedId, ownedDirection, separator=',' ){
+    return mutateCrossword( this, (candidate, errors) => {
+      const owner = model.findClue( candidate.clues, ownerId, ownerDirection, errors );
+      const owned = model.findClue( candidate.clues, ownedId, ownedDirection, errors );
+      if (owner === null || owned === null) { return; }
+      if (owned.belongsTo) {
+        errors.push(`clue [${owned.id}][${owned.direction}] already belongs to clue [${owned.belongsTo.id}][${owned.belongsTo.direction}]`);
+        return;
+      }
+      if (!answerSeparators.includes(separator)) {
+        errors.push(`unrecognised answer separator, '${separator}'`);
+        return;
+      }
+      owner.owns.push({ id: owned.id, direction: owned.direction });
+      owned.answer.parts.forEach( (part, p) => {
+        const ownerPart = Object.assign( {}, part );
+        if (p === 0) {
+          ownerPart.separator = separator;
+        }
+        owner.answer.parts.push( ownerPart );
+      });
+      owned.belongsTo = { id: owner.id, direction: owner.direction };
+    });
+  }
+
+  ///
+  // the reverse of link: the owned clue takes back its portion of the owning clue's answer, and needs a body of its own.
+  ///
+  unlink( ownedId, ownedDirection, body ){
+    return mutateCrossword( this, (candidate, errors) => {
+      const owned = model.findClue( candidate.clues, ownedId, ownedDirection, errors );
+      if (owned === null) { return; }
+      if (!owned.belongsTo) {
+        errors.push(`clue [${owned.id}][${owned.direction}] does not belong to another clue`);
+        return;
+      }
+      const owner = model.findClue( candidate.clues, owned.belongsTo.id, owned.belongsTo.direction, errors );
+      if (owner === null) { return; }
+      const isOwnedPart = part => part.clue && part.clue.id === owned.id && part.clue.direction === owned.direction;
+      const ownedParts = owner.answer.parts.filter( isOwnedPart ).map( part => Object.assign( {}, part ) );
+      if (ownedParts.length > 0) {
+        delete ownedParts[0].separator;
+        owned.answer = { parts: ownedParts };
+      }
+      owner.answer.parts = owner.answer.parts.filter( part => !isOwnedPart(part) );
+      owner.owns = owner.owns.filter( o => o.id !== owned.id || o.direction !== owned.direction );
+      owned.belongsTo = null;
+      owned.body = body;
+    });
   }
-  innerParse( parsing );
-  parsing.isValid = (parsing.errors.length == 0); // no errors means isValid
-  return parsing;
 }
 
 function ping () { return 'pong'; }
@@ -558,5 +2469,25 @@ function ping () { return 'pong'; }
 module.exports = {
   ping,
   parse,
-  spec
+  stringify,
+  format,
+  Crossword,
+  numberGrid,
+  renumber,
+  fromPuz,
+  toPuz : puz.toPuz,
+  toIpuz : ipuz.toIpuz,
+  fromIpuz,
+  toJpz : jpz.toJpz,
+  toSvg : render.toSvg,
+  toHtml : render.toHtml,
+  stats : puzzleStats.stats,
+  SolveSession : solve.SolveSession,
+  migrate,
+  hideAnswers,
+  verifyAnswer,
+  jsonSchemas,
+  spec,
+  specVersions,
+  latestVersion,
 }
@@ -0,0 +1,403 @@
+'use strict'
+
+///
+// The command-line tool (see bin/crossword.js), wrapping parse and friends for use in shell scripts:
+// - validate: print the diagnostics of each file, exiting 1 if any has errors
+// - convert --to ipuz|puz|jpz|json: convert each file to another format
+// - render --svg|--html: render each file
+// - fmt: rewrite each file in canonical form, applying the safe fixes (see format), or with --check, just report those which are not
+// - stats: print the stats of each file (see stats), as a line of JSON per file
+// Each command takes a list of files, and/or globs (e.g. 'puzzles/**/*.yaml', quoted so the shell leaves them alone),
+// where '-' (or no files at all) means stdin.
+//
+// main takes the args (without 'node' and the script) and an io object (see defaultIo),
+// and returns the exit code: 0 for ok, 1 if there were problems with the files, 2 if there was a problem with the command itself.
+///
+
+const fs = require('fs');
+const path = require('path');
+const crosswordDataFormat = require('../index.js');
+
+const exitCodes = {
+  ok      : 0,
+  problem : 1,
+  usage   : 2,
+};
+
+const stdinName = '-';
+
+const usage = [
+  'usage: crossword <command> [options] [files...]',
+  '',
+  'commands:',
+  '  validate [--profile standard|strict|lenient] [--collect-all] files...',
+  '      print the diagnostics of each file, exiting 1 if any file has errors',
+  '  convert --to ipuz|puz|jpz|json [-o file | --out-dir dir] files...',
+  '      convert each file, writing to stdout (or -o file) for a single file, or into --out-dir',
+  '  render --svg|--html [--solution] [-o file | --out-dir dir] files...',
+  '      render each file, writing to stdout (or -o file) for a single file, or into --out-dir',
+  '  fmt [--check] files...',
+  '      rewrite each file in canonical form, applying the safe fixes (stdin is written to stdout),',
+  '      or with --check, list the files which are not, exiting 1 if there are any, or if any file has errors',
+  '  stats files...',
+  '      print the stats of each file, as a line of JSON per file, e.g. {"file":"a.yaml","wordCount":28,...}',
+  '',
+  'files may be globs, e.g. \'puzzles/**/*.yaml\', and - (or no files) means stdin',
+].join("\n");
+
+///
+// the default io, for the real process
+///
+
+function defaultIo(){
+  return {
+    cwd       : process.cwd(),
+    stdout    : data => process.stdout.write( data ),
+    stderr    : data => process.stderr.write( data ),
+    readStdin : () => fs.readFileSync( 0 ),
+  };
+}
+
+// the options of each command, { name: 'flag'|'value'|[allowed values] }
+const commandOptions = {
+  validate : { profile: Object.keys(crosswordDataFormat.spec.ruleProfiles), 'collect-all': 'flag' },
+  convert  : { to: ['ipuz', 'puz', 'jpz', 'json'], output: 'value', 'out-dir': 'value' },
+  render   : { svg: 'flag', html: 'flag', solution: 'flag', output: 'value', 'out-dir': 'value' },
+  fmt      : { check: 'flag' },
+  stats    : {},
+};
+
+const optionAliases = {
+  '-o' : 'output',
+};
+
+///
+// split the args into { command, options, files }, where options are --name, --name value or --name=value,
+// returning { error } if the args do not fit the command's options
+///
+
+function parseArgs( args ){
+  const [command, ...rest] = args;
+  if (!commandOptions.hasOwnProperty(command)) {
+    return { error: (command === undefined)? `missing command` : `unknown command, '${command}'` };
+  }
+  const optionsSpec = commandOptions[command];
+  const options = {};
+  const files = [];
+  for (let a = 0; a < rest.length; a++) {
+    const arg = rest[a];
+    if (arg === stdinName || !arg.startsWith('-')) {
+      files.push( arg );
+      continue;
+    }
+    const [flag, inlineValue] = arg.split(/=(.*)/);
+    const name = (optionAliases.hasOwnProperty(flag))? optionAliases[flag] : flag.replace(/^--/, '');
+    if (!optionsSpec.hasOwnProperty(name) || !flag.match(/^--|^-o$/)) {
+      return { error: `unknown option for ${command}, '${arg}'` };
+    }
+    if (optionsSpec[name] === 'flag') {
+      if (inlineValue !== undefined) {
+        return { error: `option '${flag}' does not take a value` };
+      }
+      options[name] = true;
+      continue;
+    }
+    const value = (inlineValue !== undefined)? inlineValue : rest[++a];
+    if (value === undefined) {
+      return { error: `option '${flag}' needs a value` };
+    }
+    if (Array.isArray(optionsSpec[name]) && !optionsSpec[name].includes(value)) {
+      return { error: `option '${flag}' must be one of: ${optionsSpec[name].join(', ')}, not '${value}'` };
+    }
+    options[name] = value;
+  }
+  return { command, options, files };
+}
+
+///
+// expand any globs in the list of files, where * and ? match within a path segment, and ** matches any number of segments,
+// returning { errors, files }, where the files are in the order given, and the matches of each glob are sorted
+///
+
+function isGlob( file ){
+  return /[*?]/.test( file );
+}
+
+function segmentRegex( segment ){
+  const source = segment.split('').map( c => (c === '*')? '[^/]*' : (c === '?')? '[^/]' : c.replace(/[.+^${}()|[\]\\]/g, '\\$&') ).join('');
+  return new RegExp( `^${source}$` );
+}
+
+function matchSegments( dir, segments, cwd ){
+  if (segments.length === 0) {
+    return [dir];
+  }
+  const [segment, ...rest] = segments;
+  const absoluteDir = path.resolve( cwd, dir );
+  const join = name => (dir === '')? name : path.posix.join( dir, name );
+  if (segment !== '**' && !isGlob( segment )) {
+    return (rest.length === 0 && !fs.existsSync( path.resolve( absoluteDir, segment ) ))? [] : matchSegments( join( segment ), rest, cwd );
+  }
+
+  let entries;
+  try {
+    entries = fs.readdirSync( absoluteDir, { withFileTypes: true } ).sort( (a, b) => (a.name < b.name)? -1 : (a.name > b.name)? 1 : 0 );
+  } catch (err) {
+    return [];
+  }
+  if (segment === '**') {
+    // match nothing here, or descend into each directory, still matching **
+    return matchSegments( dir, rest, cwd ).concat( ...entries
+      .filter( entry => entry.isDirectory() && !entry.name.startsWith('.') )
+      .map( entry => matchSegments( join( entry.name ), segments, cwd ) ) );
+  }
+  const regex = segmentRegex( segment );
+  return [].concat( ...entries
+    .filter( entry => regex.test( entry.name ) && !entry.name.startsWith('.') && (rest.length === 0 || entry.isDirectory()) )
+    .map( entry => matchSegments( join( entry.name ), rest, cwd ) ) );
+}
+
+function expandFiles( files, cwd ){
+  const errors = [];
+  const expanded = [];
+  files.forEach( file => {
+    if (!isGlob( file )) {
+      expanded.push( file );
+      return;
+    }
+    const segments = file.split(/[\\/]/);
+    const isAbsolute = segments[0] === '' && segments.length > 1;
+    const matches = matchSegments( (isAbsolute)? '/' : '', segments.slice( (isAbsolute)? 1 : 0 ), cwd )
+      .filter( match => fs.statSync( path.resolve( cwd, match ) ).isFile() );
+    if (matches.length === 0) {
+      errors.push(`no files match '${file}'`);
+    }
+    matches.forEach( match => {
+      if (!expanded.includes( match )) {
+        expanded.push( match );
+      }
+    });
+  });
+  return { errors, files: expanded };
+}
+
+///
+// read each input as { name, text }, where stdin is named '<stdin>',
+// returning { errors, inputs }
+///
+
+function readInputs( files, io ){
+  const errors = [];
+  const inputs = [];
+  files.forEach( file => {
+    try {
+      const buffer = (file === stdinName)? io.readStdin() : fs.readFileSync( path.resolve( io.cwd, file ) );
+      inputs.push({ file, name: (file === stdinName)? '<stdin>' : file, text: buffer.toString('utf8') });
+    } catch (err) {
+      errors.push(`cannot read '${file}': ${err.message}`);
+    }
+  });
+  return { errors, inputs };
+}
+
+///
+// the location of a diagnostic, in the file:line:column form understood by editors
+///
+
+function diagnosticText( name, d ){
+  const location = [name].concat( (d.line === null)? [] : [d.line], (d.column === null)? [] : [d.column] ).join(':');
+  return `${location}: ${d.severity} ${d.code} ${d.message}`;
+}
+
+function reportErrors( name, parsing, io ){
+  parsing.diagnostics
+  .filter( d => d.severity === 'error' )
+  .forEach( d => io.stderr( diagnosticText( name, d ) + "\n" ) );
+}
+
+///
+// the model as JSON, with just the properties described by the model schema (see jsonSchemas)
+///
+
+function modelJson( parsing ){
+  const properties = Object.keys( crosswordDataFormat.jsonSchemas( parsing.spec.version ).model.properties );
+  const model = {};
+  properties
+  .filter( key => parsing.hasOwnProperty(key) )
+  .forEach( key => { model[key] = parsing[key]; });
+  return JSON.stringify( model, null, 2 ) + "\n";
+}
+
+const converters = { // --to -> fn( parsing ) returning { errors, output }
+  ipuz : parsing => { const { errors, ipuz } = crosswordDataFormat.toIpuz( parsing ); return { errors, output: (ipuz === null)? null : JSON.stringify( ipuz, null, 2 ) + "\n" }; },
+  puz  : parsing => { const { errors, puz } = crosswordDataFormat.toPuz( parsing ); return { errors, output: puz }; },
+  jpz  : parsing => { const { errors, jpz } = crosswordDataFormat.toJpz( parsing ); return { errors, output: jpz }; },
+  json : parsing => ({ errors: [], output: modelJson( parsing ) }),
+};
+
+const renderers = { // --svg or --html -> fn( parsing, options ) returning { errors, output }
+  svg  : (parsing, options) => { const { errors, svg } = crosswordDataFormat.toSvg( parsing, options ); return { errors, output: svg }; },
+  html : (parsing, options) => { const { errors, html } = crosswordDataFormat.toHtml( parsing, options ); return { errors, output: html }; },
+};
+
+///
+// where to write the output for each input: stdout (null), the -o file, or a file in --out-dir named after the input,
+// returning { error } if the options do not make sense for the inputs
+///
+
+function outputTargets( inputs, options, extension ){
+  if (options.output !== undefined && options['out-dir'] !== undefined) {
+    return { error: `cannot use both -o and --out-dir` };
+  }
+  if (options['out-dir'] === undefined) {
+    if (inputs.length > 1) {
+      return { error: `need --out-dir to write the output of more than one file` };
+    }
+    return { targets: inputs.map( () => (options.output === undefined)? null : options.output ) };
+  }
+  if (inputs.some( input => input.file === stdinName )) {
+    return { error: `cannot use --out-dir with stdin, since it has no name to write the output to` };
+  }
+  const targets = inputs.map( input => path.join( options['out-dir'], path.basename( input.file, path.extname( input.file ) ) + '.' + extension ) );
+  const duplicate = targets.find( (target, t) => targets.indexOf( target ) !== t );
+  if (duplicate !== undefined) {
+    return { error: `more than one file would be written to '${duplicate}'` };
+  }
+  return { targets };
+}
+
+function writeOutput( target, output, io ){
+  if (target === null) {
+    io.stdout( output );
+  } else {
+    const absoluteTarget = path.resolve( io.cwd, target );
+    fs.mkdirSync( path.dirname( absoluteTarget ), { recursive: true } );
+    fs.writeFileSync( absoluteTarget, output );
+  }
+}
+
+///
+// parse each input, and write the output of fn( parsing, input ) to its target, returning the exit code
+///
+
+function writeEach( inputs, targets, fn, io ){
+  let exitCode = exitCodes.ok;
+  inputs.forEach( (input, i) => {
+    const parsing = crosswordDataFormat.parse( input.text );
+    if (!parsing.isValid) {
+      reportErrors( input.name, parsing, io );
+      exitCode = exitCodes.problem;
+      return;
+    }
+    const { errors, output } = fn( parsing, input );
+    if (errors.length > 0 || output === null) {
+      errors.forEach( error => io.stderr( `${input.name}: ${error}\n` ) );
+      exitCode = exitCodes.problem;
+      return;
+    }
+    writeOutput( targets[i], output, io );
+  });
+  return exitCode;
+}
+
+const commands = {
+  validate : (inputs, options, io) => {
+    let exitCode = exitCodes.ok;
+    inputs.forEach( input => {
+      const parsing = crosswordDataFormat.parse( input.text, { profile: options.profile, collectAll: options['collect-all'] === true } );
+      parsing.diagnostics.forEach( d => io.stdout( diagnosticText( input.name, d ) + "\n" ) );
+      if (!parsing.isValid) {
+        exitCode = exitCodes.problem;
+      }
+    });
+    return exitCode;
+  },
+
+  convert : (inputs, options, io) => {
+    if (options.to === undefined) {
+      return { error: `convert needs --to ${commandOptions.convert.to.join('|')}` };
+    }
+    const { error, targets } = outputTargets( inputs, options, options.to );
+    if (error) { return { error }; }
+    return writeEach( inputs, targets, converters[options.to], io );
+  },
+
+  render : (inputs, options, io) => {
+    const kinds = Object.keys(renderers).filter( kind => options[kind] );
+    if (kinds.length !== 1) {
+      return { error: `render needs one of --svg or --html` };
+    }
+    const { error, targets } = outputTargets( inputs, options, kinds[0] );
+    if (error) { return { error }; }
+    return writeEach( inputs, targets, parsing => renderers[kinds[0]]( parsing, { solution: options.solution === true } ), io );
+  },
+
+  fmt : (inputs, options, io) => {
+    let exitCode = exitCodes.ok;
+    inputs.forEach( input => {
+      const formatted = crosswordDataFormat.format( input.text );
+      if (options.check) {
+        if (formatted.text !== input.text) {
+          io.stdout( `${input.name}\n` );
+          exitCode = exitCodes.problem;
+        }
+      } else {
+        formatted.fixes.forEach( f => io.stderr( `${[input.name].concat( (f.line === null)? [] : [f.line] ).join(':')}: fixed ${f.code} ${f.message}\n` ) );
+        if (input.file === stdinName) {
+          io.stdout( formatted.text );
+        } else if (formatted.text !== input.text) {
+          fs.writeFileSync( path.resolve( io.cwd, input.file ), formatted.text );
+        }
+      }
+      if (formatted.errors.length > 0) {
+        reportErrors( input.name, crosswordDataFormat.parse( formatted.text ), io );
+        exitCode = exitCodes.problem;
+      }
+    });
+    return exitCode;
+  },
+
+  stats : (inputs, options, io) => {
+    return writeEach( inputs, inputs.map( () => null ), (parsing, input) => {
+      const { errors, stats } = crosswordDataFormat.stats( parsing );
+      return { errors, output: (stats === null)? null : JSON.stringify( Object.assign( { file: input.name }, stats ) ) + "\n" };
+    }, io );
+  },
+};
+
+function main( args, io=defaultIo() ){
+  if (args.length === 0) {
+    io.stderr( usage + "\n" );
+    return exitCodes.usage;
+  }
+  if (args.includes('--help') || args.includes('-h')) {
+    io.stdout( usage + "\n" );
+    return exitCodes.ok;
+  }
+
+  const parsed = parseArgs( args );
+  if (parsed.error) {
+    io.stderr( `crossword: ${parsed.error}\n${usage}\n` );
+    return exitCodes.usage;
+  }
+
+  const expanded = expandFiles( (parsed.files.length === 0)? [stdinName] : parsed.files, io.cwd );
+  const read = readInputs( expanded.files, io );
+  const errors = expanded.errors.concat( read.errors );
+  if (errors.length > 0) {
+    errors.forEach( error => io.stderr( `crossword: ${error}\n` ) );
+    return exitCodes.usage;
+  }
+
+  const result = commands[parsed.command]( read.inputs, parsed.options, io );
+  if (result.error) {
+    io.stderr( `crossword: ${result.error}\n` );
+    return exitCodes.usage;
+  }
+  return result;
+}
+
+module.exports = {
+  exitCodes,
+  main,
+}
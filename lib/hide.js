@@ -0,0 +1,115 @@
+'use strict'
+
+const model = require('./model.js');
+
+///
+// The hashes of hidden answers (see hideAnswers in index.js), so a crossword can be published before its solution,
+// and a solver's answer checked (with verifyAnswer) in the browser, without the answer being in the document.
+// The hashes are in the extension keys, x-answer-salt, x-answer-kdf and x-answer-hashes (one item per clue, e.g. '1 across 9f86d0…'),
+// where each is the PBKDF2 (HMAC-SHA-256) key, with the iterations recorded in x-answer-kdf, of the letters of the answer,
+// salted with the salt and the clue, so the same answer in two clues (or in two crosswords, each with its own random salt)
+// does not give the same hash, and no table of hashes can be computed in advance.
+//
+// The hashing uses the Web Crypto API (globalThis.crypto), as found in browsers and in Node 19 or later,
+// which is asynchronous, so hashAnswers and verifyAnswer return Promises, and do not block while they work.
+// Each hash costs around 50ms (in Node or a desktop browser, more on a phone),
+// so verifying an answer takes around 50ms, and hiding the answers of a 30 clue crossword around 1.5s.
+//
+// What this does not do is keep an answer secret from a determined solver: the salt is published alongside the hashes,
+// and the enumeration gives the length of each answer, so each guess (e.g. every dictionary word of that length)
+// can still be checked. The slow key derivation only makes that costly,
+// which stops a casual look, but not a long dictionary search for a short answer.
+///
+
+const answerSaltKey = 'x-answer-salt';
+const answerKdfKey = 'x-answer-kdf';
+const answerHashesKey = 'x-answer-hashes';
+const answerKdf = { iterations: 100000, keylen: 32 };
+const answerKdfRegex = /^pbkdf2-sha256 iterations=(\d+) keylen=(\d+)$/;
+const maxAnswerKdfIterations = 1000000; // so that a document cannot ask verifyAnswer for an unbounded amount of work
+
+function formatAnswerKdf( kdf ){
+  return `pbkdf2-sha256 iterations=${kdf.iterations} keylen=${kdf.keylen}`;
+}
+
+///
+// the kdf parameters recorded in a document, or null (with an error) if they are not ones we can (or will) use
+///
+function parseAnswerKdf( text, errors ){
+  const matched = (typeof text === 'string')? text.match( answerKdfRegex ) : null;
+  const kdf = (matched)? { iterations: parseInt(matched[1], 10), keylen: parseInt(matched[2], 10) } : null;
+  if (kdf === null || kdf.iterations < 1000 || kdf.iterations > maxAnswerKdfIterations || kdf.keylen < 16 || kdf.keylen > 64) {
+    errors.push(`unsupported answer hash kdf, ${JSON.stringify(text)}, expected e.g. '${formatAnswerKdf( answerKdf )}'`);
+    return null;
+  }
+  return kdf;
+}
+
+function hexOf( bytes ){
+  return Array.from( new Uint8Array( bytes ) ).map( byte => byte.toString(16).padStart(2, '0') ).join('');
+}
+
+async function answerHash( salt, id, direction, letters, kdf=answerKdf ){
+  const encoder = new TextEncoder();
+  const key = await globalThis.crypto.subtle.importKey( 'raw', encoder.encode( letters ), 'PBKDF2', false, ['deriveBits'] );
+  const params = { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode( `${salt}:${id} ${direction}` ), iterations: kdf.iterations };
+  return hexOf( await globalThis.crypto.subtle.deriveBits( params, key, kdf.keylen * 8 ) );
+}
+
+///
+// the letters of an answer or a solver's guess, ignoring case, spaces, answer separators, punctuation and the brackets of rebus cells
+///
+function answerLetters( text ){
+  return model.answerCells( text.replace(/[\s,\-|]/g, '') ).join('').toUpperCase();
+}
+
+///
+// the extension keys of the hashes of answers, a list of { id, direction, text }, e.g. { id: '1', direction: 'across', text: 'TRIES,DURING' },
+// where salt is for repeatable output, otherwise each call makes a new random salt.
+// Returns a Promise of { 'x-answer-salt', 'x-answer-kdf', 'x-answer-hashes' }.
+///
+async function hashAnswers( answers, salt=hexOf( globalThis.crypto.getRandomValues( new Uint8Array(16) ) ) ){
+  const hashes = await Promise.all( answers.map( answer => answerHash( salt, answer.id, answer.direction, answerLetters( answer.text ) ) ) );
+  return {
+    [answerSaltKey]   : salt,
+    [answerKdfKey]    : formatAnswerKdf( answerKdf ),
+    [answerHashesKey] : answers.map( (answer, a) => `${answer.id} ${answer.direction} ${hashes[a]}` ),
+  };
+}
+
+///
+// check a solver's answer (e.g. 'tries, during') to a clue against the hash added by hideAnswers,
+// where the answer to a clue which belongs to another is that of the whole linked answer, i.e. of the owning clue.
+// Returns a Promise of { errors, isCorrect }, where isCorrect is null if there is no answer, or the clue has no hash to check against.
+///
+async function verifyAnswer( parsing, id, direction, answer ){
+  const errors = [];
+  const clue = model.findClue( (parsing && parsing.clues) || {}, id, direction, errors );
+  if (clue === null) {
+    return { errors, isCorrect: null };
+  }
+  if (typeof answer !== 'string') {
+    errors.push(`answer for clue [${clue.id}][${clue.direction}] must be a string, not ${JSON.stringify(answer)}`);
+    return { errors, isCorrect: null };
+  }
+  const owner = clue.belongsTo || clue;
+  const extensions = parsing.extensions || {};
+  const salt = extensions[answerSaltKey];
+  const hashes = (Array.isArray(extensions[answerHashesKey]))? extensions[answerHashesKey] : [];
+  const hashItem = hashes.find( item => item.split(' ').slice(0, 2).join(' ') === `${owner.id} ${owner.direction}` );
+  if (typeof salt !== 'string' || hashItem === undefined) {
+    errors.push(`no answer hash for clue [${owner.id}][${owner.direction}]`);
+    return { errors, isCorrect: null };
+  }
+  const kdf = parseAnswerKdf( extensions[answerKdfKey], errors );
+  if (kdf === null) {
+    return { errors, isCorrect: null };
+  }
+  const hash = hashItem.split(' ')[2];
+  return { errors, isCorrect: hash === await answerHash( salt, owner.id, owner.direction, answerLetters( answer ), kdf ) };
+}
+
+module.exports = {
+  hashAnswers,
+  verifyAnswer,
+};
@@ -0,0 +1,413 @@
+'use strict'
+
+const model = require('./model.js');
+
+///
+// Mapping between a parsing in this format and the ipuz (JSON) standard for crosswords,
+// see http://www.ipuz.org/
+// - the header keys map to the ipuz metadata (name->title, pubdate->date, preamble->intro, source->url, size->dimensions),
+//   and the optional keys without an ipuz field (theme, series, number), and the x- extension keys,
+//   to ipuz extension fields, namespaced with ipuzExtensionNamespace, e.g. 'crossword-data-format:x-ft-section',
+// - the grid maps to the ipuz puzzle (clue numbers, 0 for a light cell, '#' for a blocked cell) and solution (letters, or several for a rebus cell),
+//   where a cell with a bar on its right or bottom has the ipuz style { barred: 'R', 'B' or 'RB' },
+// - each clue maps to an ipuz clue object, with its number, clue text, enumeration (from the answer parts),
+//   and cells, where an owning clue lists its owned clues as 'continued', and an owned clue refers back via 'see'
+//   (and, on import, has only its length as its answer, e.g. (5), since its letters are in the owning clue's answer).
+// Anything which cannot be represented in the other format is reported in the list of errors.
+///
+
+const ipuzVersion = 'http://ipuz.org/v2';
+const ipuzKind = 'http://ipuz.org/crossword#1';
+const ipuzDirections = { across: 'Across', down: 'Down' };
+const ipuzBlock = '#';
+const ipuzEmpty = 0;
+const ipuzBarSides = { T: 'top', R: 'right', B: 'bottom', L: 'left' };
+
+const headerKeysToIpuz = { // this format's header key -> ipuz field
+  name       : 'title',
+  author     : 'author',
+  editor     : 'editor',
+  copyright  : 'copyright',
+  publisher  : 'publisher',
+  pubdate    : 'date',
+  preamble   : 'intro',
+  difficulty : 'difficulty',
+  notes      : 'notes',
+  source     : 'url',
+};
+
+// the optional keys with no ipuz field, which (like the x- extension keys) are written as namespaced ipuz extension fields
+const extensionHeaderKeys = ['theme', 'series', 'number'];
+const ipuzExtensionNamespace = 'crossword-data-format:';
+const extensionKeyRegex = /^x-[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// the ipuz fields which are understood on import, beyond the header keys
+const knownIpuzFields = ['version', 'kind', 'dimensions', 'puzzle', 'solution', 'clues', 'block', 'empty'];
+
+const ipuzSeparators = { // this format's answer separator -> ipuz answer separator (the enumeration keeps the same separator)
+  ',' : ' ',
+  '-' : '-',
+};
+
+///
+// the ipuz enumeration (as for the clue lists, e.g. '5,3-2', or '1'5' for O'CLOCK) and answer of the answer parts,
+// where the contiguous separator '|' cannot be represented, so the parts either side are joined
+///
+
+function ipuzEnumerationAndAnswer( clue, parts, errors ){
+  let answer = '';
+  parts.forEach( (part, p) => {
+    if (p > 0) {
+      if (ipuzSeparators.hasOwnProperty(part.separator)) {
+        answer += ipuzSeparators[part.separator];
+      } else {
+        errors.push(`clue [${clue.id}][${clue.direction}] has an answer separator '${part.separator}' which cannot be represented in an ipuz enumeration, so its parts have been joined`);
+      }
+    }
+    answer += model.answerCells( part.text ).join('');
+  });
+
+  const isKnown = parts.every( part => !part.placeholder );
+  return { enumeration: model.formatEnumeration( parts ), answer: (isKnown)? answer : null };
+}
+
+function toIpuz( parsing ){
+  const errors = [];
+  if (!parsing || !parsing.isValid) {
+    errors.push(`can only convert a valid parsing to ipuz`);
+    return { errors, ipuz: null };
+  }
+
+  const ipuz = {
+    version : ipuzVersion,
+    kind    : [ipuzKind],
+  };
+  Object.keys(headerKeysToIpuz).forEach( key => {
+    if (parsing[key] !== undefined && parsing[key] !== '') {
+      ipuz[headerKeysToIpuz[key]] = parsing[key];
+    }
+  });
+  extensionHeaderKeys.concat( Object.keys( parsing.extensions || {} ) ).forEach( key => {
+    const value = (extensionKeyRegex.test(key))? parsing.extensions[key] : parsing[key];
+    if (value !== undefined && value !== '') {
+      ipuz[`${ipuzExtensionNamespace}${key}`] = value;
+    }
+  });
+  model.unrepresentedHeaderKeys( parsing, Object.keys(headerKeysToIpuz).concat( extensionHeaderKeys, Object.keys( parsing.extensions || {} ) ) )
+  .forEach( key => errors.push(`ipuz cannot represent the header key '${key}', so it has been dropped`) );
+  ipuz.dimensions = {
+    width  : parsing.dimensions.across,
+    height : parsing.dimensions.down,
+  };
+  ipuz.puzzle = parsing.grid.map( row => row.map( cell => {
+    const value = (cell.isBlocked)? ipuzBlock : (cell.id === null)? ipuzEmpty : parseInt(cell.id, 10);
+    const barred = ['R', 'B'].filter( side => cell.bars[ipuzBarSides[side]] ).join('');
+    return (barred === '')? value : { cell: value, style: { barred } };
+  }));
+  if (parsing.grid.some( row => row.some( cell => cell.letter !== null ) )) {
+    ipuz.solution = parsing.grid.map( row => row.map( cell => (cell.isBlocked)? ipuzBlock : cell.letter ) );
+  }
+
+  ipuz.clues = {};
+  model.directions.forEach( direction => {
+    ipuz.clues[ipuzDirections[direction]] = model.orderedClues( parsing, direction ).map( clue => {
+      const ipuzClue = {
+        number : parseInt(clue.id, 10),
+        clue   : clue.body,
+      };
+      if (clue.belongsTo) {
+        ipuzClue.see = {
+          direction : ipuzDirections[clue.belongsTo.direction],
+          number    : parseInt(clue.belongsTo.id, 10),
+        };
+        ipuzClue.enumeration = `${clue.answer.length}`;
+      } else {
+        const { enumeration, answer } = ipuzEnumerationAndAnswer( clue, clue.answer.parts, errors );
+        ipuzClue.enumeration = enumeration;
+        if (answer !== null) {
+          ipuzClue.answer = answer;
+        }
+      }
+      if (clue.owns.length > 0) {
+        ipuzClue.continued = clue.owns.map( owned => ({
+          direction : ipuzDirections[owned.direction],
+          number    : parseInt(owned.id, 10),
+        }));
+      }
+      ipuzClue.cells = model.clueCells( clue ).map( cell => [cell.across, cell.down] );
+      return ipuzClue;
+    });
+  });
+
+  return { errors, ipuz };
+}
+
+///
+// The reverse of toIpuz, from an ipuz object (or JSON text, optionally wrapped as 'ipuz(...)')
+// to something shaped like a parsing (header values and clues), suitable for stringify,
+// where the coords of each clue are found from its number in the ipuz puzzle,
+// and the answer letters from the ipuz solution (if there is one),
+// and the bars from the barred styles of the cells (where a clue without cells ends at a bar, as well as at a block).
+// Returns null if the ipuz cannot be read at all.
+///
+
+function readIpuzJson( json, errors ){
+  if (typeof json !== 'string') {
+    return json;
+  }
+  const unwrappedJson = json.trim().replace(/^ipuz\(([\s\S]*)\)\s*;?$/, '$1');
+  try {
+    return JSON.parse( unwrappedJson );
+  } catch (err) {
+    errors.push(`could not parse ipuz JSON: ${err.message}`);
+    return null;
+  }
+}
+
+function cellValue( cell ){
+  return (cell !== null && typeof cell === 'object')? cell.cell : cell;
+}
+
+function solutionValue( cell ){
+  return (cell !== null && typeof cell === 'object')? cell.value : cell;
+}
+
+///
+// parse an ipuz enumeration, e.g. '5,4', '5-4', '5 4' or, with punctuation which takes no cell, '1'5', into parts of { word, length, separator },
+// where word is the enumeration of that part, e.g. '1'5'
+///
+
+const ipuzEnumerationWord = model.enumerationWordRegexComponent;
+const ipuzEnumerationRegex = new RegExp( `^${ipuzEnumerationWord}(?:\\s*[,\\- ]\\s*${ipuzEnumerationWord})*$` );
+
+function parseIpuzEnumeration( enumeration ){
+  const matchedEnumeration = `${enumeration}`.trim().match( ipuzEnumerationRegex );
+  if (!matchedEnumeration) {
+    return null;
+  }
+  const tokens = `${enumeration}`.trim().replace(/\s*([,\-])\s*/g, '$1').replace(/\s+/g, ',').match( new RegExp(`${ipuzEnumerationWord}|[,\\-]`, 'g') );
+  const parts = [];
+  for (let t = 0; t < tokens.length; t += 2) {
+    parts.push({
+      separator : (t > 0)? tokens[t - 1] : undefined,
+      word      : tokens[t],
+      length    : model.enumerationWordLength( tokens[t] ),
+    });
+  }
+  return parts;
+}
+
+function ipuzToParsing( json, errors ){
+  const ipuz = readIpuzJson( json, errors );
+  if (ipuz === null) { return null; }
+
+  if (!ipuz || !Array.isArray(ipuz.kind) || !ipuz.kind.some( kind => `${kind}`.startsWith('http://ipuz.org/crossword') )) {
+    errors.push(`ipuz kind is not a crossword`);
+    return null;
+  }
+  if (!ipuz.dimensions || !Array.isArray(ipuz.puzzle)) {
+    errors.push(`ipuz does not have dimensions and a puzzle`);
+    return null;
+  }
+
+  const width  = ipuz.dimensions.width;
+  const height = ipuz.dimensions.height;
+  const block  = (ipuz.hasOwnProperty('block'))? ipuz.block : ipuzBlock;
+  const parsing = {
+    size       : `${width}x${height}`,
+    clues      : {},
+    extensions : {},
+  };
+
+  Object.keys(headerKeysToIpuz).forEach( key => {
+    if (ipuz.hasOwnProperty(headerKeysToIpuz[key])) {
+      parsing[key] = `${ipuz[headerKeysToIpuz[key]]}`;
+    }
+  });
+  const isTextList = value => Array.isArray(value) && value.every( item => typeof item === 'string' );
+  const extensionFields = Object.keys(ipuz).filter( field => field.startsWith( ipuzExtensionNamespace ) ).filter( field => {
+    const key = field.slice( ipuzExtensionNamespace.length );
+    const value = ipuz[field];
+    if (extensionHeaderKeys.includes(key) && typeof value === 'string') {
+      parsing[key] = value;
+    } else if (extensionKeyRegex.test(key) && (typeof value === 'string' || isTextList( value ))) {
+      parsing.extensions[key] = value;
+    } else {
+      return false;
+    }
+    return true;
+  });
+  const ipuzFields = Object.keys(headerKeysToIpuz).map( key => headerKeysToIpuz[key] ).concat( knownIpuzFields, extensionFields );
+  Object.keys(ipuz)
+  .filter( field => !ipuzFields.includes(field) )
+  .forEach( field => {
+    errors.push(`ipuz field '${field}' cannot be represented, so has been dropped`);
+  });
+
+  const isLight = (across, down) => across >= 1 && across <= width && down >= 1 && down <= height
+                                 && ipuz.puzzle[down - 1] && cellValue( ipuz.puzzle[down - 1][across - 1] ) !== block
+                                 && cellValue( ipuz.puzzle[down - 1][across - 1] ) !== null;
+  const letterAt = (across, down) => {
+    const letter = (ipuz.solution && ipuz.solution[down - 1])? solutionValue( ipuz.solution[down - 1][across - 1] ) : null;
+    return (typeof letter === 'string' && letter !== block && letter.match(/^[^\s\[\]()]+$/))? letter.toUpperCase() : null; // several chars for a rebus cell
+  };
+  // the bars of the cells' barred styles, each as the right or bottom bar of a cell (those along the edge of the grid are not needed)
+  const barredCells = {}; // [across,down] = { coords, right, bottom }
+  const addBar = (across, down, side) => {
+    const isInside = (side === 'right')? (across >= 1 && across < width) : (down >= 1 && down < height);
+    if (isInside) {
+      const key = `${across},${down}`;
+      barredCells[key] = barredCells[key] || { coords: { across, down }, right: false, bottom: false };
+      barredCells[key][side] = true;
+    }
+  };
+  const isBarAfter = (across, down, direction) => {
+    const barredCell = barredCells[`${across},${down}`];
+    return barredCell !== undefined && barredCell[(direction === 'across')? 'right' : 'bottom'];
+  };
+
+  const coordsOfNumber = {};
+  ipuz.puzzle.forEach( (row, d) => {
+    row.forEach( (cell, a) => {
+      const style = (cell !== null && typeof cell === 'object' && cell.style)? cell.style : null;
+      if (style !== null && typeof style.barred === 'string') {
+        style.barred.toUpperCase().split('').forEach( side => {
+          if (side === 'T') { addBar( a + 1, d, 'bottom' ); }
+          if (side === 'R') { addBar( a + 1, d + 1, 'right' ); }
+          if (side === 'B') { addBar( a + 1, d + 1, 'bottom' ); }
+          if (side === 'L') { addBar( a, d + 1, 'right' ); }
+        });
+      }
+      if (style !== null && Object.keys(style).some( field => field !== 'barred' )) {
+        errors.push(`ipuz cell style at (${a + 1},${d + 1}) cannot be represented, so has been dropped`);
+      }
+      const value = cellValue( cell );
+      if (value !== block && value !== null && `${value}` !== `${ipuzEmpty}` && `${value}`.match(/^\d+$/)) {
+        coordsOfNumber[`${value}`] = { across: a + 1, down: d + 1 };
+      }
+    });
+  });
+
+  // first pass: establish each clue's coords, cells and letters
+  const ipuzClues = [];
+  Object.keys(ipuzDirections).forEach( direction => {
+    const directionClues = (ipuz.clues)? ipuz.clues[ipuzDirections[direction]] : undefined;
+    (directionClues || []).forEach( (ipuzClue, c) => {
+      let number, text, enumeration, see, continued, cells;
+      if (Array.isArray(ipuzClue)) {
+        [number, text] = ipuzClue;
+      } else if (ipuzClue !== null && typeof ipuzClue === 'object') {
+        ({ number, clue: text, enumeration, see, continued, cells } = ipuzClue);
+        Object.keys(ipuzClue)
+        .filter( field => !['number', 'clue', 'enumeration', 'answer', 'see', 'continued', 'cells'].includes(field) )
+        .forEach( field => errors.push(`ipuz ${direction} clue[${c}] field '${field}' cannot be represented, so has been dropped`) );
+      } else {
+        errors.push(`ipuz ${direction} clue[${c}] has no number`);
+        return;
+      }
+
+      const id = `${number}`;
+      const coords = (cells && cells.length > 0)? { across: cells[0][0], down: cells[0][1] } : coordsOfNumber[id];
+      if (coords === undefined) {
+        errors.push(`ipuz ${direction} clue[${c}] has number ${id}, which is not in the puzzle`);
+        return;
+      }
+      let length = (cells)? cells.length : 0;
+      if (!cells) {
+        const step = (direction === 'across')? { across: 1, down: 0 } : { across: 0, down: 1 };
+        while (isLight( coords.across + step.across * length, coords.down + step.down * length )
+        && (length === 0 || !isBarAfter( coords.across + step.across * (length - 1), coords.down + step.down * (length - 1), direction ))) {
+          length++;
+        }
+      }
+      const letters = [];
+      for (let index = 0; index < length; index++) {
+        letters.push( letterAt( coords.across + ((direction === 'across')? index : 0), coords.down + ((direction === 'down')? index : 0) ) );
+      }
+
+      ipuzClues.push({ id, direction, text: `${text}`, enumeration, see, continued: continued || [], coords, letters });
+    });
+  });
+
+  const findIpuzClue = clueNum => {
+    const number    = `${(clueNum !== null && typeof clueNum === 'object')? clueNum.number : clueNum}`;
+    const direction = `${(clueNum !== null && typeof clueNum === 'object')? clueNum.direction : ''}`.toLowerCase();
+    return ipuzClues.find( ipuzClue => ipuzClue.id === number && ipuzClue.direction === direction );
+  };
+
+  // second pass: the links between clues, and the answer parts
+  ipuzClues.forEach( ipuzClue => {
+    const owns = [];
+    let letters = ipuzClue.letters;
+    ipuzClue.continued.forEach( clueNum => {
+      const ownedClue = findIpuzClue( clueNum );
+      if (ownedClue === undefined) {
+        errors.push(`ipuz clue [${ipuzClue.id}][${ipuzClue.direction}] is continued in an unknown clue, ${JSON.stringify(clueNum)}`);
+      } else {
+        owns.push({ id: ownedClue.id, direction: ownedClue.direction });
+        letters = letters.concat( ownedClue.letters );
+      }
+    });
+
+    let belongsTo = null;
+    if (ipuzClue.see) {
+      const owningClue = findIpuzClue( ipuzClue.see );
+      if (owningClue === undefined) {
+        errors.push(`ipuz clue [${ipuzClue.id}][${ipuzClue.direction}] refers to an unknown clue, ${JSON.stringify(ipuzClue.see)}`);
+      } else {
+        belongsTo = { id: owningClue.id, direction: owningClue.direction };
+      }
+    }
+
+    let parts = [{ word: `${letters.length}`, length: letters.length }];
+    if (ipuzClue.enumeration !== undefined && !belongsTo) {
+      const enumeratedParts = parseIpuzEnumeration( ipuzClue.enumeration );
+      if (enumeratedParts === null) {
+        errors.push(`ipuz clue [${ipuzClue.id}][${ipuzClue.direction}] has an enumeration, '${ipuzClue.enumeration}', which cannot be represented, so has been dropped`);
+      } else if (enumeratedParts.reduce( (sum, part) => sum + part.length, 0 ) !== letters.length) {
+        errors.push(`ipuz clue [${ipuzClue.id}][${ipuzClue.direction}] has an enumeration, '${ipuzClue.enumeration}', which does not match its ${letters.length} cells, so has been dropped`);
+      } else {
+        parts = enumeratedParts;
+      }
+    }
+
+    const isKnown = letters.every( letter => letter !== null );
+    let offset = 0;
+    parts.forEach( part => {
+      const contents = (isKnown)? letters.slice( offset, offset + part.length ) : new Array( part.length ).fill( 'X' );
+      part.text = model.enumerationWordText( part.word, contents );
+      part.placeholder = !isKnown;
+      offset += part.length;
+      delete part.word;
+      if (part.separator === undefined) { delete part.separator; }
+    });
+
+    if (!parsing.clues.hasOwnProperty(ipuzClue.id)) {
+      parsing.clues[ipuzClue.id] = {};
+    }
+    parsing.clues[ipuzClue.id][ipuzClue.direction] = {
+      id        : ipuzClue.id,
+      direction : ipuzClue.direction,
+      coords    : ipuzClue.coords,
+      body      : ipuzClue.text,
+      owns,
+      belongsTo,
+      answer    : (belongsTo)? model.ownedClueAnswer( letters.length ) : { parts },
+    };
+  });
+
+  const bars = Object.keys(barredCells)
+  .map( key => barredCells[key] )
+  .sort( (a, b) => (a.coords.down - b.coords.down) || (a.coords.across - b.coords.across) )
+  .map( barredCell => `(${barredCell.coords.across},${barredCell.coords.down}) ${['right', 'bottom'].filter( side => barredCell[side] ).join(' ')}` );
+  if (bars.length > 0) {
+    parsing.bars = bars;
+  }
+
+  return parsing;
+}
+
+module.exports = {
+  toIpuz,
+  ipuzToParsing,
+}
@@ -0,0 +1,154 @@
+'use strict'
+
+const model = require('./model.js');
+const { escapeXml } = require('./xml.js');
+
+///
+// Export a valid parsing as Crossword Compiler .jpz XML, i.e.
+// - the alphabet, A-Z plus any other letters in the grid (e.g. É, or Greek letters), so that a solver can enter them,
+// - the metadata (name->title, author->creator, editor, copyright, publisher, notes->description),
+//   and the preamble as the instructions, where any other optional or x- extension key is reported as an error, and dropped,
+// - the grid cells, with their solution letters (if known), clue numbers and bars (right-bar, bottom-bar), or type="block",
+// - a word for each clue, listing the ranges of cells in its answer,
+//   where the word of an owning clue also includes the cells of its owned clues,
+// - the across and down clues, with their formatted enumerations,
+//   where an owned clue is a link ('See N') to its owning clue, whose number lists all the linked clue numbers.
+///
+
+const jpzNamespaces = {
+  applet : 'http://crossword.info/xml/crossword-compiler-applet',
+  puzzle : 'http://crossword.info/xml/rectangular-puzzle',
+};
+const jpzBaseAlphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+const jpzTitles = { across: 'Across', down: 'Down' };
+
+const headerKeysToJpz = { // this format's header key -> jpz metadata element
+  name      : 'title',
+  author    : 'creator',
+  editor    : 'editor',
+  copyright : 'copyright',
+  publisher : 'publisher',
+};
+const optionalKeysToJpz = { // this format's optional header key -> jpz metadata element
+  notes : 'description',
+};
+
+///
+// the attribute text of a range of coords, e.g. '1-5', or '3' if it is a single coord
+///
+
+function jpzRange( from, to ){
+  return (from === to)? `${from}` : `${from}-${to}`;
+}
+
+function jpzCells( clue ){
+  const cells = model.clueCells( clue );
+  const first = cells[0];
+  const last = cells[cells.length - 1];
+  return `x="${jpzRange( first.across, last.across )}" y="${jpzRange( first.down, last.down )}"`;
+}
+
+function jpzAlphabet( grid ){
+  const gridLetters = [].concat( ...grid )
+  .filter( cell => cell.isLight && cell.letter !== null )
+  .map( cell => model.answerTokens( cell.letter ) ) // each of the characters of a rebus cell
+  .reduce( (letters, cellLetters) => letters.concat( cellLetters ), [] );
+  const otherLetters = gridLetters.filter( (letter, index) => !jpzBaseAlphabet.includes(letter) && gridLetters.indexOf(letter) === index ).sort();
+  return jpzBaseAlphabet.concat( otherLetters ).join('');
+}
+
+function toJpz( parsing ){
+  const errors = [];
+  if (!parsing || !parsing.isValid) {
+    errors.push(`can only convert a valid parsing to jpz`);
+    return { errors, jpz: null };
+  }
+  model.unrepresentedHeaderKeys( parsing, Object.keys(optionalKeysToJpz).concat( ['preamble'] ) )
+  .forEach( key => errors.push(`jpz cannot represent the header key '${key}', so it has been dropped`) );
+
+  const lines = [];
+  lines.push( `<?xml version="1.0" encoding="UTF-8"?>` );
+  lines.push( `<crossword-compiler-applet xmlns="${jpzNamespaces.applet}">` );
+  lines.push( `<rectangular-puzzle xmlns="${jpzNamespaces.puzzle}" alphabet="${escapeXml( jpzAlphabet( parsing.grid ) )}">` );
+
+  lines.push( `<metadata>` );
+  Object.keys(headerKeysToJpz).forEach( key => {
+    const element = headerKeysToJpz[key];
+    lines.push( (parsing[key] === '')? `<${element}/>` : `<${element}>${escapeXml( parsing[key] )}</${element}>` );
+  });
+  Object.keys(optionalKeysToJpz).filter( key => parsing[key] ).forEach( key => {
+    const element = optionalKeysToJpz[key];
+    lines.push( `<${element}>${escapeXml( parsing[key] )}</${element}>` );
+  });
+  lines.push( `</metadata>` );
+  if (parsing.preamble) {
+    lines.push( `<instructions>${escapeXml( parsing.preamble )}</instructions>` );
+  }
+
+  lines.push( `<crossword>` );
+  lines.push( `<grid width="${parsing.dimensions.across}" height="${parsing.dimensions.down}">` );
+  lines.push( `<grid-look numbering-scheme="normal"/>` );
+  parsing.grid.forEach( row => {
+    row.forEach( cell => {
+      const attributes = [`x="${cell.coords.across}"`, `y="${cell.coords.down}"`];
+      if (cell.isBlocked) {
+        attributes.push( `type="block"` );
+      } else {
+        if (cell.letter !== null) {
+          attributes.push( `solution="${escapeXml( cell.letter )}"` );
+        }
+        if (cell.id !== null) {
+          attributes.push( `number="${cell.id}"` );
+        }
+      }
+      ['right', 'bottom'].filter( side => cell.bars[side] ).forEach( side => attributes.push( `${side}-bar="true"` ) );
+      lines.push( `<cell ${attributes.join(' ')}/>` );
+    });
+  });
+  lines.push( `</grid>` );
+
+  // one word per clue, numbered in clue order, across then down
+  const wordIds = {}; // [id direction] = word id
+  const clueLists = model.directions.map( direction => model.orderedClues( parsing, direction ) );
+  [].concat( ...clueLists ).forEach( (clue, c) => {
+    wordIds[`${clue.id} ${clue.direction}`] = c + 1;
+  });
+  [].concat( ...clueLists ).forEach( clue => {
+    const wordId = wordIds[`${clue.id} ${clue.direction}`];
+    if (clue.owns.length === 0) {
+      lines.push( `<word id="${wordId}" ${jpzCells( clue )}/>` );
+    } else {
+      lines.push( `<word id="${wordId}">` );
+      lines.push( `<cells ${jpzCells( clue )}/>` );
+      clue.owns.forEach( owned => {
+        lines.push( `<cells ${jpzCells( parsing.clues[owned.id][owned.direction] )}/>` );
+      });
+      lines.push( `</word>` );
+    }
+  });
+
+  model.directions.forEach( (direction, d) => {
+    lines.push( `<clues ordering="normal">` );
+    lines.push( `<title><b>${jpzTitles[direction]}</b></title>` );
+    clueLists[d].forEach( clue => {
+      const wordId = wordIds[`${clue.id} ${clue.direction}`];
+      if (clue.belongsTo) {
+        lines.push( `<clue word="${wordId}" number="${clue.id}" is-link="1">${escapeXml( model.seeText( clue ) )}</clue>` );
+      } else {
+        const format = model.formatEnumeration( clue.answer.parts );
+        lines.push( `<clue word="${wordId}" number="${escapeXml( model.clueLabel( clue ) )}" format="${escapeXml( format )}">${escapeXml( clue.body )}</clue>` );
+      }
+    });
+    lines.push( `</clues>` );
+  });
+
+  lines.push( `</crossword>` );
+  lines.push( `</rectangular-puzzle>` );
+  lines.push( `</crossword-compiler-applet>` );
+
+  return { errors, jpz: lines.join("\n") + "\n" };
+}
+
+module.exports = {
+  toJpz,
+}
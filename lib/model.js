@@ -0,0 +1,191 @@
+'use strict'
+
+///
+// Helpers for reading the model produced by parse, shared by the exporters and renderers.
+///
+
+const directions = ['across', 'down'];
+
+///
+// the clues in one direction, in id order
+///
+
+function orderedClues( parsing, direction ){
+  return Object.keys(parsing.clues)
+  .filter( id => parsing.clues[id].hasOwnProperty(direction) )
+  .sort( (a,b) => parseInt(a,10) - parseInt(b,10) )
+  .map( id => parsing.clues[id][direction] );
+}
+
+///
+// the coords of each cell of a clue's answer (just the portion held by this clue, if it owns or belongsTo others)
+///
+
+function clueCells( clue ){
+  const cells = [];
+  for (let index = 0; index < clue.answer.length; index++) {
+    cells.push({
+      across : clue.coords.across + ((clue.direction === 'across')? index : 0),
+      down   : clue.coords.down   + ((clue.direction === 'down'  )? index : 0),
+    });
+  }
+  return cells;
+}
+
+///
+// the contents of each cell of an answer's text, where a rebus cell (several characters, or a digit or symbol, in one cell)
+// is written in brackets, e.g. 'S[TAR]T' gives ['S', 'TAR', 'T'], a letter keeps any accents written as combining marks,
+// and the punctuation which takes no cell, e.g. the apostrophe of O'CLOCK, is skipped;
+// and the reverse, the text of a cell's contents, e.g. 'TAR' gives '[TAR]'
+///
+
+const answerPunctuation = "'’.!".split('');
+const answerTokenRegex = /\[[^\[\]]*\]|[^\[\]]\p{M}*/gu;
+
+function answerTokens( text ){
+  return text.match( answerTokenRegex ) || [];
+}
+
+function answerCells( text ){
+  return answerTokens( text )
+  .filter( token => !answerPunctuation.includes(token) )
+  .map( token => token.replace( /^\[(.*)\]$/, '$1' ) );
+}
+
+function cellText( contents ){
+  return (contents.match(/^[\p{Lu}\p{Lo}]\p{M}*$/u))? contents : `[${contents}]`;
+}
+
+///
+// the enumeration of the answer parts, as printed after a clue, e.g. '5,3-2',
+// where parts joined by the contiguous separator '|' are printed as one word,
+// and the punctuation which takes no cell is kept, e.g. '1'5' for O'CLOCK
+///
+
+function formatEnumeration( parts ){
+  let enumeration = '';
+  let lengthSoFar = 0;
+  let isPunctuated = false; // whether the current word has any punctuation, e.g. after the apostrophe of O'CLOCK
+  const endRun = () => {
+    if (lengthSoFar > 0 || !isPunctuated) {
+      enumeration += lengthSoFar;
+    }
+    lengthSoFar = 0;
+  };
+  parts.forEach( (part, p) => {
+    if (p > 0 && part.separator !== '|') {
+      endRun();
+      enumeration += part.separator;
+      isPunctuated = false;
+    }
+    answerTokens( part.text ).forEach( token => {
+      if (answerPunctuation.includes(token)) {
+        if (lengthSoFar > 0) {
+          endRun();
+        }
+        enumeration += token;
+        isPunctuated = true;
+      } else {
+        lengthSoFar++;
+      }
+    });
+  });
+  endRun();
+  return enumeration;
+}
+
+///
+// the reverse, as used by the importers: the pattern of a word of an enumeration, e.g. 5 or 1'5,
+// the number of cells of such a word, and its text, from the contents of those cells,
+// e.g. ("1'5", ['O', 'C', 'L', 'O', 'C', 'K']) gives "O'CLOCK", or with each cell 'X', the placeholder "X'XXXXX"
+///
+
+const enumerationWordRegexComponent = `[${answerPunctuation.join('')}]*\\d+(?:[${answerPunctuation.join('')}]+\\d+)*[${answerPunctuation.join('')}]*`;
+
+function enumerationWordLength( word ){
+  return (word.match(/\d+/g) || []).reduce( (sum, digits) => sum + parseInt(digits, 10), 0 );
+}
+
+function enumerationWordText( word, contents ){
+  let offset = 0;
+  return word.replace( /\d+/g, digits => {
+    const length = parseInt(digits, 10);
+    const text = contents.slice( offset, offset + length ).map( cellText ).join('');
+    offset += length;
+    return text;
+  });
+}
+
+///
+// the answer of a clue which belongs to another, as used by the importers: only its length, as a placeholder,
+// since its letters are in the answer of the owning clue, e.g. 5 gives the answer written by stringify as (5)
+///
+
+function ownedClueAnswer( length ){
+  return { parts: [{ text: enumerationWordText( `${length}`, new Array( length ).fill( 'X' ) ), placeholder: true, length }] };
+}
+
+///
+// the clue [id][direction] of clues, or null (with an error) if there is no such clue
+///
+
+function findClue( clues, id, direction, errors ){
+  const idText = `${id}`;
+  if (!clues.hasOwnProperty(idText) || !clues[idText].hasOwnProperty(direction)) {
+    errors.push(`unknown clue [${idText}][${direction}]`);
+    return null;
+  }
+  return clues[idText][direction];
+}
+
+///
+// the clue number as printed in the clue list, e.g. '1' or, for an owning clue, '1, 3 down',
+// only naming the direction of an owned clue when it differs from the owning clue's
+///
+
+function clueLabel( clue ){
+  return [clue.id]
+  .concat( clue.owns.map( owned => (owned.direction === clue.direction)? owned.id : `${owned.id} ${owned.direction}` ) )
+  .join(', ');
+}
+
+///
+// the optional header keys (as listed by the spec of the parsing) and the x- extension keys which have a value in the parsing,
+// but are not among representedKeys, so that an exporter can report each one it has to drop
+///
+
+function unrepresentedHeaderKeys( parsing, representedKeys ){
+  const optionalKeys = (parsing.spec && parsing.spec.optionalKeys) || [];
+  return optionalKeys
+  .filter( key => typeof parsing[key] === 'string' && parsing[key] !== '' )
+  .concat( Object.keys( parsing.extensions || {} ) )
+  .filter( key => !representedKeys.includes(key) );
+}
+
+///
+// the text printed for an owned clue, e.g. 'See 1' or, when the owning clue is in the other direction, 'See 1 Across'
+///
+
+function seeText( clue ){
+  const direction = clue.belongsTo.direction;
+  return (direction === clue.direction)? `See ${clue.belongsTo.id}` : `See ${clue.belongsTo.id} ${direction.charAt(0).toUpperCase()}${direction.slice(1)}`;
+}
+
+module.exports = {
+  directions,
+  orderedClues,
+  clueCells,
+  answerCells,
+  cellText,
+  formatEnumeration,
+  answerPunctuation,
+  answerTokens,
+  enumerationWordRegexComponent,
+  enumerationWordLength,
+  enumerationWordText,
+  ownedClueAnswer,
+  findClue,
+  clueLabel,
+  unrepresentedHeaderKeys,
+  seeText,
+}
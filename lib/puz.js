@@ -0,0 +1,401 @@
+'use strict'
+
+const model = require('./model.js');
+
+///
+// Reading and writing the Across Lite .puz binary format,
+// see https://code.google.com/archive/p/puz/wikis/FileFormat.wiki
+// The file is
+// - a fixed-size header (0x34 bytes), including the width and height of the grid, the number of clues, and various checksums,
+// - the solution grid, then the player state grid, each of width*height chars, row by row, where '.' is a blocked cell,
+// - null-terminated (ISO-8859-1) strings: title, author, copyright, the clues (in numbering order, across before down), notes,
+// - optional extra sections, each a 4-char title, the length and checksum of its data, the data, and a null,
+//   of which only the rebus sections are read and written here: GRBS, a byte per cell (0, or 1 + the key of its rebus),
+//   and RTBL, the rebus table, e.g. ' 0:TAR; 1:HEART;', where the solution grid has the first char of each rebus.
+///
+
+const headerLength = 0x34;
+const fileMagic = 'ACROSS&DOWN\0';
+const maskString = 'ICHEATED';
+const blockChar = '.';
+const emptyStateChar = '-';
+const writtenVersion = '1.3';
+const normalPuzzleType = 0x0001;
+const sectionHeaderLength = 8;
+
+const offsets = {
+  checksum         : 0x00,
+  fileMagic        : 0x02,
+  cibChecksum      : 0x0E,
+  maskedLowChecksums  : 0x10,
+  maskedHighChecksums : 0x14,
+  version          : 0x18,
+  scrambledChecksum: 0x1E,
+  width            : 0x2C,
+  height           : 0x2D,
+  numClues         : 0x2E,
+  puzzleType       : 0x30,
+  scrambledTag     : 0x32,
+};
+
+///
+// the .puz checksum of a region of bytes, continuing from a previous checksum
+///
+
+function checksumRegion( bytes, checksum=0 ){
+  for (let i = 0; i < bytes.length; i++) {
+    checksum = (checksum & 0x0001)? ((checksum >> 1) | 0x8000) : (checksum >> 1);
+    checksum = (checksum + bytes[i]) & 0xffff;
+  }
+  return checksum;
+}
+
+function latin1Bytes( text ){
+  return Buffer.from( text, 'latin1' );
+}
+
+///
+// the checksum of the strings (title, author, copyright, clues, notes), as used by the global and masked checksums,
+// where the empty title, author, copyright or notes are skipped, and the clues do not include their null terminators
+///
+
+function checksumStrings( puzzle, checksum=0 ){
+  [puzzle.title, puzzle.author, puzzle.copyright].forEach( text => {
+    if (text.length > 0) {
+      checksum = checksumRegion( latin1Bytes( text + '\0' ), checksum );
+    }
+  });
+  puzzle.clues.forEach( clue => {
+    checksum = checksumRegion( latin1Bytes( clue ), checksum );
+  });
+  if (puzzle.notes.length > 0 && parseFloat(puzzle.version) >= 1.3) {
+    checksum = checksumRegion( latin1Bytes( puzzle.notes + '\0' ), checksum );
+  }
+  return checksum;
+}
+
+///
+// calculate all the checksums for the puzzle: { checksum, cibChecksum, maskedLowChecksums, maskedHighChecksums }
+///
+
+function calcChecksums( cib, puzzle ){
+  const cibChecksum      = checksumRegion( cib );
+  const solutionChecksum = checksumRegion( latin1Bytes( puzzle.solution ) );
+  const stateChecksum    = checksumRegion( latin1Bytes( puzzle.state ) );
+  const stringsChecksum  = checksumStrings( puzzle );
+
+  let checksum = cibChecksum;
+  checksum = checksumRegion( latin1Bytes( puzzle.solution ), checksum );
+  checksum = checksumRegion( latin1Bytes( puzzle.state ), checksum );
+  checksum = checksumStrings( puzzle, checksum );
+
+  const partChecksums = [cibChecksum, solutionChecksum, stateChecksum, stringsChecksum];
+  const maskedLowChecksums  = Buffer.from( partChecksums.map( (c, i) => maskString.charCodeAt(i)     ^ (c & 0xff) ) );
+  const maskedHighChecksums = Buffer.from( partChecksums.map( (c, i) => maskString.charCodeAt(i + 4) ^ (c >> 8) ) );
+
+  return {
+    checksum,
+    cibChecksum,
+    maskedLowChecksums,
+    maskedHighChecksums,
+  };
+}
+
+///
+// read the null-terminated strings from the buffer, starting at offset,
+// returning { strings, offset } where offset is just after the last string read
+///
+
+function readStrings( buffer, offset, count, errors ){
+  const strings = [];
+  for (let s = 0; s < count; s++) {
+    const end = buffer.indexOf( 0, offset );
+    if (end === -1) {
+      errors.push(`.puz file ends before string[${s}] is terminated`);
+      break;
+    }
+    strings.push( buffer.toString( 'latin1', offset, end ) );
+    offset = end + 1;
+  }
+  return { strings, offset };
+}
+
+///
+// read the extra sections following the strings, as { title: data buffer }, checking each section's checksum
+///
+
+function readSections( buffer, offset, errors ){
+  const sections = {};
+  while (offset + sectionHeaderLength <= buffer.length) {
+    const title = buffer.toString( 'latin1', offset, offset + 4 );
+    const length = buffer.readUInt16LE( offset + 4 );
+    const checksum = buffer.readUInt16LE( offset + 6 );
+    const start = offset + sectionHeaderLength;
+    if (start + length > buffer.length) {
+      errors.push(`.puz file ends before the end of the ${title} section`);
+      break;
+    }
+    const data = buffer.slice( start, start + length );
+    if (checksumRegion( data ) !== checksum) {
+      errors.push(`.puz file ${title} section checksum mismatch: expected ${checksumRegion( data )}, found ${checksum}`);
+    }
+    sections[title] = data;
+    offset = start + length + 1; // skip the null after the data
+  }
+  return sections;
+}
+
+///
+// the rebus of each cell (or null), row by row, from the GRBS and RTBL sections, or null if there are none
+///
+
+function readRebus( sections, numCells, errors ){
+  if (!sections.GRBS || !sections.RTBL) {
+    return null;
+  }
+  const table = {};
+  sections.RTBL.toString( 'latin1' ).split(';').filter( entry => entry.trim() !== '' ).forEach( entry => {
+    const matchedEntry = entry.match(/^\s*(\d+):(.+)$/);
+    if (matchedEntry) {
+      table[parseInt(matchedEntry[1], 10)] = matchedEntry[2];
+    } else {
+      errors.push(`.puz file RTBL section has an unreadable entry, '${entry}'`);
+    }
+  });
+  const rebus = [];
+  for (let c = 0; c < numCells; c++) {
+    const key = (c < sections.GRBS.length)? sections.GRBS[c] - 1 : -1;
+    if (key >= 0 && !table.hasOwnProperty(key)) {
+      errors.push(`.puz file GRBS section refers to rebus ${key}, which is not in the RTBL section`);
+    }
+    rebus.push( (key >= 0 && table.hasOwnProperty(key))? table[key] : null );
+  }
+  return rebus;
+}
+
+function writeSection( title, data ){
+  const header = Buffer.alloc( sectionHeaderLength );
+  header.write( title, 0, 'latin1' );
+  header.writeUInt16LE( data.length, 4 );
+  header.writeUInt16LE( checksumRegion( data ), 6 );
+  return Buffer.concat( [header, data, Buffer.from([0])] );
+}
+
+///
+// the GRBS and RTBL sections of the rebus of each cell (or null), row by row, with a key for each different rebus
+///
+
+function writeRebusSections( rebus ){
+  const keys = [];
+  const grbs = Buffer.from( rebus.map( cellRebus => {
+    if (cellRebus === null) { return 0; }
+    if (!keys.includes(cellRebus)) { keys.push( cellRebus ); }
+    return keys.indexOf( cellRebus ) + 1;
+  }));
+  const rtbl = keys.map( (cellRebus, key) => `${(key < 10)? ' ' : ''}${key}:${cellRebus};` ).join('');
+  return Buffer.concat( [writeSection( 'GRBS', grbs ), writeSection( 'RTBL', latin1Bytes( rtbl ) )] );
+}
+
+///
+// decode the .puz buffer into { version, width, height, solution, state, title, author, copyright, clues, notes, isScrambled, rebus },
+// where solution and state are strings of width*height chars, row by row,
+// and rebus is the rebus of each cell (or null), row by row, or null if there is no rebus,
+// accumulating errors as we go (including any checksum mismatches),
+// returning null if the buffer cannot be decoded at all.
+///
+
+function readPuz( buffer, errors ){
+  if (!Buffer.isBuffer(buffer) || buffer.length < headerLength) {
+    errors.push(`.puz file is too short to contain a header: length=${(buffer && buffer.length) || 0}`);
+    return null;
+  }
+  if (buffer.toString( 'latin1', offsets.fileMagic, offsets.fileMagic + fileMagic.length ) !== fileMagic) {
+    errors.push(`.puz file does not contain the file magic '${fileMagic.replace('\0', '')}'`);
+    return null;
+  }
+
+  const width    = buffer.readUInt8( offsets.width );
+  const height   = buffer.readUInt8( offsets.height );
+  const numClues = buffer.readUInt16LE( offsets.numClues );
+  const numCells = width * height;
+  if (buffer.length < headerLength + (2 * numCells)) {
+    errors.push(`.puz file is too short to contain a ${width}x${height} grid`);
+    return null;
+  }
+
+  const puzzle = {
+    version     : buffer.toString( 'latin1', offsets.version, offsets.version + 4 ).replace(/\0.*$/, ''),
+    width,
+    height,
+    solution    : buffer.toString( 'latin1', headerLength, headerLength + numCells ),
+    state       : buffer.toString( 'latin1', headerLength + numCells, headerLength + (2 * numCells) ),
+    isScrambled : buffer.readUInt16LE( offsets.scrambledTag ) !== 0,
+  };
+
+  const numErrors = errors.length;
+  const read = readStrings( buffer, headerLength + (2 * numCells), 3 + numClues + 1, errors );
+  if (errors.length !== numErrors) { return null; }
+  const [title, author, copyright] = read.strings;
+  Object.assign( puzzle, {
+    title,
+    author,
+    copyright,
+    clues : read.strings.slice( 3, 3 + numClues ),
+    notes : read.strings[3 + numClues],
+    rebus : readRebus( readSections( buffer, read.offset, errors ), numCells, errors ),
+  });
+
+  const checksums = calcChecksums( buffer.slice( offsets.width, headerLength ), puzzle );
+  if (checksums.checksum !== buffer.readUInt16LE( offsets.checksum )) {
+    errors.push(`.puz file checksum mismatch: expected ${checksums.checksum}, found ${buffer.readUInt16LE( offsets.checksum )}`);
+  }
+  if (checksums.cibChecksum !== buffer.readUInt16LE( offsets.cibChecksum )) {
+    errors.push(`.puz file CIB checksum mismatch: expected ${checksums.cibChecksum}, found ${buffer.readUInt16LE( offsets.cibChecksum )}`);
+  }
+  if (!checksums.maskedLowChecksums.equals( buffer.slice( offsets.maskedLowChecksums, offsets.maskedLowChecksums + 4 ) )
+   || !checksums.maskedHighChecksums.equals( buffer.slice( offsets.maskedHighChecksums, offsets.maskedHighChecksums + 4 ) )) {
+    errors.push(`.puz file masked checksums mismatch`);
+  }
+
+  return puzzle;
+}
+
+///
+// encode the puzzle { width, height, solution, title, author, copyright, clues, notes, rebus } as a .puz buffer,
+// with an empty player state grid, all the checksums filled in, and the rebus sections if rebus is given (see readRebus).
+///
+
+function writePuz( puzzle ){
+  const state = puzzle.solution.split('').map( c => (c === blockChar)? blockChar : emptyStateChar ).join('');
+  const written = Object.assign( {}, puzzle, { version: writtenVersion, state } );
+
+  const header = Buffer.alloc( headerLength );
+  header.write( fileMagic, offsets.fileMagic, 'latin1' );
+  header.write( writtenVersion + '\0', offsets.version, 'latin1' );
+  header.writeUInt8( puzzle.width, offsets.width );
+  header.writeUInt8( puzzle.height, offsets.height );
+  header.writeUInt16LE( puzzle.clues.length, offsets.numClues );
+  header.writeUInt16LE( normalPuzzleType, offsets.puzzleType );
+
+  const checksums = calcChecksums( header.slice( offsets.width, headerLength ), written );
+  header.writeUInt16LE( checksums.checksum, offsets.checksum );
+  header.writeUInt16LE( checksums.cibChecksum, offsets.cibChecksum );
+  checksums.maskedLowChecksums.copy( header, offsets.maskedLowChecksums );
+  checksums.maskedHighChecksums.copy( header, offsets.maskedHighChecksums );
+
+  const strings = [puzzle.title, puzzle.author, puzzle.copyright].concat( puzzle.clues, [puzzle.notes] );
+  const sections = (puzzle.rebus && puzzle.rebus.some( cellRebus => cellRebus !== null ))? writeRebusSections( puzzle.rebus ) : Buffer.alloc(0);
+  return Buffer.concat( [header, latin1Bytes( puzzle.solution + state ), latin1Bytes( strings.map( text => text + '\0' ).join('') ), sections] );
+}
+
+function isLatin1( text ){
+  return !text.match(/[^\u0000-\u00ff]/);
+}
+
+///
+// the answers which a .puz reader will expect from the grid, in numbering order,
+// i.e. every run of two or more light cells, as '<id> <direction>'
+///
+
+function numberedAnswers( grid ){
+  const isLight = (across, down) => down >= 1 && down <= grid.length && across >= 1 && across <= grid[down - 1].length && grid[down - 1][across - 1].isLight;
+  const answers = [];
+  let id = 0;
+  grid.forEach( row => row.forEach( cell => {
+    const { across, down } = cell.coords;
+    if (!cell.isLight) { return; }
+    const starts = model.directions.filter( direction => (direction === 'across')
+      ? !isLight( across - 1, down ) && isLight( across + 1, down )
+      : !isLight( across, down - 1 ) && isLight( across, down + 1 ) );
+    if (starts.length > 0) {
+      id++;
+      starts.forEach( direction => answers.push( `${id} ${direction}` ) );
+    }
+  }));
+  return answers;
+}
+
+///
+// Convert a valid parsing into a .puz buffer, returning { errors, puz },
+// where each clue is written with its enumeration, e.g. 'Clue text (5,3)', and an owned clue as e.g. 'See 1 Across'.
+// A cell which is not a single letter A-Z (i.e. a rebus cell) is written in the rebus sections.
+// The .puz format has no way to represent an unknown letter, a character outside ISO-8859-1 (or a ';' in a rebus cell),
+// or the bars of a barred grid, so any of these is an error.
+// Nor can it represent the optional header keys other than notes, or the x- extension keys,
+// so each of these is reported as an error, but (unlike the others) does not stop the .puz being written.
+// A .puz reader numbers the clues from the grid, so the clues must be exactly those of the standard numbering.
+///
+
+function toPuz( parsing ){
+  const errors = [];
+  if (!parsing || !parsing.isValid) {
+    errors.push(`can only convert a valid parsing to puz`);
+    return { errors, puz: null };
+  }
+  if (parsing.dimensions.across > 0xff || parsing.dimensions.down > 0xff) {
+    errors.push(`.puz grid cannot be larger than 255x255: size=${parsing.size}`);
+    return { errors, puz: null };
+  }
+  if (parsing.grid.some( row => row.some( cell => cell.bars.right || cell.bars.bottom ) )) {
+    errors.push(`.puz cannot represent the bars of a barred grid`);
+    return { errors, puz: null };
+  }
+
+  const cells = [].concat( ...parsing.grid );
+  const isRebus = cell => cell.isLight && cell.letter !== null && !cell.letter.match(/^[A-Z]$/);
+  const solution = cells.map( cell => {
+    if (cell.isBlocked || !cell.isLight) { return blockChar; }
+    if (cell.letter === null || !isLatin1( cell.letter ) || cell.letter.includes(';')) {
+      errors.push(`.puz cannot represent the letter of cell (${cell.coords.across},${cell.coords.down}): letter=${JSON.stringify( cell.letter )}`);
+      return blockChar;
+    }
+    return cell.letter.charAt(0);
+  }).join('');
+  const rebus = cells.map( cell => (isRebus( cell ))? cell.letter : null );
+
+  // in numbering order, i.e. by id, then across before down
+  const orderedClues = [].concat( ...model.directions.map( direction => model.orderedClues( parsing, direction ) ) )
+  .sort( (a, b) => (parseInt(a.id,10) - parseInt(b.id,10)) || (model.directions.indexOf(a.direction) - model.directions.indexOf(b.direction)) );
+  const expectedAnswers = numberedAnswers( parsing.grid ).join(', ');
+  const actualAnswers = orderedClues.map( clue => `${clue.id} ${clue.direction}` ).join(', ');
+  if (expectedAnswers !== actualAnswers) {
+    errors.push(`.puz clues must follow the standard numbering of the grid: expected '${expectedAnswers}', but found '${actualAnswers}'`);
+    return { errors, puz: null };
+  }
+  const clues = orderedClues.map( clue => (clue.belongsTo !== null)? model.seeText( clue ) : `${clue.body} (${model.formatEnumeration( clue.answer.parts )})` );
+
+  const puzzle = {
+    width     : parsing.dimensions.across,
+    height    : parsing.dimensions.down,
+    solution,
+    title     : parsing.name,
+    author    : parsing.author,
+    copyright : parsing.copyright,
+    clues,
+    notes     : parsing.notes || '',
+    rebus,
+  };
+  [['title', puzzle.title], ['author', puzzle.author], ['copyright', puzzle.copyright], ['notes', puzzle.notes]]
+  .concat( orderedClues.map( (clue, c) => [`clue [${clue.id}][${clue.direction}]`, clues[c]] ) )
+  .forEach( ([what, text]) => {
+    if (!isLatin1( text )) {
+      errors.push(`.puz cannot represent the text of ${what}, which is not ISO-8859-1: ${JSON.stringify( text )}`);
+    }
+  });
+  if (errors.length > 0) {
+    return { errors, puz: null };
+  }
+  model.unrepresentedHeaderKeys( parsing, ['notes'] )
+  .forEach( key => errors.push(`.puz cannot represent the header key '${key}', so it has been dropped`) );
+
+  return { errors, puz: writePuz( puzzle ) };
+}
+
+module.exports = {
+  blockChar,
+  checksumRegion,
+  calcChecksums,
+  readPuz,
+  writePuz,
+  toPuz,
+}
@@ -0,0 +1,160 @@
+'use strict'
+
+const model = require('./model.js');
+const { escapeXml } = require('./xml.js');
+
+///
+// Render a valid parsing as
+// - a standalone SVG of the grid: blocked cells filled, clue numbers in the top-left corner of their cells,
+//   the bars of a barred grid as thick lines (drawn after the cells, so no cell covers them),
+//   and (optionally, with { solution: true }) the known letters of the answers,
+// - a standalone HTML document of the grid (as inline SVG), after the preamble (if any), plus the across and down clue lists,
+//   with the enumeration after each clue, and linked clues shown the newspaper way,
+//   i.e. the owning clue numbered '1, 3 down' and each owned clue as 'See 1' (or 'See 1 Across').
+// The blank and solution versions come from the same parsing.
+///
+
+const defaultOptions = {
+  solution : false, // show the known letters of the answers
+  cellSize : 32,    // in pixels
+};
+
+const titles = { across: 'Across', down: 'Down' };
+
+function svgCell( cell, options ){
+  const size = options.cellSize;
+  const x = (cell.coords.across - 1) * size;
+  const y = (cell.coords.down - 1) * size;
+  const elements = [];
+  if (cell.isBlocked) {
+    elements.push( `<rect class="block" x="${x}" y="${y}" width="${size}" height="${size}" fill="#000" stroke="#000"/>` );
+  } else {
+    elements.push( `<rect class="light" x="${x}" y="${y}" width="${size}" height="${size}" fill="#fff" stroke="#000"/>` );
+    if (cell.id !== null) {
+      elements.push( `<text class="number" x="${x + 2}" y="${y + Math.round(size * 0.3)}" font-size="${Math.round(size * 0.3)}">${cell.id}</text>` );
+    }
+    if (options.solution && cell.letter !== null) {
+      const fontScale = Math.min( 0.6, 1.2 / cell.letter.length ); // smaller, to fit the several characters of a rebus cell
+      elements.push( `<text class="letter" x="${x + (size / 2)}" y="${y + Math.round(size * 0.85)}" font-size="${Math.round(size * fontScale)}" text-anchor="middle">${escapeXml( cell.letter )}</text>` );
+    }
+  }
+  return elements.join('');
+}
+
+///
+// the thick lines of the bars on the right and bottom of a cell
+// (those on its left and top are drawn as the right and bottom bars of its neighbours)
+///
+
+function svgBars( cell, options ){
+  const size = options.cellSize;
+  const x = (cell.coords.across - 1) * size;
+  const y = (cell.coords.down - 1) * size;
+  const width = Math.max( 3, Math.round(size / 10) );
+  const elements = [];
+  if (cell.bars.right) {
+    elements.push( `<line class="bar" x1="${x + size}" y1="${y}" x2="${x + size}" y2="${y + size}" stroke="#000" stroke-width="${width}"/>` );
+  }
+  if (cell.bars.bottom) {
+    elements.push( `<line class="bar" x1="${x}" y1="${y + size}" x2="${x + size}" y2="${y + size}" stroke="#000" stroke-width="${width}"/>` );
+  }
+  return elements.join('');
+}
+
+function renderSvg( parsing, options ){
+  const width  = parsing.dimensions.across * options.cellSize;
+  const height = parsing.dimensions.down   * options.cellSize;
+  const lines = [];
+  lines.push( `<svg xmlns="http://www.w3.org/2000/svg" width="${width + 2}" height="${height + 2}" viewBox="-1 -1 ${width + 2} ${height + 2}" font-family="sans-serif">` );
+  if (parsing.name !== undefined && parsing.name !== '') {
+    lines.push( `<title>${escapeXml( parsing.name )}</title>` );
+  }
+  parsing.grid.forEach( row => {
+    lines.push( row.map( cell => svgCell( cell, options ) ).join('') );
+  });
+  parsing.grid.forEach( row => {
+    const barsText = row.map( cell => svgBars( cell, options ) ).join('');
+    if (barsText !== '') {
+      lines.push( barsText );
+    }
+  });
+  lines.push( `</svg>` );
+  return lines.join("\n") + "\n";
+}
+
+function htmlClue( clue ){
+  const text = (clue.belongsTo)? model.seeText( clue ) : `${clue.body} (${model.formatEnumeration( clue.answer.parts )})`;
+  return `<li><span class="number">${escapeXml( model.clueLabel( clue ) )}</span> <span class="clue">${escapeXml( text )}</span></li>`;
+}
+
+function renderHtml( parsing, options ){
+  const title = (parsing.name)? parsing.name : 'Crossword';
+  const byline = ['author', 'editor', 'pubdate']
+  .filter( key => parsing[key] )
+  .map( key => escapeXml( parsing[key] ) )
+  .join(', ');
+
+  const lines = [];
+  lines.push( `<!DOCTYPE html>` );
+  lines.push( `<html>` );
+  lines.push( `<head>` );
+  lines.push( `<meta charset="utf-8">` );
+  lines.push( `<title>${escapeXml( title )}</title>` );
+  lines.push( `<style>` );
+  lines.push( `body { font-family: sans-serif; }` );
+  lines.push( `.clues { display: flex; gap: 2em; }` );
+  lines.push( `.clues ol { list-style: none; padding: 0; }` );
+  lines.push( `.clues .number { font-weight: bold; }` );
+  lines.push( `</style>` );
+  lines.push( `</head>` );
+  lines.push( `<body>` );
+  lines.push( `<h1>${escapeXml( title )}</h1>` );
+  if (byline !== '') {
+    lines.push( `<p class="byline">${byline}</p>` );
+  }
+  if (parsing.preamble) {
+    lines.push( `<p class="preamble">${escapeXml( parsing.preamble )}</p>` );
+  }
+  lines.push( `<div class="grid">` );
+  lines.push( renderSvg( parsing, options ).trimRight() );
+  lines.push( `</div>` );
+  lines.push( `<div class="clues">` );
+  model.directions.forEach( direction => {
+    lines.push( `<div class="${direction}">` );
+    lines.push( `<h2>${titles[direction]}</h2>` );
+    lines.push( `<ol>` );
+    model.orderedClues( parsing, direction ).forEach( clue => lines.push( htmlClue( clue ) ) );
+    lines.push( `</ol>` );
+    lines.push( `</div>` );
+  });
+  lines.push( `</div>` );
+  if (parsing.copyright) {
+    lines.push( `<p class="copyright">${escapeXml( parsing.copyright )}</p>` );
+  }
+  lines.push( `</body>` );
+  lines.push( `</html>` );
+  return lines.join("\n") + "\n";
+}
+
+function toSvg( parsing, options={} ){
+  const errors = [];
+  if (!parsing || !parsing.isValid) {
+    errors.push(`can only render a valid parsing`);
+    return { errors, svg: null };
+  }
+  return { errors, svg: renderSvg( parsing, Object.assign( {}, defaultOptions, options ) ) };
+}
+
+function toHtml( parsing, options={} ){
+  const errors = [];
+  if (!parsing || !parsing.isValid) {
+    errors.push(`can only render a valid parsing`);
+    return { errors, html: null };
+  }
+  return { errors, html: renderHtml( parsing, Object.assign( {}, defaultOptions, options ) ) };
+}
+
+module.exports = {
+  toSvg,
+  toHtml,
+}
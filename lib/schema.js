@@ -0,0 +1,253 @@
+'use strict'
+
+///
+// JSON Schemas (draft-07) generated from a spec, for
+// - the document, as read by a standard YAML parser: the header values, the x- extension keys, and the lists of clues,
+// - the parsed model: the header values, dimensions, clues (with their answer parts, belongsTo and owns) and grid,
+// so that other stacks can check documents and models with any JSON Schema validator (e.g. ajv, or Python's jsonschema)
+// without reimplementing the parser. Only the schemas are shipped: this module does no validation itself.
+///
+
+const schemaDialect = 'http://json-schema.org/draft-07/schema#';
+
+///
+// the source of a regex written out by toString, e.g. '/^(\d+)x(\d+)$/' gives '^(\d+)x(\d+)$'
+///
+
+function regexSource( regexText ){
+  return regexText.slice( 1, regexText.lastIndexOf('/') );
+}
+
+///
+// the source of a regex of the spec as a portable pattern, for regex engines without Unicode property escapes (e.g. Python's re),
+// where a letter, [\p{Lu}\p{Lo}]\p{M}*, becomes an upper case ASCII letter or any non-ASCII character,
+// so the pattern accepts a few more answers than the parser does (e.g. a lower case é), leaving the exact check to the parser
+///
+
+const portableLetterSource = '(?:[A-Z]|[^\\x00-\\x7F])';
+
+function portableSource( spec, regexText ){
+  return regexSource( regexText ).split( spec.letterRegexComponent ).join( portableLetterSource );
+}
+
+function headerKeys( spec ){
+  return Object.keys(spec.permittedKeys).filter( key => spec.permittedKeys[key] !== 'list' );
+}
+
+function listKeys( spec ){
+  return Object.keys(spec.permittedKeys).filter( key => spec.permittedKeys[key] === 'list' );
+}
+
+///
+// the schema of a document, where a YAML parser may read a header value as a number (e.g. number: 42),
+// and an empty value or list as null, but not as a timestamp (e.g. pubdate: 2020-01-01), which JSON has no type for,
+// so such a value must be quoted (as the parser warns, see NON_STRING_VALUE, and stringify does)
+///
+
+function documentSchema( spec ){
+  const properties = {};
+  headerKeys( spec ).forEach( key => {
+    properties[key] = { type: ['string', 'number', 'boolean', 'null'] };
+  });
+  properties.size = { type: 'string', pattern: regexSource( spec.sizeRegex ) };
+  if (spec.permittedKeys.bars) {
+    properties.bars = {
+      type  : ['array', 'null'],
+      items : { type: 'string', pattern: regexSource( spec.barRegex ) },
+    };
+  }
+  listKeys( spec ).forEach( key => {
+    properties[key] = {
+      type  : ['array', 'null'],
+      items : { type: 'string', pattern: portableSource( spec, spec.clueItemRegex ) },
+    };
+  });
+
+  const schema = {
+    $schema : schemaDialect,
+    title : `crossword document, ${spec.version}`,
+    description : 'A crossword document as read by a standard YAML parser. A header value which YAML reads as a timestamp, e.g. pubdate: 2020-01-01, must be quoted, e.g. pubdate: "2020-01-01".',
+    type : 'object',
+    required : spec.requiredKeys,
+    properties,
+    additionalProperties : false,
+  };
+  if (spec.extensionKeys) {
+    schema.patternProperties = {
+      [regexSource( spec.extensionKeys.regex )] : {
+        anyOf : [
+          { type: ['string', 'number', 'boolean', 'null'] },
+          { type: 'array', items: { type: ['string', 'number', 'boolean'] } },
+        ],
+      },
+    };
+  }
+  return schema;
+}
+
+///
+// the schema of a valid parsing, which may have other (e.g. diagnostic) properties besides those described here
+///
+
+function modelSchema( spec ){
+  const directions = listKeys( spec );
+  const clueId = { type: 'string', pattern: '^\\d+$' };
+  const clueRef = {
+    type : 'object',
+    required : ['id', 'direction'],
+    properties : { id: clueId, direction: { enum: directions } },
+    additionalProperties : false,
+  };
+  const coords = {
+    type : 'object',
+    required : ['across', 'down'],
+    properties : { across: { type: 'integer', minimum: 1 }, down: { type: 'integer', minimum: 1 } },
+    additionalProperties : false,
+  };
+
+  const properties = {};
+  headerKeys( spec ).forEach( key => {
+    properties[key] = { type: 'string' };
+  });
+  if (spec.permittedKeys.bars) {
+    properties.bars = { type: 'array', items: { type: 'string' } };
+  }
+  if (spec.extensionKeys) {
+    properties.extensions = {
+      type : 'object',
+      patternProperties : {
+        [regexSource( spec.extensionKeys.regex )] : {
+          anyOf : [ { type: 'string' }, { type: 'array', items: { type: 'string' } } ],
+        },
+      },
+      additionalProperties : false,
+    };
+  }
+  properties.dimensions = { $ref: '#/definitions/coords' };
+  properties.clues = {
+    type : 'object',
+    patternProperties : {
+      '^\\d+$' : {
+        type : 'object',
+        properties : directions.reduce( (clueDirections, direction) => Object.assign( clueDirections, { [direction]: { $ref: '#/definitions/clue' } } ), {} ),
+        additionalProperties : false,
+      },
+    },
+    additionalProperties : false,
+  };
+  properties.grid = {
+    type : 'array',
+    items : { type: 'array', items: { $ref: '#/definitions/cell' } },
+  };
+  properties.isValid = { const: true };
+
+  return {
+    $schema : schemaDialect,
+    title : `crossword model, ${spec.version}`,
+    type : 'object',
+    required : spec.requiredKeys.filter( key => !directions.includes(key) ).concat( ['dimensions', 'clues', 'grid', 'isValid'] ),
+    properties,
+    definitions : {
+      coords,
+      clueRef,
+      clue : {
+        type : 'object',
+        required : ['id', 'direction', 'coords', 'body', 'raw', 'belongsTo', 'owns', 'answer'],
+        properties : {
+          id : clueId,
+          direction : { enum: directions },
+          coords : { $ref: '#/definitions/coords' },
+          body : { type: 'string' },
+          raw : {
+            type : 'object',
+            required : ['idsText', 'bodyText', 'answerText', 'clueText'],
+            properties : {
+              idsText : { type: 'string', pattern: regexSource( spec.idsRegex ).replace(/\\\.\$$/, '$') },
+              bodyText : { type: 'string' },
+              answerText : { type: 'string' },
+              clueText : { type: 'string' },
+              clueTextSequenceId : { type: 'integer', minimum: 0 },
+              line : { type: 'integer', minimum: 1 },
+            },
+          },
+          belongsTo : {
+            anyOf : [
+              { type: 'null' },
+              {
+                type : 'object',
+                required : ['id', 'direction'],
+                properties : {
+                  id : clueId,
+                  direction : { enum: directions },
+                  partsSequence : { type: 'array', items: { type: 'integer', minimum: 0 } },
+                },
+                additionalProperties : false,
+              },
+            ],
+          },
+          owns : { type: 'array', items: { $ref: '#/definitions/clueRef' } },
+          answer : {
+            type : 'object',
+            required : ['parts', 'length'],
+            properties : {
+              parts : { type: 'array', minItems: 1, items: { $ref: '#/definitions/part' } },
+              length : { type: 'integer', minimum: 0 },
+              lengthOwned : { type: 'integer', minimum: 0 },
+            },
+            additionalProperties : false,
+          },
+        },
+        additionalProperties : false,
+      },
+      part : {
+        type : 'object',
+        required : ['wordOrNumber', 'sequence', 'text', 'placeholder', 'length'],
+        properties : {
+          wordOrNumber : { type: 'string' },
+          sequence : { type: 'integer', minimum: 0 },
+          separator : { enum: spec.answerSeparators },
+          text : { type: 'string' },
+          placeholder : { type: 'boolean' },
+          length : { type: 'integer', minimum: 0 },
+          clue : { $ref: '#/definitions/clueRef' },
+        },
+        additionalProperties : false,
+      },
+      cell : {
+        type : 'object',
+        required : ['coords', 'isLight', 'isBlocked', 'id', 'across', 'down', 'letter', 'bars'],
+        properties : directions.reduce( (cellProperties, direction) => Object.assign( cellProperties, {
+          [direction] : {
+            anyOf : [
+              { type: 'null' },
+              {
+                type : 'object',
+                required : ['id', 'index'],
+                properties : { id: clueId, index: { type: 'integer', minimum: 0 } },
+                additionalProperties : false,
+              },
+            ],
+          },
+        }), {
+          coords : { $ref: '#/definitions/coords' },
+          isLight : { type: 'boolean' },
+          isBlocked : { type: 'boolean' },
+          id : { anyOf: [ { type: 'null' }, clueId ] },
+          letter : { type: ['string', 'null'] },
+          bars : {
+            type : 'object',
+            required : ['top', 'right', 'bottom', 'left'],
+            properties : ['top', 'right', 'bottom', 'left'].reduce( (sides, side) => Object.assign( sides, { [side]: { type: 'boolean' } } ), {} ),
+            additionalProperties : false,
+          },
+        }),
+        additionalProperties : false,
+      },
+    },
+  };
+}
+
+module.exports = {
+  documentSchema,
+  modelSchema,
+};
@@ -0,0 +1,335 @@
+'use strict'
+
+const model = require('./model.js');
+
+///
+// A solving session on a valid parsing, holding the solver's entries (and which of them were revealed),
+// so an interactive solver can keep all its state here, e.g.
+//
+//   const session = new SolveSession( parsing );
+//   session.enterClue( 1, 'across', 'hello' );
+//   session.checkGrid().incorrect; // => the coords of the wrongly filled cells
+//
+// A clue and the clues linked to it (via owns/belongsTo) are treated as one word,
+// so entering, checking or revealing any clue of a linked group covers the cells of the whole group,
+// in the order of the answer (the owning clue first).
+//
+// A cell whose letter is not known (i.e. covered only by placeholder answers, e.g. (XXXXX)) is uncheckable:
+// it can be filled, but is never counted as correct or incorrect, and cannot be revealed.
+//
+// A rebus cell takes all its characters as one entry, e.g. session.enterCell( coords, 'tar' ),
+// or in brackets when entering a clue, e.g. session.enterClue( 1, 'across', 's[tar]t' ).
+//
+// Progress is serialized with toText() as a small JSON document, and restored with SolveSession.fromText(parsing, text).
+///
+
+const sessionFormat = 'crossword solve session v1';
+const entryRegex = /^[^\s\[\]()?]+$/;
+const blankEntryChar = '?';
+
+function cellKey( coords ){
+  return `${coords.across},${coords.down}`;
+}
+
+function keyCoords( key ){
+  const [across, down] = key.split(',').map( n => parseInt(n, 10) );
+  return { across, down };
+}
+
+///
+// the cells without repeats, as the linked clues of a word may cross one another
+///
+
+function distinctCells( cells ){
+  const keys = {};
+  return cells.filter( coords => {
+    const isRepeat = keys.hasOwnProperty( cellKey(coords) );
+    keys[cellKey(coords)] = true;
+    return !isRepeat;
+  });
+}
+
+///
+// the clues of the word (i.e. the whole linked group) of a clue, starting with its owning clue
+///
+
+function wordClues( clues, clue ){
+  const owner = (clue.belongsTo === null)? clue : clues[clue.belongsTo.id][clue.belongsTo.direction];
+  return [owner].concat( owner.owns.map( owned => clues[owned.id][owned.direction] ) );
+}
+
+class SolveSession {
+  constructor( parsing ){
+    if (!parsing || !parsing.isValid) {
+      const errors = (parsing && parsing.errors)? parsing.errors : [];
+      throw new Error(`SolveSession can only be built from a valid parsing: errors=${JSON.stringify(errors)}`);
+    }
+    this.parsing = parsing;
+    this.entries = {};   // cellKey => letter
+    this.revealed = {};  // cellKey => true
+  }
+
+  ///
+  // restore a session from the text written by toText, returning { errors, session },
+  // where session is null if the text is not a session of this crossword
+  ///
+  static fromText( parsing, text ){
+    const errors = [];
+    const session = new SolveSession( parsing );
+    let doc;
+    try {
+      doc = JSON.parse( text );
+    } catch (err) {
+      errors.push(`solve session is not valid JSON: ${err.message}`);
+      return { errors, session: null };
+    }
+    if (!doc || doc.format !== sessionFormat) {
+      errors.push(`unrecognised solve session format, expected '${sessionFormat}'`);
+      return { errors, session: null };
+    }
+    if (doc.name !== parsing.name || doc.size !== parsing.size) {
+      errors.push(`solve session is for a different crossword, '${doc.name}' (${doc.size}), not '${parsing.name}' (${parsing.size})`);
+      return { errors, session: null };
+    }
+    const entries = (doc.entries && typeof doc.entries === 'object')? doc.entries : {};
+    Object.keys(entries).forEach( key => {
+      errors.push( ...session.enterCell( keyCoords(key), entries[key] ) );
+    });
+    (Array.isArray(doc.revealed)? doc.revealed : []).forEach( key => {
+      if (session.entries.hasOwnProperty(key)) {
+        session.revealed[key] = true;
+      } else {
+        errors.push(`revealed cell (${key}) has no entry`);
+      }
+    });
+    return (errors.length > 0)? { errors, session: null } : { errors, session };
+  }
+
+  toText(){
+    const keys = this.lightCells().map( cellKey );
+    return JSON.stringify({
+      format   : sessionFormat,
+      name     : this.parsing.name,
+      size     : this.parsing.size,
+      entries  : keys.filter( key => this.entries.hasOwnProperty(key) ).reduce( (entries, key) => { entries[key] = this.entries[key]; return entries; }, {} ),
+      revealed : keys.filter( key => this.revealed.hasOwnProperty(key) ),
+    });
+  }
+
+  ///
+  // the coords of every light cell, row by row
+  ///
+  lightCells(){
+    return [].concat( ...this.parsing.grid ).filter( cell => cell.isLight ).map( cell => cell.coords );
+  }
+
+  ///
+  // the coords of the cells of the word (i.e. the whole linked group) of a clue, or null (with an error) if there is no such clue
+  ///
+  wordCells( id, direction, errors=[] ){
+    const clue = model.findClue( this.parsing.clues, id, direction, errors );
+    if (clue === null) {
+      return null;
+    }
+    return [].concat( ...wordClues( this.parsing.clues, clue ).map( model.clueCells ) );
+  }
+
+  getEntry( coords ){
+    const key = cellKey( coords );
+    return (this.entries.hasOwnProperty(key))? this.entries[key] : null;
+  }
+
+  isRevealed( coords ){
+    return this.revealed.hasOwnProperty( cellKey(coords) );
+  }
+
+  ///
+  // set the entry of a cell to a letter, or the characters of a rebus cell (case insensitive), or clear it with null or ''.
+  // Entering a letter in a revealed cell replaces it, so it is no longer counted as revealed.
+  ///
+  enterCell( coords, letter ){
+    const errors = [];
+    const cell = this.lightCell( coords, errors );
+    const entry = (letter === null || letter === undefined)? '' : letter.toString().toUpperCase();
+    if (entry !== '' && !entryRegex.test(entry)) {
+      errors.push(`invalid entry, '${letter}', must be a letter, or the characters of a rebus cell, without spaces, brackets or '${blankEntryChar}'`);
+    }
+    if (errors.length > 0) {
+      return errors;
+    }
+    const key = cellKey( cell.coords );
+    if (entry === '') {
+      delete this.entries[key];
+    } else if (this.entries[key] !== entry) {
+      this.entries[key] = entry;
+    } else {
+      return errors; // unchanged, so a revealed letter stays revealed
+    }
+    delete this.revealed[key];
+    return errors;
+  }
+
+  ///
+  // fill the word of a clue from text, e.g. 'hello otter', 'ELD-ER' or 'S[TAR]T', where spaces and answer separators are ignored,
+  // and '?' leaves a cell empty, so the remaining text must have exactly one letter (or bracketed rebus) per cell of the word
+  ///
+  enterClue( id, direction, text ){
+    const errors = [];
+    const cells = this.wordCells( id, direction, errors );
+    if (cells === null) {
+      return errors;
+    }
+    const letters = model.answerCells( text.toString().replace(/[\s,\-|]/g, '') );
+    if (letters.length !== cells.length) {
+      errors.push(`entry for clue [${id}][${direction}], '${text}', has ${letters.length} letters, but the word has ${cells.length} cells`);
+      return errors;
+    }
+    letters.forEach( letter => {
+      if (letter !== blankEntryChar && !entryRegex.test(letter.toUpperCase())) {
+        errors.push(`invalid entry, '${letter}', must be a letter, or the characters of a rebus cell (or '${blankEntryChar}' for an empty cell)`);
+      }
+    });
+    if (errors.length > 0) {
+      return errors;
+    }
+    cells.forEach( (coords, index) => this.enterCell( coords, (letters[index] === blankEntryChar)? '' : letters[index] ) );
+    return errors;
+  }
+
+  clearGrid(){
+    this.entries = {};
+    this.revealed = {};
+  }
+
+  ///
+  // check the entries of cells against the known letters, returning the coords of the cells which are
+  // { correct, incorrect, empty, uncheckable }, where uncheckable cells (whose letter is not known) are never in the others
+  ///
+  checkCell( coords ){
+    const errors = [];
+    const cell = this.lightCell( coords, errors );
+    return Object.assign( { errors }, this.check( (cell === null)? [] : [cell.coords] ) );
+  }
+
+  checkClue( id, direction ){
+    const errors = [];
+    const cells = this.wordCells( id, direction, errors );
+    return Object.assign( { errors }, this.check( cells || [] ) );
+  }
+
+  checkGrid(){
+    return Object.assign( { errors: [] }, this.check( this.lightCells() ) );
+  }
+
+  check( cells ){
+    const result = { correct: [], incorrect: [], empty: [], uncheckable: [] };
+    distinctCells( cells ).forEach( coords => {
+      const letter = this.parsing.grid[coords.down-1][coords.across-1].letter;
+      const entry = this.getEntry( coords );
+      if (letter === null) {
+        result.uncheckable.push( coords );
+      } else if (entry === null) {
+        result.empty.push( coords );
+      } else {
+        result[(entry === letter)? 'correct' : 'incorrect'].push( coords );
+      }
+    });
+    return result;
+  }
+
+  ///
+  // set cells to their known letters, returning the coords of those revealed,
+  // and those which could not be (since their letters are not known)
+  ///
+  revealCell( coords ){
+    const errors = [];
+    const cell = this.lightCell( coords, errors );
+    return Object.assign( { errors }, this.reveal( (cell === null)? [] : [cell.coords] ) );
+  }
+
+  revealClue( id, direction ){
+    const errors = [];
+    const cells = this.wordCells( id, direction, errors );
+    return Object.assign( { errors }, this.reveal( cells || [] ) );
+  }
+
+  revealGrid(){
+    return Object.assign( { errors: [] }, this.reveal( this.lightCells() ) );
+  }
+
+  reveal( cells ){
+    const result = { revealed: [], uncheckable: [] };
+    distinctCells( cells ).forEach( coords => {
+      const letter = this.parsing.grid[coords.down-1][coords.across-1].letter;
+      if (letter === null) {
+        result.uncheckable.push( coords );
+      } else if (this.getEntry( coords ) !== letter) {
+        const key = cellKey( coords );
+        this.entries[key] = letter;
+        this.revealed[key] = true;
+        result.revealed.push( coords );
+      }
+    });
+    return result;
+  }
+
+  ///
+  // the status of the word of a clue:
+  // { id, direction, group, filled, total, isComplete, isCorrect },
+  // where group lists the clues of the word, and isCorrect is null until the word is complete, or if it has an uncheckable cell
+  ///
+  clueStatus( id, direction ){
+    const errors = [];
+    const clue = model.findClue( this.parsing.clues, id, direction, errors );
+    if (clue === null) {
+      return { errors, status: null };
+    }
+    const groupClues = wordClues( this.parsing.clues, clue );
+    const cells = [].concat( ...groupClues.map( model.clueCells ) );
+    const group = groupClues.map( groupClue => ({ id: groupClue.id, direction: groupClue.direction }) );
+    return { errors, status: Object.assign( { id: clue.id, direction: clue.direction, group }, this.completion( cells ) ) };
+  }
+
+  ///
+  // the status of the whole grid, as for clueStatus, along with the status of each clue (in the order of model.orderedClues)
+  // and the number of revealed cells
+  ///
+  progress(){
+    const clues = [].concat( ...model.directions.map( direction => model.orderedClues( this.parsing, direction ) ) );
+    return Object.assign( this.completion( this.lightCells() ), {
+      revealed : Object.keys( this.revealed ).length,
+      clues    : clues.map( clue => this.clueStatus( clue.id, clue.direction ).status ),
+    });
+  }
+
+  completion( cells ){
+    const total = distinctCells( cells ).length;
+    const { incorrect, empty, uncheckable } = this.check( cells );
+    const filled = total - empty.length - uncheckable.filter( coords => this.getEntry( coords ) === null ).length;
+    const isComplete = filled === total;
+    return {
+      filled,
+      total,
+      isComplete,
+      isCorrect : (!isComplete || uncheckable.length > 0)? null : (incorrect.length === 0),
+    };
+  }
+
+  lightCell( coords, errors ){
+    const row = (coords)? this.parsing.grid[coords.down-1] : undefined;
+    const cell = (row)? row[coords.across-1] : undefined;
+    if (!cell) {
+      errors.push(`coords (${(coords)? cellKey(coords) : coords}) are outside the grid`);
+      return null;
+    }
+    if (!cell.isLight) {
+      errors.push(`cell (${cellKey(coords)}) is blocked`);
+      return null;
+    }
+    return cell;
+  }
+}
+
+module.exports = {
+  SolveSession,
+}
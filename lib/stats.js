@@ -0,0 +1,81 @@
+'use strict'
+
+const model = require('./model.js');
+
+///
+// Statistics of a valid parsing, as tracked by a puzzles desk across an archive:
+// - wordCount: the number of answers in the grid (each part of a linked clue counting as its own answer)
+// - cells: the number of cells, light and blocked, and blockedPercentage (to one decimal place)
+// - answerLengths: how many answers there are of each length, as { length: count }
+// - letterFrequency: how many times each known letter appears in the grid, as { letter: count }, in alphabetical order
+//   (counting each of the characters of a rebus cell),
+//   and unknownLetters, the number of light cells whose letter is not known (e.g. placeholder answers)
+// - multiWordAnswers and hyphenatedAnswers: how many whole answers (i.e. of the clues which do not belong to another)
+//   have a part separated by ',' or by '-'
+// - linkedClueGroups: how many clues own other clues
+// - isPangram: whether every letter A-Z appears in the grid, and missingLetters, those which do not
+// - averageClueLength: the mean number of characters in the clue bodies (ignoring those of 'See 1 Across' clues), to one decimal place
+///
+
+const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+
+function oneDecimalPlace( number ){
+  return Math.round( number * 10 ) / 10;
+}
+
+function stats( parsing ){
+  const errors = [];
+  if (!parsing || !parsing.isValid) {
+    errors.push(`can only calculate the stats of a valid parsing`);
+    return { errors, stats: null };
+  }
+
+  const clues = [].concat( ...model.directions.map( direction => model.orderedClues( parsing, direction ) ) );
+  const wholeClues = clues.filter( clue => clue.belongsTo === null );
+  const cells = [].concat( ...parsing.grid );
+  const lightCells = cells.filter( cell => cell.isLight );
+
+  const answerLengths = {};
+  clues
+  .map( clue => clue.answer.length )
+  .sort( (a, b) => a - b )
+  .forEach( length => { answerLengths[length] = (answerLengths[length] || 0) + 1; });
+
+  const letterFrequency = {};
+  lightCells
+  .filter( cell => cell.letter !== null )
+  .map( cell => model.answerTokens( cell.letter ) ) // each letter, with any combining accents, of the cell (or of a rebus cell)
+  .reduce( (letters, cellLetters) => letters.concat( cellLetters ), [] )
+  .sort()
+  .forEach( letter => { letterFrequency[letter] = (letterFrequency[letter] || 0) + 1; });
+  const missingLetters = alphabet.filter( letter => !letterFrequency.hasOwnProperty(letter) );
+
+  const hasSeparator = (clue, separator) => clue.answer.parts.some( part => part.separator === separator );
+  const clueLengths = wholeClues.map( clue => clue.body.length );
+
+  return {
+    errors,
+    stats : {
+      wordCount : clues.length,
+      cells : {
+        total   : cells.length,
+        light   : lightCells.length,
+        blocked : cells.length - lightCells.length,
+      },
+      blockedPercentage : (cells.length === 0)? 0 : oneDecimalPlace( 100 * (cells.length - lightCells.length) / cells.length ),
+      answerLengths,
+      letterFrequency,
+      unknownLetters : lightCells.filter( cell => cell.letter === null ).length,
+      multiWordAnswers : wholeClues.filter( clue => hasSeparator( clue, ',' ) ).length,
+      hyphenatedAnswers : wholeClues.filter( clue => hasSeparator( clue, '-' ) ).length,
+      linkedClueGroups : clues.filter( clue => clue.owns.length > 0 ).length,
+      isPangram : missingLetters.length === 0,
+      missingLetters,
+      averageClueLength : (clueLengths.length === 0)? 0 : oneDecimalPlace( clueLengths.reduce( (sum, length) => sum + length, 0 ) / clueLengths.length ),
+    },
+  };
+}
+
+module.exports = {
+  stats,
+}
@@ -0,0 +1,21 @@
+'use strict'
+
+///
+// escape text for use in XML (and so HTML and SVG) element content and attribute values
+///
+
+const xmlEntities = {
+  '&' : '&amp;',
+  '<' : '&lt;',
+  '>' : '&gt;',
+  '"' : '&quot;',
+  "'" : '&apos;',
+};
+
+function escapeXml( text ){
+  return `${text}`.replace( /[&<>"']/g, c => xmlEntities[c] );
+}
+
+module.exports = {
+  escapeXml,
+}
@@ -0,0 +1,211 @@
+'use strict'
+
+///
+// The subset of YAML used by the crossword data format, at the level of single values (scalars):
+// - plain, 'single quoted' and "double quoted" scalars, possibly spread over several lines,
+// - | literal and > folded block scalars,
+// - # comments,
+// such that what we accept is read as the same text by a standard YAML parser
+// (except that we always drop the trailing line break of a block scalar, see parseBlockScalar),
+// with the exception of a plain value which the YAML core schema resolves to something other than a string,
+// e.g. true, null, ~, 007, 0x1F or 2020-01-01 (see plainType), which we read as text, but which the index.js scanner reports,
+// and what we write (see quoteScalar) is read back as the same text by both.
+//
+// Lines are handled by the scanner in index.js, which uses these fns on the text of each value,
+// but only for a document which declares a version whose scanning is 'yaml' (i.e. standard v3):
+// the older versions are read line by line, taking each value literally.
+///
+
+const indicatorChars = '-?:,[]{}#&*!|>\'"%@`'.split('');
+const blockHeaderRegex = /^([|>])([-+]?)$/;
+
+// the plain scalars which a standard YAML parser (with the core schema, plus timestamps, as js-yaml does) does not read as a string
+const plainTypeRegexes = {
+  null      : /^(?:~|null|Null|NULL)$/,
+  bool      : /^(?:true|True|TRUE|false|False|FALSE)$/,
+  int       : /^[-+]?(?:[0-9]+|0b[01]+|0o[0-7]+|0x[0-9a-fA-F]+)$/,
+  float     : /^(?:[-+]?(?:\.[0-9]+|[0-9]+)(?:\.[0-9]*)?(?:[eE][-+]?[0-9]+)?|[-+]?\.(?:inf|Inf|INF)|\.(?:nan|NaN|NAN))$/,
+  timestamp : /^(?:[0-9]{4}-[0-9]{2}-[0-9]{2}|[0-9]{4}-[0-9]{1,2}-[0-9]{1,2}(?:[Tt]|[ \t]+)[0-9]{1,2}:[0-9]{2}:[0-9]{2}(?:\.[0-9]*)?(?:[ \t]*(?:Z|[-+][0-9]{1,2}(?::[0-9]{2})?))?)$/,
+};
+
+///
+// the number of leading spaces in a line
+///
+
+function indentOf( line ){
+  return line.match(/^ */)[0].length;
+}
+
+///
+// the index where the quoted scalar at the start of text finishes (just after its closing quote),
+// or -1 if it is not closed
+///
+
+function quotedEnd( text ){
+  const quote = text.charAt(0);
+  for (let i = 1; i < text.length; i++) {
+    if (quote === '"' && text.charAt(i) === '\\') {
+      i++; // skip the escaped char
+    } else if (text.charAt(i) === quote) {
+      if (quote === "'" && text.charAt(i+1) === "'") {
+        i++; // '' is an escaped single quote
+      } else {
+        return i + 1;
+      }
+    }
+  }
+  return -1;
+}
+
+///
+// remove any comment from the text of a value, i.e. a '#' at the start or after whitespace,
+// but not inside a quoted scalar, returning the remaining text without trailing whitespace
+///
+
+function stripComment( text ){
+  const start = (text.charAt(0) === '"' || text.charAt(0) === "'")? Math.max( quotedEnd(text), 0 ) : 0;
+  const matchedComment = text.slice(start).match(/(^|\s)#/);
+  const uncommented = (matchedComment)? text.slice(0, start + matchedComment.index) : text;
+  return uncommented.replace(/\s+$/, '');
+}
+
+///
+// join the lines of a multi-line flow (plain or quoted) scalar:
+// each line is trimmed, and they are joined with a space, except that each empty line (after the first text) becomes a line break
+///
+
+function foldFlowLines( lines ){
+  let text = '';
+  let pendingBreaks = 0;
+  lines.map( line => line.trim() ).forEach( line => {
+    if (line === '') {
+      pendingBreaks++;
+    } else {
+      const joiner = (text === '')? '' : (pendingBreaks > 0)? "\n".repeat(pendingBreaks) : ' ';
+      text += joiner + line;
+      pendingBreaks = 0;
+    }
+  });
+  return text;
+}
+
+///
+// parse the (already joined and uncommented) text of a flow scalar,
+// returning { value } or { error }, where error is a description of the problem,
+// and, for a non-empty plain value, its type, as a standard YAML parser would read it (see plainType)
+///
+
+function parseFlowScalar( text ){
+  const first = text.charAt(0);
+  if (first === '"' || first === "'") {
+    const end = quotedEnd( text );
+    if (end === -1) {
+      return { error: `unterminated ${(first === '"')? 'double' : 'single'} quoted value` };
+    }
+    if (end !== text.length) {
+      return { error: `unexpected text after quoted value` };
+    }
+    const inner = text.slice(1, -1);
+    if (first === "'") {
+      return { value: inner.replace(/''/g, "'") };
+    }
+    try {
+      return { value: JSON.parse( `"${inner.replace(/\n/g, '\\n')}"` ) };
+    } catch (err) {
+      return { error: `invalid escape in double quoted value` };
+    }
+  }
+
+  if (text !== '' && indicatorChars.includes(first)) {
+    return { error: `a value starting with '${first}' must be quoted` };
+  }
+  if (text.match(/:(\s|$)/)) {
+    return { error: `a value containing ': ' or ending with ':' must be quoted` };
+  }
+  return (text === '')? { value: text } : { value: text, type: plainType( text ) };
+}
+
+///
+// the type (null, bool, int, float or timestamp) which a standard YAML parser gives the (non-empty) plain scalar text,
+// or 'str' if it reads it as a string
+///
+
+function plainType( text ){
+  const type = Object.keys(plainTypeRegexes).find( key => plainTypeRegexes[key].test( text ) );
+  return (type === undefined)? 'str' : type;
+}
+
+///
+// is this a header line for a block scalar, i.e. | or > with optional chomping indicator
+///
+
+function isBlockHeader( text ){
+  return blockHeaderRegex.test( text );
+}
+
+///
+// parse the lines (with their indentation) of a block scalar introduced by header ('|', '>-', etc),
+// where literal (|) keeps the line breaks and folded (>) joins the lines with spaces.
+// Since a crossword value is never expected to end with a line break, the trailing line breaks are always removed.
+///
+
+function parseBlockScalar( header, lines ){
+  const [, style] = header.match( blockHeaderRegex );
+  const nonEmptyLines = lines.filter( line => line.trim() !== '' );
+  const blockIndent = (nonEmptyLines.length > 0)? Math.min.apply( null, nonEmptyLines.map( indentOf ) ) : 0;
+  const contentLines = lines.map( line => line.slice(blockIndent) );
+
+  if (style === '|') {
+    return { value: contentLines.join("\n").replace(/\n+$/, '') };
+  }
+
+  // folded: a single line break between two lines becomes a space, unless either is more indented,
+  // and each empty line becomes a line break
+  let text = '';
+  let prevLine = null;
+  let emptyLines = 0;
+  contentLines.forEach( line => {
+    if (line === '') {
+      emptyLines++;
+      return;
+    }
+    const isMoreIndented = line.match(/^\s/) || (prevLine !== null && prevLine.match(/^\s/));
+    if (prevLine === null) {
+      text = "\n".repeat(emptyLines) + line;
+    } else if (isMoreIndented) {
+      text += "\n".repeat(emptyLines + 1) + line;
+    } else {
+      text += ((emptyLines > 0)? "\n".repeat(emptyLines) : ' ') + line;
+    }
+    prevLine = line;
+    emptyLines = 0;
+  });
+  return { value: text };
+}
+
+///
+// write text as a scalar: plain if that is safe, and a standard YAML parser would read it as a string,
+// otherwise double quoted (a JSON string is a valid YAML double quoted scalar), e.g. "true" or "2020-01-01"
+///
+
+function quoteScalar( text ){
+  const isPlainSafe = text !== ''
+    && !text.match(/^\s|\s$/)
+    && !text.match(/[\u0000-\u001f\u007f]/)
+    && !indicatorChars.includes( text.charAt(0) )
+    && !text.match(/:(\s|$)/)
+    && !text.match(/\s#/)
+    && plainType( text ) === 'str';
+  return (isPlainSafe)? text : JSON.stringify( text );
+}
+
+module.exports = {
+  indentOf,
+  stripComment,
+  foldFlowLines,
+  parseFlowScalar,
+  plainType,
+  isBlockHeader,
+  parseBlockScalar,
+  quoteScalar,
+};
@@ -27,10 +27,12 @@
 //    which means some ambiguity as to which failed phrase triggered an Error, so...
 // - added context to same(), for extra info when displaying an error (stringified and formatted).
 // - refactored same() to receive a single obj, {actual, expected, msg, context}, rather than separate params. looks neater, more concise.
+// - allowed fn to be async (i.e. to return a Promise), so each test() now runs once the one before it has finished,
+//    and returns a Promise of its count.
 ///
 // to use test(), specify
 // - component - a string as the name of the test,
-// - fn - encapsulating all your asserts
+// - fn - encapsulating all your asserts, possibly async
 // - verbose (optional flag, default=false) - to explicitly list all the oks even when there is no Error.
 ///
 // to use assert.same(), specify
@@ -40,12 +42,17 @@
 // -- msg (non-optional) - the text which names/describes the purpose of this specific test
 // -- context (optional) - extra info to display if actual !== expected
 ///
+let previousTests = Promise.resolve();
 const test = (component, fn, verbose=false) => {
   if (!component) { throw new Error(`Test Framework: Must specify a meaningful name for the set of tests`); }
+  previousTests = previousTests.then( () => runTest( component, fn, verbose ) );
+  return previousTests;
+};
+const runTest = (component, fn, verbose) => {
   console.log(`# testing '${ component }'`);
   let count = 1;
   const oks = [];
-  fn({
+  return Promise.resolve( fn({
     same: ({actual, expected, msg, context}) => {
       if (!msg) { throw new Error(`Test Framework: Must specify a meaningful 'msg' for test ${count}`); }
       if (actual == expected) {
@@ -66,15 +73,18 @@ not ok ${ count } - ${ msg }
       }
       count++;
     }
+  }) ).then( () => {
+    console.log(` ok: ${oks.length} asserts`);
+    if (verbose) {
+      console.log( `${oks.join("\n")}`);
+    }
+    return count-1;
   });
-  console.log(` ok: ${oks.length} asserts`);
-  if (verbose) {
-    console.log( `${oks.join("\n")}`);
-  }
-  return count-1;
 };
 
 const crosswordDataFormat = require( "../index.js" );
+const jsYaml = require( "js-yaml" ); // a standard YAML parser, to check our YAML is read the same way
+const Ajv = require( "ajv" ); // a standard JSON Schema validator, to check our schemas mean what we think
 
 test( 'basic module', assert => {
   assert.same({
@@ -437,7 +447,7 @@ test( 'crosswordDataFormat.parse fn - list handling (i.e. across and down)', ass
   {
     const headerLines = specHeadersMinusAcrossAndDown
     .concat(['across:'])
-    .concat([`- (5,5) 1. An Across clue too far? (11)`])
+    .concat([`- (5,5) 1. An Across clue too far? (12)`])
     .concat(['down:'])
     ;
     const response = crosswordDataFormat.parse(headerLines.join("\n"));
@@ -581,3 +591,3038 @@ test( 'crosswordDataFormat.parse fn - list handling (i.e. across and down)', ass
   }
 
 });
+
+test( 'crosswordDataFormat.parse fn - grid of cells', assert => {
+  const specHeadersMinusAcrossAndDown = [
+    'version: standard v2',
+    'name: Crossword 15813',
+    'author: Falcon',
+    'editor: Colin Inman',
+    'copyright: 2018, Financial Times',
+    'publisher: Financial Times',
+    'pubdate: 2018/03/22',
+    'size: 15x15',
+  ];
+
+  {
+    const headerLines = specHeadersMinusAcrossAndDown
+    .concat(['across:'])
+    .concat(['down:']);
+    const response = crosswordDataFormat.parse(headerLines.join("\n"));
+    assert.same({
+           msg: `returns a 15x15 grid of blocked cells when there are no clues`,
+        actual: response.isValid && response.grid && response.grid.length===15
+             && response.grid.every( row => row.length===15 && row.every( cell => cell.isBlocked && !cell.isLight ) ),
+      expected: true,
+       context: {response}
+    });
+  }
+  {
+    const headerLines = specHeadersMinusAcrossAndDown
+    .concat(['across:'])
+    .concat(['- (1,1) 1. An Across clue right across the grid (15)'])
+    .concat(['down:']);
+    const response = crosswordDataFormat.parse(headerLines.join("\n"));
+    assert.same({
+           msg: `allows an answer to fill the full width of the grid`,
+        actual: response.isValid && response.grid[0].every( cell => cell.isLight ),
+      expected: true,
+       context: {response}
+    });
+  }
+  {
+    const headerLines = specHeadersMinusAcrossAndDown
+    .concat(['across:'])
+    .concat(['- (1,1) 1. An Across clue (HELLO)'])
+    .concat(['down:'])
+    .concat(['- (1,1) 1. A Down clue (HOUSE)'])
+    .concat(['- (5,1) 2. Another Down clue (5)']);
+    const response = crosswordDataFormat.parse(headerLines.join("\n"));
+    const grid = response.grid;
+    assert.same({
+           msg: `the first cell is light, starts clue 1, belongs to 1 across and 1 down, with letter H`,
+        actual: response.isValid && grid[0][0].isLight && grid[0][0].id==='1'
+             && grid[0][0].across.id==='1' && grid[0][0].across.index===0
+             && grid[0][0].down.id==='1' && grid[0][0].down.index===0
+             && grid[0][0].letter==='H',
+      expected: true,
+       context: {cell: grid && grid[0][0]}
+    });
+    assert.same({
+           msg: `cell (5,1) starts clue 2, is the 5th letter of 1 across and the 1st of 2 down`,
+        actual: grid[0][4].id==='2' && grid[0][4].across.index===4 && grid[0][4].down.id==='2' && grid[0][4].down.index===0
+             && grid[0][4].letter==='O',
+      expected: true,
+       context: {cell: grid[0][4]}
+    });
+    assert.same({
+           msg: `cell (5,3) belongs only to 2 down, and has no known letter`,
+        actual: grid[2][4].isLight && grid[2][4].across===null && grid[2][4].down.id==='2' && grid[2][4].down.index===2
+             && grid[2][4].letter===null && grid[2][4].id===null,
+      expected: true,
+       context: {cell: grid[2][4]}
+    });
+    assert.same({
+           msg: `cell (2,2) is blocked`,
+        actual: grid[1][1].isBlocked && !grid[1][1].isLight && grid[1][1].across===null && grid[1][1].down===null,
+      expected: true,
+       context: {cell: grid[1][1]}
+    });
+    assert.same({
+           msg: `cell (1,5) is the last letter of 1 down`,
+        actual: grid[4][0].down.index===4 && grid[4][0].letter==='E',
+      expected: true,
+       context: {cell: grid[4][0]}
+    });
+  }
+  {
+    const headerLines = specHeadersMinusAcrossAndDown
+    .concat(['across:'])
+    .concat([`- (1,1) 1,2 down. An Across clue (HELLO,THERE)`])
+    .concat(['down:'])
+    .concat(['- (6,1) 2. See 1 Across (5)']);
+    const response = crosswordDataFormat.parse(headerLines.join("\n"));
+    const grid = response.grid;
+    assert.same({
+           msg: `an owned clue takes its letters from the owning clue's answer`,
+        actual: response.isValid
+             && [0,1,2,3,4].map( d => grid[d][5].letter ).join('') === 'THERE'
+             && grid[0][5].across===null && grid[0][5].down.id==='2' && grid[0][4].across.id==='1',
+      expected: true,
+       context: {response}
+    });
+  }
+});
+
+test( 'crosswordDataFormat.parse fn - crossing letters', assert => {
+  const specHeadersMinusAcrossAndDown = [
+    'version: standard v2',
+    'name: Crossword 15813',
+    'author: Falcon',
+    'editor: Colin Inman',
+    'copyright: 2018, Financial Times',
+    'publisher: Financial Times',
+    'pubdate: 2018/03/22',
+    'size: 15x15',
+  ];
+
+  {
+    const headerLines = specHeadersMinusAcrossAndDown
+    .concat(['across:'])
+    .concat(['- (1,1) 1. An Across clue (HELLO)'])
+    .concat(['down:'])
+    .concat(['- (1,1) 1. A Down clue (HOUSE)'])
+    .concat(['- (5,1) 2. Another Down clue (OTTER)']);
+    const response = crosswordDataFormat.parse(headerLines.join("\n"));
+    assert.same({
+           msg: `returns isValid===true when crossing answers agree on their shared letters`,
+        actual: response.isValid,
+      expected: true,
+       context: {response}
+    });
+  }
+  {
+    const headerLines = specHeadersMinusAcrossAndDown
+    .concat(['across:'])
+    .concat(['- (1,1) 1. An Across clue (HELLO)'])
+    .concat(['down:'])
+    .concat(['- (1,1) 1. A Down clue (MOUSE)'])
+    .concat(['- (5,1) 2. Another Down clue (ATTER)']);
+    const response = crosswordDataFormat.parse(headerLines.join("\n"));
+    assert.same({
+           msg: `returns an error for every cell where crossing answers disagree, mentioning both clues and both letters`,
+        actual: response.isValid===false && response.errors.length===2
+             && response.errors[0].includes('(1,1)') && response.errors[0].includes(`'H' in clue [1][across]`) && response.errors[0].includes(`'M' in clue [1][down]`)
+             && response.errors[1].includes('(5,1)') && response.errors[1].includes(`'O' in clue [1][across]`) && response.errors[1].includes(`'A' in clue [2][down]`),
+      expected: true,
+       context: {response}
+    });
+  }
+  {
+    const headerLines = specHeadersMinusAcrossAndDown
+    .concat(['across:'])
+    .concat(['- (1,1) 1. An Across clue (HELLO)'])
+    .concat(['down:'])
+    .concat(['- (1,1) 1. A Down clue (5)'])
+    .concat(['- (5,1) 2. Another Down clue (2,3)']);
+    const response = crosswordDataFormat.parse(headerLines.join("\n"));
+    assert.same({
+           msg: `placeholder answers do not conflict with known letters`,
+        actual: response.isValid,
+      expected: true,
+       context: {response}
+    });
+  }
+  {
+    const headerLines = specHeadersMinusAcrossAndDown
+    .concat(['across:'])
+    .concat(['- (1,1) 1. An Across clue (5)'])
+    .concat(['- (4,1) 2. An overlapping Across clue (5)'])
+    .concat(['down:']);
+    const response = crosswordDataFormat.parse(headerLines.join("\n"));
+    assert.same({
+           msg: `returns an error for every cell where two across answers overlap on one row`,
+        actual: response.isValid===false && response.errors.length===2
+             && response.errors.every( error => error.includes('overlaps') )
+             && response.errors[0].includes('(4,1)') && response.errors[1].includes('(5,1)'),
+      expected: true,
+       context: {response}
+    });
+  }
+});
+
+test( 'crosswordDataFormat.stringify fn', assert => {
+  assert.same({
+         msg: 'exports a stringify fn',
+      actual: crosswordDataFormat.hasOwnProperty('stringify'),
+    expected: true
+  });
+
+  const text = [
+    'version: standard v2',
+    'name: Crossword 15813',
+    'author: Falcon',
+    'editor: Colin Inman',
+    'copyright: 2018, Financial Times',
+    'publisher: Financial Times',
+    'pubdate: 2018/03/22',
+    'size: 15x15',
+    'down:',
+    '- (3,1)   2.  See 1 Across (4)',
+    '- (5,1) 3. See 1 Across (3)',
+    '- (7,1) 4. A clue (2-2|3)',
+    'across:',
+    '- (1,1) 1,2 down,3 down. An Across clue (HELLO,4,3)',
+    '- (1,3) 5. Another Across clue (AB,CDE-FG)',
+  ].join("\n");
+
+  const modelOf = parsing => JSON.stringify({
+    header: Object.keys(crosswordDataFormat.spec.permittedKeys).filter( key => crosswordDataFormat.spec.permittedKeys[key] !== 'list' ).map( key => parsing[key] ),
+    dimensions: parsing.dimensions,
+    largestClueId: parsing.largestClueId,
+    clues: parsing.clues,
+    grid: parsing.grid,
+  }, (key, value) => (key === 'raw')? undefined : value );
+
+  const parsing = crosswordDataFormat.parse( text );
+  const stringified = crosswordDataFormat.stringify( parsing );
+  const reparsing = crosswordDataFormat.parse( stringified );
+
+  assert.same({
+         msg: 'stringify writes the header keys in permittedKeys order, then the clues in id order in canonical form',
+      actual: parsing.isValid && stringified === [
+        'version: standard v2',
+        'name: Crossword 15813',
+        'author: Falcon',
+        'editor: Colin Inman',
+        'copyright: 2018, Financial Times',
+        'publisher: Financial Times',
+        'pubdate: 2018/03/22',
+        'size: 15x15',
+        'across:',
+        '- (1,1) 1,2 down,3 down. An Across clue (HELLO,4,3)',
+        '- (1,3) 5. Another Across clue (AB,CDE-FG)',
+        'down:',
+        '- (3,1) 2. See 1 Across (4)',
+        '- (5,1) 3. See 1 Across (3)',
+        '- (7,1) 4. A clue (2-2|3)',
+        ''
+      ].join("\n"),
+    expected: true,
+     context: {parsing, stringified}
+  });
+  assert.same({
+         msg: 'parse(stringify(parse(text))) gives the same model as parse(text)',
+      actual: reparsing.isValid && modelOf(reparsing) === modelOf(parsing),
+    expected: true,
+     context: {stringified, reparsing}
+  });
+  assert.same({
+         msg: 'stringify writes empty header values and empty lists',
+      actual: crosswordDataFormat.stringify( crosswordDataFormat.parse('version: standard v2\nname: \nauthor: \neditor: \ncopyright: \npublisher: \npubdate: \nsize: 5x5\nacross:\ndown:') ),
+    expected: 'version: standard v2\nname:\nauthor:\neditor:\ncopyright:\npublisher:\npubdate:\nsize: 5x5\nacross:\ndown:\n',
+  });
+});
+
+test( 'crosswordDataFormat.Crossword class', assert => {
+  assert.same({
+         msg: 'exports a Crossword class',
+      actual: crosswordDataFormat.hasOwnProperty('Crossword'),
+    expected: true
+  });
+
+  {
+    let thrown = false;
+    try {
+      new crosswordDataFormat.Crossword( crosswordDataFormat.parse('') );
+    } catch (err) {
+      thrown = true;
+    }
+    assert.same({
+           msg: 'refuses to build a Crossword from an invalid parsing',
+        actual: thrown,
+      expected: true
+    });
+  }
+  {
+    const crossword = crosswordDataFormat.Crossword.create({ name: 'Crossword 1', size: '5x5' });
+    assert.same({
+           msg: 'creates an empty crossword from scratch',
+        actual: crossword.dimensions.across===5 && crossword.parsing.name==='Crossword 1' && Object.keys(crossword.clues).length===0,
+      expected: true,
+       context: {parsing: crossword.parsing}
+    });
+
+    const errors = []
+    .concat( crossword.addClue({ id: 1, direction: 'across', coords: {across: 1, down: 1}, body: 'Greeting', answer: 'HELLO' }) )
+    .concat( crossword.addClue({ id: 1, direction: 'down', coords: {across: 1, down: 1}, body: 'Home', answer: '(HOUSE)' }) )
+    .concat( crossword.addClue({ id: 2, direction: 'down', coords: {across: 5, down: 1}, body: 'River animal', answer: '5' }) );
+    assert.same({
+           msg: 'adds valid clues, returning no errors',
+        actual: errors.length===0 && crossword.getClue(2, 'down').answer.length===5 && crossword.grid[0][4].letter==='O',
+      expected: true,
+       context: {errors}
+    });
+
+    const duplicateErrors = crossword.addClue({ id: 2, direction: 'down', coords: {across: 5, down: 1}, body: 'Again', answer: '5' });
+    assert.same({
+           msg: 'refuses to add a duplicate clue',
+        actual: duplicateErrors.length===1 && duplicateErrors[0].includes('already exists'),
+      expected: true,
+       context: {duplicateErrors}
+    });
+
+    const badArgumentErrors = [
+      { direction: 'down', coords: {across: 3, down: 3}, body: 'No id', answer: '3' },
+      { id: 4, direction: 'sideways', coords: {across: 3, down: 3}, body: 'Bad direction', answer: '3' },
+      { id: 4, direction: 'down', body: 'No coords', answer: '3' },
+      { id: 4, direction: 'down', coords: {across: 3}, body: 'Half coords', answer: '3' },
+      { id: 4, direction: 'down', coords: {across: 3, down: 3}, body: 'No answer' },
+      { id: 4, direction: 'down', coords: {across: 3, down: 3}, body: 'Numeric answer', answer: 3 },
+    ].map( clue => crossword.addClue( clue ) );
+    assert.same({
+           msg: 'refuses to add a clue with a missing id, direction, coords or string answer, rather than throwing',
+        actual: badArgumentErrors.map( errors => errors.join() ).join(' / '),
+      expected: [
+        "a new clue needs an id and a direction (one of across, down), not [undefined][down]",
+        "a new clue needs an id and a direction (one of across, down), not [4][sideways]",
+        "coords must be positive whole numbers, e.g. {across: 1, down: 1}, not undefined",
+        'coords must be positive whole numbers, e.g. {across: 1, down: 1}, not {"across":3}',
+        "answer must be a string, e.g. '(5)' or 'HELLO', not undefined",
+        "answer must be a string, e.g. '(5)' or 'HELLO', not 3",
+      ].join(' / '),
+       context: {badArgumentErrors}
+    });
+
+    const gapErrors = crossword.addClue({ id: 4, direction: 'down', coords: {across: 3, down: 3}, body: 'Gap', answer: '3' });
+    assert.same({
+           msg: 'refuses to add a clue which breaks clue id contiguity, leaving the crossword unchanged',
+        actual: gapErrors.length > 0 && gapErrors[0].includes('missing') && !crossword.clues.hasOwnProperty('4'),
+      expected: true,
+       context: {gapErrors}
+    });
+
+    const nullAnswerErrors = crossword.setAnswer(2, 'down', null);
+    assert.same({
+           msg: 'refuses to set an answer which is not a string',
+        actual: nullAnswerErrors.join(),
+      expected: "answer must be a string, e.g. '(5)' or 'HELLO', not null",
+       context: {nullAnswerErrors}
+    });
+
+    const conflictErrors = crossword.setAnswer(2, 'down', 'ABCDE');
+    assert.same({
+           msg: 'refuses an answer whose letters conflict with a crossing answer',
+        actual: conflictErrors.length===1 && conflictErrors[0].includes('conflicting') && crossword.getClue(2, 'down').answer.parts[0].placeholder,
+      expected: true,
+       context: {conflictErrors}
+    });
+
+    const answerErrors = crossword.setAnswer(2, 'down', 'OTTER');
+    assert.same({
+           msg: 'changes an answer',
+        actual: answerErrors.length===0 && crossword.getClue(2, 'down').answer.parts[0].text==='OTTER',
+      expected: true,
+       context: {answerErrors}
+    });
+
+    const bodyErrors = crossword.setBody(2, 'down', 'Playful swimmer');
+    assert.same({
+           msg: 'changes a clue body',
+        actual: bodyErrors.length===0 && crossword.toText().includes('- (5,1) 2. Playful swimmer (OTTER)'),
+      expected: true,
+       context: {bodyErrors, text: crossword.toText()}
+    });
+
+    const badMoveErrors = crossword.moveClue(2, {across: 0, down: 'two'});
+    assert.same({
+           msg: 'refuses to move a clue to coords which are not positive whole numbers',
+        actual: badMoveErrors.join(),
+      expected: 'coords must be positive whole numbers, e.g. {across: 1, down: 1}, not {"across":0,"down":"two"}',
+       context: {badMoveErrors}
+    });
+
+    const moveErrors = crossword.moveClue(2, {across: 5, down: 2});
+    assert.same({
+           msg: 'refuses to move a clue out of the grid',
+        actual: moveErrors.length > 0 && moveErrors[0].includes('outside') && crossword.getClue(2, 'down').coords.down===1,
+      expected: true,
+       context: {moveErrors}
+    });
+
+    const removeErrors = crossword.removeClue(2, 'down');
+    assert.same({
+           msg: 'removes a clue',
+        actual: removeErrors.length===0 && crossword.getClue(2, 'down')===null && crossword.grid[1][4].isBlocked,
+      expected: true,
+       context: {removeErrors}
+    });
+  }
+  {
+    const crossword = crosswordDataFormat.Crossword.create({ size: '9x9' });
+    crossword.addClue({ id: 1, direction: 'across', coords: {across: 1, down: 1}, body: 'Greetings', answer: 'HELLO' });
+    crossword.addClue({ id: 2, direction: 'down', coords: {across: 7, down: 1}, body: 'Over there', answer: 'THERE' });
+
+    const linkErrors = crossword.link(1, 'across', 2, 'down');
+    assert.same({
+           msg: 'links two clues via owns/belongsTo',
+        actual: linkErrors.length===0
+             && crossword.getClue(1, 'across').owns.length===1
+             && crossword.getClue(2, 'down').belongsTo.id==='1'
+             && crossword.toText().includes('- (1,1) 1,2 down. Greetings (HELLO,THERE)')
+             && crossword.toText().includes('- (7,1) 2. See 1 Across (THERE)'),
+      expected: true,
+       context: {linkErrors, text: crossword.toText()}
+    });
+
+    const relinkErrors = crossword.link(1, 'across', 2, 'down');
+    assert.same({
+           msg: 'refuses to link a clue which already belongs to another',
+        actual: relinkErrors.length===1 && relinkErrors[0].includes('already belongs'),
+      expected: true,
+       context: {relinkErrors}
+    });
+
+    const refusedRemoveErrors = crossword.removeClue(2, 'down');
+    assert.same({
+           msg: 'refuses to remove a clue which is owned by another',
+        actual: refusedRemoveErrors.length > 0 && crossword.getClue(2, 'down')!==null,
+      expected: true,
+       context: {refusedRemoveErrors}
+    });
+
+    const unlinkErrors = crossword.unlink(2, 'down', 'Over there');
+    assert.same({
+           msg: 'unlinks two clues',
+        actual: unlinkErrors.length===0
+             && crossword.toText().includes('- (1,1) 1. Greetings (HELLO)')
+             && crossword.toText().includes('- (7,1) 2. Over there (THERE)'),
+      expected: true,
+       context: {unlinkErrors, text: crossword.toText()}
+    });
+  }
+  {
+    const text = [
+      'version: standard v3',
+      'name: Crossword 1',
+      'author: Falcon',
+      'editor:',
+      'copyright:',
+      'publisher:',
+      'pubdate:',
+      'size: 3x3',
+      'across:',
+      '- (1,1) 1. Alphabet start (ABC)',
+      '- (1,3) 4. An Across clue (GHE)',
+      'down:',
+      '- (1,1) 1. A Down clue (AFG)',
+      '- (3,1) 2. Another Down clue (CDE)',
+    ].join("\n");
+    const options = { profile: 'lenient' };
+    const crossword = new crosswordDataFormat.Crossword( crosswordDataFormat.parse( text, options ), options );
+    const setErrors = crossword.setBody(1, 'across', 'Start of the alphabet');
+    const standardCrossword = new crosswordDataFormat.Crossword( crosswordDataFormat.parse( text, options ) );
+    const standardErrors = standardCrossword.setBody(1, 'across', 'Start of the alphabet');
+    assert.same({
+           msg: 'keeps the parse options it was made with, e.g. the lenient profile, for each mutation',
+        actual: `${setErrors.length} ${crossword.getClue(1, 'across').body} ${crossword.parsing.warnings.length} ${standardErrors.length > 0}`,
+      expected: '0 Start of the alphabet 1 true',
+       context: {setErrors, standardErrors, text: crossword.toText()}
+    });
+    const created = crosswordDataFormat.Crossword.create({ size: '3x3' }, options);
+    assert.same({
+           msg: 'as does a crossword created from scratch',
+        actual: created.options,
+      expected: options,
+    });
+  }
+});
+
+test( 'crosswordDataFormat.numberGrid and renumber fns', assert => {
+  const blockRows = [
+    '.....',
+    '.#.#.',
+    '.....',
+    '.#.#.',
+    '.....',
+  ];
+  {
+    const numbered = crosswordDataFormat.numberGrid( blockRows );
+    const summary = numbered.numbering.map( n => `${n.id}${n.direction[0]}(${n.coords.across},${n.coords.down})${n.length}` ).join(' ');
+    assert.same({
+           msg: 'numbers the grid across then down, giving the coords, direction and length of every answer',
+        actual: summary,
+      expected: '1a(1,1)5 1d(1,1)5 2d(3,1)5 3d(5,1)5 4a(1,3)5 5a(1,5)5',
+       context: {numbered}
+    });
+    assert.same({
+           msg: 'gives the dimensions of the grid',
+        actual: numbered.errors.length===0 && numbered.dimensions.across===5 && numbered.dimensions.down===5,
+      expected: true,
+       context: {numbered}
+    });
+    assert.same({
+           msg: 'accepts the rows joined by newlines',
+        actual: JSON.stringify( crosswordDataFormat.numberGrid( blockRows.join("\n") ) ) === JSON.stringify(numbered),
+      expected: true,
+    });
+  }
+  {
+    const numbered = crosswordDataFormat.numberGrid( ['..#.', '.x.'] );
+    assert.same({
+           msg: 'returns errors for ragged rows or unrecognised characters',
+        actual: numbered.errors.length===2,
+      expected: true,
+       context: {numbered}
+    });
+  }
+  {
+    const numbered = crosswordDataFormat.numberGrid( ['#..#', '.#..'] );
+    assert.same({
+           msg: 'does not number single light cells',
+        actual: numbered.numbering.map( n => `${n.id}${n.direction[0]}` ).join(' '),
+      expected: '1a 2d 3a',
+       context: {numbered}
+    });
+  }
+
+  const header = [
+    'version: standard v2',
+    'name: Crossword 15813',
+    'author: Falcon',
+    'editor: Colin Inman',
+    'copyright: 2018, Financial Times',
+    'publisher: Financial Times',
+    'pubdate: 2018/03/22',
+    'size: 5x5',
+  ];
+  {
+    const text = header
+    .concat(['across:'])
+    .concat(['- (2,2) 7,9 down. First across (5,5)'])
+    .concat(['- (1,1) 3. Second across (5)'])
+    .concat(['- (1,1) 3. Third across (5)'])
+    .concat(['down:'])
+    .concat(['- (1,1) 3. First down (5)'])
+    .concat(['- (1,1) 8. Second down (5)'])
+    .concat(['- (1,1) 9. See 7 Across (5)'])
+    .join("\n");
+    const renumbered = crosswordDataFormat.renumber( text, blockRows );
+    assert.same({
+           msg: 'renumber rewrites the ids, coords and references of a document to match the grid',
+        actual: renumbered.errors.length===0 && renumbered.text.split("\n").slice(8).join("\n"),
+      expected: [
+        'across:',
+        '- (1,1) 1,3 down. First across (5,5)',
+        '- (1,3) 4. Second across (5)',
+        '- (1,5) 5. Third across (5)',
+        'down:',
+        '- (1,1) 1. First down (5)',
+        '- (3,1) 2. Second down (5)',
+        '- (5,1) 3. See 1 Across (5)',
+        ''
+      ].join("\n"),
+       context: {renumbered}
+    });
+    assert.same({
+           msg: 'the renumbered document parses as valid',
+        actual: crosswordDataFormat.parse( renumbered.text ).isValid,
+      expected: true,
+       context: {renumbered}
+    });
+  }
+  {
+    const text = header
+    .concat(['across:'])
+    .concat(['- (1,1) 1. First across (4)'])
+    .concat(['- (1,3) 4. Second across (5)'])
+    .concat(['- (1,5) 5. Third across (5)'])
+    .concat(['down:'])
+    .concat(['- (1,1) 1. First down (5)'])
+    .concat(['- (3,1) 2. Second down (5)'])
+    .concat(['- (5,1) 3. Third down (5)'])
+    .join("\n");
+    const renumbered = crosswordDataFormat.renumber( text, blockRows );
+    assert.same({
+           msg: 'renumber returns an error, and the original text, when an answer does not fit the grid',
+        actual: renumbered.errors.length===1 && renumbered.errors[0].includes('length 4') && renumbered.text===text,
+      expected: true,
+       context: {renumbered}
+    });
+  }
+  {
+    const text = header
+    .concat(['across:'])
+    .concat(['- (1,1) 1. First across (5)'])
+    .concat(['down:'])
+    .join("\n");
+    const renumbered = crosswordDataFormat.renumber( text, blockRows );
+    assert.same({
+           msg: 'renumber returns an error when the number of clues does not match the grid',
+        actual: renumbered.errors.length===2 && renumbered.errors.every( error => error.includes('but the grid has') ),
+      expected: true,
+       context: {renumbered}
+    });
+  }
+});
+
+test( 'crosswordDataFormat.fromPuz fn', assert => {
+  const fs = require('fs');
+  const path = require('path');
+  const buffer = fs.readFileSync( path.join( __dirname, 'fixtures', 'tiny.puz' ) );
+
+  assert.same({
+         msg: 'exports a fromPuz fn',
+      actual: crosswordDataFormat.hasOwnProperty('fromPuz'),
+    expected: true
+  });
+  {
+    const converted = crosswordDataFormat.fromPuz( buffer );
+    assert.same({
+           msg: 'converts a .puz file into text in this format, with coords, enumerations, answers and notes',
+        actual: converted.errors.length===0 && converted.text,
+      expected: [
+        'version: standard v3',
+        'name: Crossword 1',
+        'author: Falcon',
+        'editor:',
+        'copyright: © 2018, Financial Times',
+        'publisher:',
+        'pubdate:',
+        'size: 3x3',
+        'notes: A tiny test puzzle',
+        'across:',
+        '- (1,1) 1. Pet that purrs (CAT)',
+        '- (1,3) 3. Buzzing insect (B-EE)',
+        'down:',
+        '- (1,1) 1. Taxi (CAB)',
+        '- (3,1) 2. Part of a foot (TOE)',
+        ''
+      ].join("\n"),
+       context: {converted}
+    });
+    const response = crosswordDataFormat.parse( converted.text );
+    assert.same({
+           msg: 'the converted text parses as valid',
+        actual: response.isValid && response.grid[1][1].isBlocked && response.grid[2][2].letter==='E',
+      expected: true,
+       context: {response}
+    });
+  }
+  {
+    const corrupted = Buffer.from( buffer );
+    corrupted[corrupted.length - 3] = 'X'.charCodeAt(0); // in the notes
+    const converted = crosswordDataFormat.fromPuz( corrupted );
+    assert.same({
+           msg: 'reports checksum mismatches as errors',
+        actual: converted.errors.length===2 && converted.errors[0].includes('checksum mismatch') && converted.errors[1].includes('masked checksums'),
+      expected: true,
+       context: {converted}
+    });
+  }
+  {
+    const scrambled = Buffer.from( buffer );
+    scrambled.writeUInt16LE( 4, 0x32 );
+    const converted = crosswordDataFormat.fromPuz( scrambled );
+    assert.same({
+           msg: 'reports a scrambled solution, and uses placeholders for the answers',
+        actual: converted.errors.some( error => error.includes('scrambled') )
+             && converted.text.includes('- (1,1) 1. Pet that purrs (3)')
+             && converted.text.includes('- (1,3) 3. Buzzing insect (1-2)'),
+      expected: true,
+       context: {converted}
+    });
+  }
+  {
+    const linkedText = [
+      'version: standard v3',
+      'name: Linked',
+      'author: Falcon',
+      'editor:',
+      'copyright:',
+      'publisher:',
+      'pubdate:',
+      'size: 5x3',
+      'across:',
+      '- (1,1) 1,2 across. Greeting then rodent (HELLO-OTTER)',
+      '- (1,3) 2. See 1 Across (5)',
+      'down:',
+      '',
+    ].join("\n");
+    const linked = crosswordDataFormat.fromPuz( crosswordDataFormat.toPuz( crosswordDataFormat.parse( linkedText ) ).puz );
+    const unlinked = crosswordDataFormat.fromPuz( crosswordDataFormat.toPuz( crosswordDataFormat.parse( linkedText
+      .replace('1,2 across. Greeting then rodent (HELLO-OTTER)', '1. Greeting (HELLO)')
+      .replace('See 1 Across (5)', 'See 7 (OTTER)') ) ).puz );
+    assert.same({
+           msg: "links a clue written as 'See 1' to its owning clue, taking the enumeration of the whole linked answer out of the owning clue's body, and giving the linked clue only its length, but leaves a See to no clue as it is",
+        actual: `${linked.errors.length} ${linked.text === linkedText} ${unlinked.errors.length} ${unlinked.text.split("\n").filter( line => line.startsWith('- ') ).join(' / ')}`,
+      expected: '0 true 0 - (1,1) 1. Greeting (HELLO) / - (1,3) 2. See 7 (OTTER)',
+       context: {linked, unlinked}
+    });
+  }
+  {
+    const converted = crosswordDataFormat.fromPuz( Buffer.from('not a puz file') );
+    assert.same({
+           msg: 'returns an error and no text for something which is not a .puz file',
+        actual: converted.errors.length===1 && converted.text==='',
+      expected: true,
+       context: {converted}
+    });
+  }
+});
+
+test( 'crosswordDataFormat.toPuz fn', assert => {
+  const fs = require('fs');
+  const path = require('path');
+  const buffer = fs.readFileSync( path.join( __dirname, 'fixtures', 'tiny.puz' ) );
+  const text = crosswordDataFormat.fromPuz( buffer ).text;
+
+  {
+    const converted = crosswordDataFormat.toPuz( crosswordDataFormat.parse( text ) );
+    const convertedBack = crosswordDataFormat.fromPuz( converted.puz );
+    assert.same({
+           msg: 'converts a valid parsing into a .puz file, with correct checksums, which converts back to the same text',
+        actual: `${converted.errors.length} ${Buffer.isBuffer( converted.puz )} ${convertedBack.errors.length} ${convertedBack.text === text}`,
+      expected: '0 true 0 true',
+       context: {converted, convertedBack}
+    });
+    assert.same({
+           msg: 'writes the same header fields, solution and empty player state as Across Lite',
+        actual: converted.puz.slice( 0x2C, 0x34 + (2 * 3 * 3) ).toString('hex'),
+      expected: buffer.slice( 0x2C, 0x34 + (2 * 3 * 3) ).toString('hex'),
+       context: {converted}
+    });
+  }
+  {
+    const converted = crosswordDataFormat.toPuz( crosswordDataFormat.parse( [
+      'version: standard v2',
+      'name: Crossword 15813',
+      'author: Falcon',
+      'editor:',
+      'copyright:',
+      'publisher:',
+      'pubdate:',
+      'size: 5x5',
+      'across:',
+      '- (1,1) 1,2 down. Greeting then rodent (HELLO,OTTER)',
+      'down:',
+      '- (5,1) 2. See 1 Across (5)',
+    ].join("\n") ) );
+    const convertedBack = crosswordDataFormat.fromPuz( converted.puz );
+    assert.same({
+           msg: 'writes an owned clue as See, and the enumeration of all the parts for the owning clue',
+        actual: `${converted.errors.length} ${convertedBack.text.includes('- (1,1) 1,2 down. Greeting then rodent (HELLO,OTTER)')} ${convertedBack.text.includes('- (5,1) 2. See 1 Across (5)')}`,
+      expected: '0 true true',
+       context: {converted, convertedBack}
+    });
+  }
+  {
+    const placeholders = crosswordDataFormat.toPuz( crosswordDataFormat.parse( text.replace('(CAT)', '(3)').replace('(CAB)', '(3)') ) );
+    assert.same({
+           msg: 'cannot convert unknown letters, since .puz has no way to represent them',
+        actual: `${placeholders.puz} ${placeholders.errors.length} ${placeholders.errors[0]}`,
+      expected: `null 3 .puz cannot represent the letter of cell (1,1): letter=null`,
+       context: {placeholders}
+    });
+  }
+  {
+    const unicode = crosswordDataFormat.toPuz( crosswordDataFormat.parse( text.replace('Pet that purrs', 'Pet that purrs ☺') ) );
+    assert.same({
+           msg: 'cannot convert text which is not ISO-8859-1',
+        actual: `${unicode.puz} ${unicode.errors.join('; ')}`,
+      expected: `null .puz cannot represent the text of clue [1][across], which is not ISO-8859-1: "Pet that purrs ☺ (3)"`,
+       context: {unicode}
+    });
+  }
+  {
+    const optional = crosswordDataFormat.toPuz( crosswordDataFormat.parse( text.replace('notes:', 'theme: Pets\nx-ft-section: Life\nnotes:') ) );
+    const convertedBack = crosswordDataFormat.fromPuz( optional.puz );
+    assert.same({
+           msg: 'writes the notes, but reports (without refusing to convert) the other optional and x- extension keys',
+        actual: `${Buffer.isBuffer( optional.puz )} ${convertedBack.text === text} ${optional.errors.join('; ')}`,
+      expected: `true true .puz cannot represent the header key 'theme', so it has been dropped; .puz cannot represent the header key 'x-ft-section', so it has been dropped`,
+       context: {optional, convertedBack}
+    });
+  }
+  assert.same({
+         msg: 'cannot convert an invalid parsing',
+      actual: crosswordDataFormat.toPuz( crosswordDataFormat.parse( text.replace('(CAT)', '(DOG)') ) ).errors.join('; '),
+    expected: 'can only convert a valid parsing to puz',
+  });
+});
+
+test( 'crosswordDataFormat.toIpuz and fromIpuz fns', assert => {
+  const text = [
+    'version: standard v3',
+    'name: Crossword 15813',
+    'author: Falcon',
+    'editor: Colin Inman',
+    'copyright: 2018, Financial Times',
+    'publisher: Financial Times',
+    'pubdate: 2018/03/22',
+    'size: 7x5',
+    'across:',
+    '- (1,1) 1,3 down. Greetings over there (HELLO,THE-RE)',
+    '- (1,5) 4. Something else (2,3)',
+    'down:',
+    '- (1,1) 1. Home (HOUSE)',
+    '- (5,1) 2. River animal (OTTER)',
+    '- (7,1) 3. See 1 Across (5)',
+    '',
+  ].join("\n");
+  const parsing = crosswordDataFormat.parse( text );
+
+  assert.same({
+         msg: 'exports toIpuz and fromIpuz fns',
+      actual: crosswordDataFormat.hasOwnProperty('toIpuz') && crosswordDataFormat.hasOwnProperty('fromIpuz'),
+    expected: true
+  });
+
+  const converted = crosswordDataFormat.toIpuz( parsing );
+  const ipuz = converted.ipuz;
+  assert.same({
+         msg: 'toIpuz maps the header keys and dimensions',
+      actual: parsing.isValid && converted.errors.length===0
+           && ipuz.title==='Crossword 15813' && ipuz.author==='Falcon' && ipuz.editor==='Colin Inman' && ipuz.date==='2018/03/22'
+           && ipuz.dimensions.width===7 && ipuz.dimensions.height===5,
+    expected: true,
+     context: {converted}
+  });
+  assert.same({
+         msg: 'toIpuz maps the grid to the ipuz puzzle and solution',
+      actual: JSON.stringify(ipuz.puzzle[0]) === '[1,0,0,0,2,"#",3]' && ipuz.puzzle[1][1]==='#'
+           && JSON.stringify(ipuz.solution[0]) === '["H","E","L","L","O","#","T"]' && ipuz.solution[4][1]===null,
+    expected: true,
+     context: {puzzle: ipuz.puzzle, solution: ipuz.solution}
+  });
+  assert.same({
+         msg: 'toIpuz maps the clues, with enumerations and linked clues',
+      actual: JSON.stringify(ipuz.clues.Across[0]),
+    expected: JSON.stringify({
+      number: 1, clue: 'Greetings over there', enumeration: '5,3-2', answer: 'HELLO THE-RE',
+      continued: [{direction: 'Down', number: 3}],
+      cells: [[1,1],[2,1],[3,1],[4,1],[5,1]]
+    }),
+     context: {clues: ipuz.clues}
+  });
+  assert.same({
+         msg: 'toIpuz maps an owned clue with see',
+      actual: JSON.stringify(ipuz.clues.Down[2]),
+    expected: JSON.stringify({
+      number: 3, clue: 'See 1 Across', see: {direction: 'Across', number: 1}, enumeration: '5',
+      cells: [[7,1],[7,2],[7,3],[7,4],[7,5]]
+    }),
+     context: {clues: ipuz.clues}
+  });
+  {
+    const back = crosswordDataFormat.fromIpuz( JSON.stringify(ipuz) );
+    assert.same({
+           msg: 'fromIpuz(toIpuz(parsing)) gives back the same text, with the owned clue\'s answer only its length',
+        actual: back.errors.length===0 && back.text,
+      expected: text,
+       context: {back}
+    });
+    assert.same({
+           msg: 'fromIpuz(toIpuz(parsing)) round-trips a crossword with linked clues faithfully',
+        actual: crosswordDataFormat.stringify( crosswordDataFormat.parse( back.text ) ),
+      expected: crosswordDataFormat.stringify( parsing ),
+       context: {back}
+    });
+  }
+  {
+    const optionalText = text.replace('size: 7x5', [
+      'size: 7x5',
+      'preamble: Solve the across clues first',
+      'difficulty: Medium',
+      'theme: Salutations',
+      'notes: A note',
+      'series: Weekend',
+      'number: "15813"',
+      'source: https://example.com/15813',
+      'x-ft-section: Life & Arts',
+    ].join("\n"));
+    const optionalConverted = crosswordDataFormat.toIpuz( crosswordDataFormat.parse( optionalText ) );
+    const optionalIpuz = optionalConverted.ipuz;
+    assert.same({
+           msg: 'toIpuz maps the optional keys to ipuz fields, and the others and the x- extension keys to namespaced extension fields',
+        actual: optionalConverted.errors.length===0
+             && optionalIpuz.intro==='Solve the across clues first' && optionalIpuz.difficulty==='Medium'
+             && optionalIpuz.notes==='A note' && optionalIpuz.url==='https://example.com/15813'
+             && optionalIpuz['crossword-data-format:theme']==='Salutations' && optionalIpuz['crossword-data-format:number']==='15813'
+             && optionalIpuz['crossword-data-format:x-ft-section']==='Life & Arts',
+      expected: true,
+       context: {optionalConverted}
+    });
+    const back = crosswordDataFormat.fromIpuz( optionalIpuz );
+    assert.same({
+           msg: 'fromIpuz maps the optional and x- extension keys back',
+        actual: back.errors.length===0 && back.text,
+      expected: optionalText,
+       context: {back}
+    });
+  }
+  {
+    const pipeText = text.replace('(2,3)', '(2|3)');
+    const pipeConverted = crosswordDataFormat.toIpuz( crosswordDataFormat.parse( pipeText ) );
+    assert.same({
+           msg: `toIpuz reports the '|' separator, which cannot be represented`,
+        actual: pipeConverted.errors.length===1 && pipeConverted.errors[0].includes(`'|'`)
+             && pipeConverted.ipuz.clues.Across[1].enumeration==='5',
+      expected: true,
+       context: {pipeConverted}
+    });
+  }
+  {
+    const ipuzFromElsewhere = {
+      version: 'http://ipuz.org/v2',
+      kind: ['http://ipuz.org/crossword#1'],
+      title: 'A tiny one',
+      notes: 'Some notes',
+      fakeclues: true,
+      dimensions: {width: 3, height: 3},
+      puzzle: [[1, 0, 2], [0, '#', 0], [3, 0, 0]],
+      solution: [['C','A','T'], ['A','#','O'], ['B','E','E']],
+      clues: {
+        Across: [[1, 'Pet'], {number: 3, clue: 'Insect', enumeration: '1 2'}],
+        Down: [[1, 'Taxi'], {number: 2, clue: 'Digit', hints: ['On a foot']}],
+      },
+    };
+    const back = crosswordDataFormat.fromIpuz( ipuzFromElsewhere );
+    assert.same({
+           msg: 'fromIpuz converts other ipuz, reporting what cannot be represented',
+        actual: back.errors.length===2 && back.errors[0].includes(`'fakeclues'`) && back.errors[1].includes(`'hints'`)
+             && back.text.includes('notes: Some notes') && back.text.includes('- (1,3) 3. Insect (B,EE)') && back.text.includes('- (3,1) 2. Digit (TOE)')
+             && crosswordDataFormat.parse( back.text ).isValid,
+      expected: true,
+       context: {back}
+    });
+  }
+  {
+    const back = crosswordDataFormat.fromIpuz( '{ not json' );
+    assert.same({
+           msg: 'fromIpuz reports JSON it cannot parse',
+        actual: back.errors.length===1 && back.text==='',
+      expected: true,
+       context: {back}
+    });
+  }
+});
+
+test( 'crosswordDataFormat.toJpz fn', assert => {
+  const text = [
+    'version: standard v2',
+    'name: Crossword & Co',
+    'author: Falcon',
+    'editor: Colin Inman',
+    'copyright: 2018, Financial Times',
+    'publisher: Financial Times',
+    'pubdate: 2018/03/22',
+    'size: 7x5',
+    'across:',
+    '- (1,1) 1,3 down. Greetings <over> there (HELLO,THE-RE)',
+    '- (1,5) 4. Something else (2|3)',
+    'down:',
+    '- (1,1) 1. Home (HOUSE)',
+    '- (5,1) 2. River animal (OTTER)',
+    '- (7,1) 3. See 1 Across (5)',
+  ].join("\n");
+
+  assert.same({
+         msg: 'exports a toJpz fn',
+      actual: crosswordDataFormat.hasOwnProperty('toJpz'),
+    expected: true
+  });
+  {
+    const converted = crosswordDataFormat.toJpz( crosswordDataFormat.parse('') );
+    assert.same({
+           msg: 'returns an error, and no jpz, for an invalid parsing',
+        actual: converted.errors.length===1 && converted.jpz===null,
+      expected: true,
+       context: {converted}
+    });
+  }
+
+  const converted = crosswordDataFormat.toJpz( crosswordDataFormat.parse( text ) );
+  const jpz = converted.jpz;
+  assert.same({
+         msg: 'writes the metadata, escaped',
+      actual: converted.errors.length===0 && jpz.startsWith('<?xml')
+           && jpz.includes('<title>Crossword &amp; Co</title>') && jpz.includes('<creator>Falcon</creator>')
+           && jpz.includes('<editor>Colin Inman</editor>') && jpz.includes('<publisher>Financial Times</publisher>'),
+    expected: true,
+     context: {converted}
+  });
+  assert.same({
+         msg: 'writes the grid cells, with solutions and numbers, and blocks',
+      actual: jpz.includes('<grid width="7" height="5">')
+           && jpz.includes('<cell x="1" y="1" solution="H" number="1"/>')
+           && jpz.includes('<cell x="6" y="1" type="block"/>')
+           && jpz.includes('<cell x="2" y="5"/>'),
+    expected: true,
+     context: {jpz}
+  });
+  assert.same({
+         msg: 'writes a word per clue, where an owning clue includes the cells of the clues it owns',
+      actual: jpz.includes('<word id="1">\n<cells x="1-5" y="1"/>\n<cells x="7" y="1-5"/>\n</word>')
+           && jpz.includes('<word id="3" x="1" y="1-5"/>'),
+    expected: true,
+     context: {jpz}
+  });
+  assert.same({
+         msg: 'writes the clues with formatted enumerations, and linked clues',
+      actual: jpz.includes('<clue word="1" number="1, 3 down" format="5,3-2">Greetings &lt;over&gt; there</clue>')
+           && jpz.includes('<clue word="2" number="4" format="5">Something else</clue>')
+           && jpz.includes('<clue word="5" number="3" is-link="1">See 1 Across</clue>'),
+    expected: true,
+     context: {jpz}
+  });
+  {
+    const optionalText = text.replace('version: standard v2', 'version: standard v3')
+    .replace('size: 7x5', ['size: 7x5', 'preamble: Solve <this>', 'notes: A note', 'theme: Salutations', 'x-ft-section: Life'].join("\n"));
+    const optional = crosswordDataFormat.toJpz( crosswordDataFormat.parse( optionalText ) );
+    assert.same({
+           msg: 'writes the notes as the description, and the preamble as the instructions, reporting the keys it cannot represent',
+        actual: `${optional.jpz.includes('<description>A note</description>\n</metadata>\n<instructions>Solve &lt;this&gt;</instructions>')} ${optional.errors.join('; ')}`,
+      expected: `true jpz cannot represent the header key 'theme', so it has been dropped; jpz cannot represent the header key 'x-ft-section', so it has been dropped`,
+       context: {optional}
+    });
+  }
+});
+
+test( 'crosswordDataFormat.toSvg and toHtml fns', assert => {
+  const text = [
+    'version: standard v2',
+    'name: Crossword <1>',
+    'author: Falcon',
+    'editor: Colin Inman',
+    'copyright: 2018, Financial Times',
+    'publisher: Financial Times',
+    'pubdate: 2018/03/22',
+    'size: 7x5',
+    'across:',
+    '- (1,1) 1,3 down. Greetings over there (HELLO,THE-RE)',
+    '- (1,5) 4. Something else (2|3)',
+    'down:',
+    '- (1,1) 1. Home (HOUSE)',
+    '- (5,1) 2. River animal (OTTER)',
+    '- (7,1) 3. See 1 Across (5)',
+  ].join("\n");
+  const parsing = crosswordDataFormat.parse( text );
+
+  assert.same({
+         msg: 'exports toSvg and toHtml fns',
+      actual: crosswordDataFormat.hasOwnProperty('toSvg') && crosswordDataFormat.hasOwnProperty('toHtml'),
+    expected: true
+  });
+  {
+    const rendered = crosswordDataFormat.toSvg( crosswordDataFormat.parse('') );
+    assert.same({
+           msg: 'returns an error, and no svg, for an invalid parsing',
+        actual: rendered.errors.length===1 && rendered.svg===null,
+      expected: true,
+       context: {rendered}
+    });
+  }
+  {
+    const blank = crosswordDataFormat.toSvg( parsing ).svg;
+    const solution = crosswordDataFormat.toSvg( parsing, { solution: true } ).svg;
+    const count = (svg, pattern) => (svg.match( pattern ) || []).length;
+    assert.same({
+           msg: 'the svg has a rect for every cell, with the blocks filled, and the clue numbers',
+        actual: blank.startsWith('<svg') && count( blank, /<rect /g )===35 && count( blank, /class="block"/g )===14
+             && count( blank, /class="number"/g )===4 && blank.includes('<title>Crossword &lt;1&gt;</title>'),
+      expected: true,
+       context: {blank}
+    });
+    assert.same({
+           msg: 'only the solution version of the svg shows the (known) letters',
+        actual: count( blank, /class="letter"/g )===0 && count( solution, /class="letter"/g )===18,
+      expected: true,
+       context: {solution}
+    });
+  }
+  {
+    const html = crosswordDataFormat.toHtml( parsing ).html;
+    assert.same({
+           msg: 'the html is a standalone document including the grid',
+        actual: html.startsWith('<!DOCTYPE html>') && html.includes('<svg') && html.includes('<h1>Crossword &lt;1&gt;</h1>'),
+      expected: true,
+       context: {html}
+    });
+    assert.same({
+           msg: 'the html lists the clues with enumerations, and linked clues the newspaper way',
+        actual: html.includes('<h2>Across</h2>') && html.includes('<h2>Down</h2>')
+             && html.includes('<li><span class="number">1, 3 down</span> <span class="clue">Greetings over there (5,3-2)</span></li>')
+             && html.includes('<li><span class="number">4</span> <span class="clue">Something else (5)</span></li>')
+             && html.includes('<li><span class="number">3</span> <span class="clue">See 1 Across</span></li>'),
+      expected: true,
+       context: {html}
+    });
+  }
+  {
+    const preambleText = text.replace('version: standard v2', 'version: standard v3').replace('size: 7x5', 'size: 7x5\npreamble: Solve <this>');
+    const html = crosswordDataFormat.toHtml( crosswordDataFormat.parse( preambleText ) ).html;
+    assert.same({
+           msg: 'the html shows the preamble before the grid',
+        actual: html.includes('<p class="preamble">Solve &lt;this&gt;</p>\n<div class="grid">'),
+      expected: true,
+       context: {html}
+    });
+  }
+});
+
+test( 'crosswordDataFormat.parse fn - diagnostics', assert => {
+  const specHeadersMinusAcrossAndDown = [
+    'version: standard v2',
+    'name: Crossword 15813',
+    'author: Falcon',
+    'editor: Colin Inman',
+    'copyright: 2018, Financial Times',
+    'publisher: Financial Times',
+    'pubdate: 2018/03/22',
+    'size: 15x15',
+  ];
+
+  {
+    const response = crosswordDataFormat.parse();
+    assert.same({
+           msg: 'returns a diagnostic object for each error, with a code, severity and message',
+        actual: response.diagnostics.length===1 && response.diagnostics[0].code==='NO_TEXT'
+             && response.diagnostics[0].severity==='error' && response.diagnostics[0].message===response.errors[0],
+      expected: true,
+       context: {response}
+    });
+  }
+  {
+    const headerLines = specHeadersMinusAcrossAndDown.concat(['size: 15x15', 'across:', 'down:']);
+    const response = crosswordDataFormat.parse( headerLines.join("\n") );
+    const d = response.diagnostics.find( d => d.severity === 'error' );
+    assert.same({
+           msg: 'a duplicate key has the code DUPLICATE_KEY, and its line and column',
+        actual: d && d.code==='DUPLICATE_KEY' && d.line===9 && d.column===1 && d.clue===null,
+      expected: true,
+       context: {response}
+    });
+  }
+  {
+    const headerLines = specHeadersMinusAcrossAndDown
+    .concat(['across:'])
+    .concat([`- (5,5) 1. An Across clue too far? (12)`])
+    .concat(['down:']);
+    const response = crosswordDataFormat.parse( headerLines.join("\n") );
+    const d = response.diagnostics.find( d => d.severity === 'error' );
+    assert.same({
+           msg: 'an answer out of the grid has the code ANSWER_OUT_OF_GRID, and the line, column and clue involved',
+        actual: d && d.code==='ANSWER_OUT_OF_GRID' && d.line===10 && d.column===36
+             && d.clue.id==='1' && d.clue.direction==='across' && response.errors[0]===d.message,
+      expected: true,
+       context: {response}
+    });
+  }
+  {
+    const headerLines = specHeadersMinusAcrossAndDown
+    .concat(['across:'])
+    .concat(['- (1,1) 1. An Across clue (HELLO)'])
+    .concat(['down:'])
+    .concat(['- (1,1) 1. A Down clue (MOUSE)']);
+    const response = crosswordDataFormat.parse( headerLines.join("\n") );
+    const d = response.diagnostics.find( d => d.severity === 'error' );
+    assert.same({
+           msg: 'conflicting letters has the code CONFLICTING_LETTERS, with both clues involved',
+        actual: d && d.code==='CONFLICTING_LETTERS' && d.line===12
+             && d.clue.id==='1' && d.clue.direction==='down' && d.relatedClue.id==='1' && d.relatedClue.direction==='across',
+      expected: true,
+       context: {response}
+    });
+  }
+  {
+    const headerLines = specHeadersMinusAcrossAndDown
+    .concat(['across:'])
+    .concat([`- (3,1) 2. An Across clue (5)`])
+    .concat([`- (5,2) 1. An Across clue (5)`])
+    .concat(['down:']);
+    const response = crosswordDataFormat.parse( headerLines.join("\n") );
+    const d = response.diagnostics.find( d => d.severity === 'error' );
+    assert.same({
+           msg: 'a clue out of id order has the code CLUE_ID_ORDER, located at its ids',
+        actual: d && d.code==='CLUE_ID_ORDER' && d.line===11 && d.column===9 && d.clue.id==='1',
+      expected: true,
+       context: {response}
+    });
+  }
+  {
+    const headerLines = specHeadersMinusAcrossAndDown
+    .concat(['across:'])
+    .concat([`- (1,1) 1. An Across clue (5)`])
+    .concat([`- (1,3) 1. Another Across clue (5)`])
+    .concat(['down:']);
+    const response = crosswordDataFormat.parse( headerLines.join("\n") );
+    assert.same({
+           msg: 'a duplicated clue id within a direction has the code DUPLICATE_CLUE',
+        actual: response.diagnostics.length===1 && response.diagnostics[0].code==='DUPLICATE_CLUE',
+      expected: true,
+       context: {response}
+    });
+  }
+  assert.same({
+         msg: 'every diagnostic code is described in the spec',
+      actual: Object.keys(crosswordDataFormat.spec.diagnosticCodes).length > 0
+           && Object.keys(crosswordDataFormat.spec.diagnosticCodes).every( code => code.match(/^[A-Z_]+$/) ),
+    expected: true,
+  });
+});
+
+test( 'crosswordDataFormat.parse fn - collectAll option', assert => {
+  const specHeadersMinusSizeAndAcrossAndDown = [
+    'version: standard v2',
+    'name: Crossword 15813',
+    'author: Falcon',
+    'editor: Colin Inman',
+    'copyright: 2018, Financial Times',
+    'publisher: Financial Times',
+    'pubdate: 2018/03/22',
+  ];
+  const badText = specHeadersMinusSizeAndAcrossAndDown
+  .concat(['size: 15 by 15'])
+  .concat(['across:'])
+  .concat(['- (1,1) 1,2 down. An Across clue (5,5)'])
+  .concat(['- (1,3) 3. An Across clue (5'])
+  .concat(['down:'])
+  .concat(['- (2,1) 2. See 4 Across (5)'])
+  .join("\n");
+
+  {
+    const response = crosswordDataFormat.parse( badText );
+    assert.same({
+           msg: 'by default, stops at the first stage which reports problems',
+        actual: response.diagnostics.filter( d => d.severity === 'error' ).map( d => d.code ).join(' '),
+      expected: 'INVALID_CLUE',
+       context: {response}
+    });
+    assert.same({
+           msg: 'by default, lists the stages which ran, and those skipped',
+        actual: `${response.stages.ran.join(' ')}; ${response.stages.skipped.map( s => s.stage ).join(' ')}; ${response.stages.skipped[0].reason}`,
+      expected: 'yaml clueLines; size bars ids answers enumerations fit contiguity grid analysis; an earlier stage reported errors',
+       context: {response}
+    });
+  }
+  {
+    const response = crosswordDataFormat.parse( badText, { collectAll: true } );
+    assert.same({
+           msg: 'with collectAll, carries on to report the problems in later stages',
+        actual: response.diagnostics.filter( d => d.severity === 'error' ).map( d => d.code ).join(' '),
+      expected: 'INVALID_CLUE INVALID_SIZE BELONGS_TO_UNKNOWN_CLUE OWNED_CLUE_DOES_NOT_BELONG',
+       context: {response}
+    });
+    assert.same({
+           msg: 'with collectAll, skips only the stages whose inputs are unavailable',
+        actual: `${response.stages.ran.join(' ')}; ${response.stages.skipped.map( s => `${s.stage}: ${s.reason}` ).join('; ')}`,
+      expected: 'yaml clueLines size ids answers enumerations contiguity; bars: no valid size; fit: no valid size; grid: not every answer could be placed in the grid; analysis: no grid',
+       context: {response}
+    });
+    assert.same({
+           msg: 'with collectAll, errors and isValid are as before',
+        actual: `${response.errors.length} ${response.isValid}`,
+      expected: '4 false',
+       context: {response}
+    });
+  }
+  {
+    const text = specHeadersMinusSizeAndAcrossAndDown
+    .concat(['size: 15x15'])
+    .concat(['across:'])
+    .concat(['- (1,1) 1. An Across clue (HELLO)'])
+    .concat(['- (14,3) 3. An Across clue (5)'])
+    .concat(['down:'])
+    .concat(['- (1,1) 1. A Down clue (MOUSE)'])
+    .join("\n");
+    const response = crosswordDataFormat.parse( text, { collectAll: true } );
+    assert.same({
+           msg: 'with collectAll, reports every answer out of the grid and missing id, without building the grid',
+        actual: `${response.diagnostics.filter( d => d.severity === 'error' ).map( d => d.code ).join(' ')} ${response.grid}`,
+      expected: 'ANSWER_OUT_OF_GRID MISSING_CLUE_ID undefined',
+       context: {response}
+    });
+  }
+  {
+    const text = specHeadersMinusSizeAndAcrossAndDown
+    .concat(['size: 15x15'])
+    .concat(['across:'])
+    .concat(['- (1,1) 1. An Across clue (HELLO)'])
+    .concat(['down:'])
+    .concat(['- (1,1) 1. A Down clue (MOUSE)'])
+    .join("\n");
+    const response = crosswordDataFormat.parse( text, { collectAll: true } );
+    assert.same({
+           msg: 'with collectAll, runs every stage when their inputs are fine',
+        actual: `${response.diagnostics.filter( d => d.severity === 'error' ).map( d => d.code ).join(' ')} ${response.stages.skipped.length} ${response.grid.length}`,
+      expected: 'CONFLICTING_LETTERS 0 15',
+       context: {response}
+    });
+  }
+});
+
+test( 'crosswordDataFormat.parse fn - warnings and rule profiles', assert => {
+  const headers = [
+    'version: standard v2',
+    'name: Crossword 15813',
+    'author: Falcon',
+    'editor: Colin Inman',
+    'copyright: 2018, Financial Times',
+    'publisher: Financial Times',
+    'pubdate: 2018/03/22',
+    'size: 3x3',
+  ];
+  const symmetricText = headers.concat([
+    'across:',
+    '- (1,1) 1. Alphabet start (ABC)',
+    '- (1,3) 3. Another Across clue (GHE)',
+    'down:',
+    '- (1,1) 1. A Down clue (AFG)',
+    '- (3,1) 2. Another Down clue (CDE)',
+  ]).join("\n");
+  const suspiciousText = headers.concat([
+    'across:',
+    '- (1,1) 1. A placeholder clue (3)',
+    'down:',
+    '- (1,1) 1. A mixed clue (A,2)',
+    '- (3,1) 2. An empty part (0,3)',
+  ]).join("\n");
+
+  {
+    const response = crosswordDataFormat.parse( symmetricText );
+    assert.same({
+           msg: 'a tidy, symmetric crossword has no errors and no warnings',
+        actual: `${response.isValid} ${response.errors.length} ${response.warnings.length}`,
+      expected: 'true 0 0',
+       context: {response}
+    });
+  }
+  {
+    const response = crosswordDataFormat.parse( suspiciousText );
+    assert.same({
+           msg: 'suspicious answers and an asymmetric grid are warnings, leaving the parsing valid',
+        actual: `${response.isValid} ${response.diagnostics.map( d => `${d.code}:${d.severity}` ).join(' ')}`,
+      expected: 'true PLACEHOLDER_ANSWER:warning UNUSUAL_ENUMERATION:warning PLACEHOLDER_ANSWER:warning UNUSUAL_ENUMERATION:warning ASYMMETRIC_GRID:warning',
+       context: {response}
+    });
+    assert.same({
+           msg: 'parsing.warnings lists the messages of the warnings',
+        actual: response.warnings.length === 5 && response.warnings[4] === response.diagnostics[4].message,
+      expected: true,
+       context: {response}
+    });
+  }
+  {
+    const response = crosswordDataFormat.parse( suspiciousText, { profile: 'strict' } );
+    assert.same({
+           msg: 'the strict profile makes every warning an error, so stopping before the grid by default',
+        actual: `${response.isValid} ${response.errors.length} ${response.warnings.length}`,
+      expected: 'false 4 0',
+       context: {response}
+    });
+  }
+  {
+    const response = crosswordDataFormat.parse( suspiciousText, { rules: { PLACEHOLDER_ANSWER: 'off', ASYMMETRIC_GRID: 'error' } } );
+    assert.same({
+           msg: 'rules override the profile for specific codes, with off dropping them entirely',
+        actual: `${response.isValid} ${response.diagnostics.map( d => `${d.code}:${d.severity}` ).join(' ')}`,
+      expected: 'false UNUSUAL_ENUMERATION:warning UNUSUAL_ENUMERATION:warning ASYMMETRIC_GRID:error',
+       context: {response}
+    });
+  }
+  {
+    const text = headers.concat([
+      'across:',
+      '- (1,3) 3. An Across clue (GHE)',
+      '- (1,1) 1. Alphabet start (ABC)',
+      'down:',
+      '- (1,1) 1. A Down clue (AFG)',
+      '- (3,1) 2. Another Down clue (CDE)',
+    ]).join("\n");
+    const standard = crosswordDataFormat.parse( text );
+    const lenient  = crosswordDataFormat.parse( text, { profile: 'lenient' } );
+    assert.same({
+           msg: 'the lenient profile makes clues out of order a warning',
+        actual: `${standard.isValid} ${lenient.isValid} ${lenient.diagnostics.map( d => `${d.code}:${d.severity}` ).join(' ')}`,
+      expected: 'false true CLUE_ID_ORDER:warning',
+       context: {standard, lenient}
+    });
+  }
+  {
+    let message;
+    try {
+      crosswordDataFormat.parse( symmetricText, { rules: { NOT_A_CODE: 'off' } } );
+    } catch (err) {
+      message = err.message;
+    }
+    assert.same({
+           msg: 'an unknown code in the rules is thrown as a mistake in the calling code',
+        actual: message,
+      expected: `unknown diagnostic code, 'NOT_A_CODE', in rules`,
+    });
+  }
+  {
+    const outOfGridText = symmetricText.replace('(1,3) 3. Another Across clue (GHE)', '(1,3) 3. Another Across clue (GHEI)');
+    const response = crosswordDataFormat.parse( outOfGridText, { rules: { ANSWER_OUT_OF_GRID: 'warning', NO_GRID: 'off' } } );
+    assert.same({
+           msg: 'lowering a problem which stops the grid being built still leaves the parsing invalid, since it has no grid',
+        actual: `${response.isValid} ${response.grid === undefined} ${response.diagnostics.map( d => `${d.code}:${d.severity}` ).join(' ')}`,
+      expected: 'false true ANSWER_OUT_OF_GRID:warning NO_GRID:error',
+       context: {response}
+    });
+    const stats = crosswordDataFormat.stats( response );
+    assert.same({
+           msg: 'so the consumers of a parsing refuse it, rather than failing on the missing grid',
+        actual: `${stats.stats} ${stats.errors.join()} ${crosswordDataFormat.toSvg( response ).errors.length}`,
+      expected: 'null can only calculate the stats of a valid parsing 1',
+       context: {stats}
+    });
+  }
+  assert.same({
+         msg: 'the rule profiles are listed in the spec',
+      actual: Object.keys(crosswordDataFormat.spec.ruleProfiles).join(' '),
+    expected: 'standard strict lenient',
+  });
+});
+
+test( 'crosswordDataFormat.parse fn - grid analysis', assert => {
+  const headers = [
+    'version: standard v2',
+    'name: Crossword 15813',
+    'author: Falcon',
+    'editor: Colin Inman',
+    'copyright: 2018, Financial Times',
+    'publisher: Financial Times',
+    'pubdate: 2018/03/22',
+    'size: 5x5',
+  ];
+  // A B C D E
+  // F # G # H
+  // I J K L M
+  // N # O # P
+  // Q R S T U
+  const houseStyleText = headers.concat([
+    'across:',
+    '- (1,1) 1. First across (ABCDE)',
+    '- (1,3) 4. Second across (IJKLM)',
+    '- (1,5) 5. Third across (QRSTU)',
+    'down:',
+    '- (1,1) 1. First down (AFINQ)',
+    '- (3,1) 2. Second down (CGKOS)',
+    '- (5,1) 3. Third down (EHMPU)',
+  ]).join("\n");
+  // A B C D E
+  // # # # # F
+  // G H # # I
+  // # # # # J
+  // K L M N O
+  const untidyText = headers.concat([
+    'across:',
+    '- (1,1) 1. First across (ABCDE)',
+    '- (1,3) 3. Isolated across (GH)',
+    '- (1,5) 4. Last across (KLMNO)',
+    'down:',
+    '- (5,1) 2. Only down (EFIJO)',
+  ]).join("\n");
+
+  {
+    const response = crosswordDataFormat.parse( houseStyleText, { profile: 'strict' } );
+    assert.same({
+           msg: 'a grid following the house style passes every check, even with the strict profile',
+        actual: `${response.isValid} ${response.diagnostics.length} ${JSON.stringify( response.analysis )}`,
+      expected: 'true 0 {"symmetry":{"rotational":true,"leftRight":true,"topBottom":true},"regions":1}',
+       context: {response}
+    });
+  }
+  {
+    const response = crosswordDataFormat.parse( untidyText );
+    assert.same({
+           msg: 'by default, only an asymmetric grid and an isolated region are reported, as warnings',
+        actual: `${response.isValid} ${response.diagnostics.map( d => `${d.code}:${d.severity}` ).join(' ')} ${JSON.stringify( response.analysis )}`,
+      expected: 'true ASYMMETRIC_GRID:warning ISOLATED_REGION:warning {"symmetry":{"rotational":false,"leftRight":false,"topBottom":true},"regions":2}',
+       context: {response}
+    });
+    assert.same({
+           msg: 'an isolated region is located by a clue passing through it',
+        actual: `${response.diagnostics[1].message}|${response.diagnostics[1].line}`,
+      expected: 'the 2 light cells connected to cell (1,3), in clue [3][across], are isolated from the rest of the grid|11',
+       context: {response}
+    });
+  }
+  {
+    const response = crosswordDataFormat.parse( untidyText, { profile: 'strict' } );
+    assert.same({
+           msg: 'the strict profile checks the unchecked cells and two-letter lights, as errors',
+        actual: `${response.isValid} ${response.diagnostics.map( d => `${d.code}:${d.clue && `${d.clue.id}${d.clue.direction}`}` ).join(' ')}`,
+      expected: [
+        'false ASYMMETRIC_GRID:null',
+        'UNDERCHECKED_ANSWER:1across CONSECUTIVE_UNCHECKED_CELLS:1across',
+        'CONSECUTIVE_UNCHECKED_CELLS:2down',
+        'UNDERCHECKED_ANSWER:3across CONSECUTIVE_UNCHECKED_CELLS:3across TWO_LETTER_LIGHT:3across',
+        'UNDERCHECKED_ANSWER:4across CONSECUTIVE_UNCHECKED_CELLS:4across',
+        'ISOLATED_REGION:3across',
+      ].join(' '),
+       context: {response}
+    });
+    assert.same({
+           msg: 'reports how many cells of an answer are unchecked, and where they are consecutive',
+        actual: response.diagnostics.slice(1, 3).map( d => d.message ).join('; '),
+      expected: 'clue [1][across] has 4 unchecked cells out of 5, more than half; clue [1][across] has consecutive unchecked cells, at positions 1 and 2 of its answer',
+       context: {response}
+    });
+  }
+  {
+    // A B C D E
+    // # # # # F
+    // # # # # G
+    // # # # # H
+    // # # # # I
+    const cornerText = headers.concat([
+      'across:',
+      '- (1,1) 1. First across (ABCDE)',
+      'down:',
+      '- (5,1) 2. Only down (EFGHI)',
+    ]).join("\n");
+    const response = crosswordDataFormat.parse( cornerText, { rules: { MIRROR_ASYMMETRIC_GRID: 'warning', TWO_LETTER_LIGHT: 'error' } } );
+    assert.same({
+           msg: 'each check is a rule, e.g. mirror symmetry, which is reported when neither left-right nor top-bottom holds',
+        actual: `${response.isValid} ${response.diagnostics.map( d => `${d.code}:${d.severity}` ).join(' ')}`,
+      expected: 'true ASYMMETRIC_GRID:warning MIRROR_ASYMMETRIC_GRID:warning',
+       context: {response}
+    });
+    assert.same({
+           msg: 'the mirror symmetry message gives the first asymmetric cell for each axis',
+        actual: response.diagnostics[1].message,
+      expected: 'grid has no mirror symmetry: left-right, cell (5,2) is light but its mirror (1,2) is blocked, and 3 more light cells like it; top-bottom, cell (1,1) is light but its mirror (1,5) is blocked, and 3 more light cells like it',
+       context: {response}
+    });
+  }
+});
+
+test( 'crosswordDataFormat.parse fn - barred grids', assert => {
+  const headers = [
+    'version: standard v3',
+    'name: Crossword 15813',
+    'author: Falcon',
+    'editor: Colin Inman',
+    'copyright: 2018, Financial Times',
+    'publisher: Financial Times',
+    'pubdate: 2018/03/22',
+    'size: 4x2',
+  ];
+  // O N|A T
+  // N O|T O
+  const clueLines = [
+    'across:',
+    '- (1,1) 1. Working (ON)',
+    '- (3,1) 3. Present (AT)',
+    '- (1,2) 5. Refusal (NO)',
+    '- (3,2) 6. Towards (TO)',
+    'down:',
+    '- (1,1) 1. Working (ON)',
+    '- (2,1) 2. Refusal (NO)',
+    '- (3,1) 3. Present (AT)',
+    '- (4,1) 4. Towards (TO)',
+  ];
+  const barredText = headers.concat( ['bars:', '- (2,1) right', '- (2,2) right'], clueLines ).join("\n");
+
+  {
+    const response = crosswordDataFormat.parse( barredText );
+    const barsText = response.grid.map( row => row.map( cell => ['top', 'right', 'bottom', 'left'].filter( side => cell.bars[side] ).join('+') || '-' ).join(' ') ).join(' / ');
+    assert.same({
+           msg: 'reads the bars, giving each cell the bars on its sides',
+        actual: `${response.isValid} ${JSON.stringify( response.bars )} ${barsText}`,
+      expected: 'true ["(2,1) right","(2,2) right"] - right left - / - right left -',
+       context: {response}
+    });
+    assert.same({
+           msg: 'writes the bars back out, after the other header keys',
+        actual: crosswordDataFormat.stringify( response ),
+      expected: barredText + "\n",
+       context: {response}
+    });
+    assert.same({
+           msg: 'gives cells with no bars when there is no bars list, and does not check where the answers end',
+        actual: (() => {
+          const unbarred = crosswordDataFormat.parse( headers.concat( clueLines ).join("\n") );
+          return `${unbarred.isValid} ${unbarred.grid[0][1].bars.right}`;
+        })(),
+      expected: 'true false',
+       context: {}
+    });
+  }
+
+  {
+    const response = crosswordDataFormat.parse( headers.concat( ['bars:', '- (2,1) right'], clueLines ).join("\n") );
+    assert.same({
+           msg: 'in a barred grid, reports answers which start or end next to a light cell without a bar between them',
+        actual: response.diagnostics.map( d => `${d.code} ${d.message}` ).join(' / '),
+      expected: 'UNBARRED_ANSWER_END clue [5][across] ends next to a light cell, with no bar right of cell (2,2)'
+        + ' / UNBARRED_ANSWER_END clue [6][across] starts next to a light cell, with no bar left of cell (3,2)',
+       context: {response}
+    });
+  }
+
+  {
+    const response = crosswordDataFormat.parse( headers.concat( ['bars:', '- (2,1) right', '- (2,2) right bottom', '- (1,2) right'], clueLines ).join("\n") );
+    assert.same({
+           msg: 'reports a bar along the edge of the grid, which stops the parsing before the answers are checked against the bars',
+        actual: response.diagnostics.map( d => `${d.code} ${d.line}` ).join(' / '),
+      expected: 'BAR_OUT_OF_GRID 11',
+       context: {response}
+    });
+    const collected = crosswordDataFormat.parse( headers.concat( ['bars:', '- (2,1) right', '- (2,2) right', '- (1,2) right', '- (5,1) right', '- (1,1) left'], clueLines ).join("\n"), { collectAll: true } );
+    assert.same({
+           msg: 'with collectAll, reports bars outside the grid, bars which cannot be read, and answers crossing a bar',
+        actual: collected.diagnostics.map( d => `${d.code} ${d.line}` ).join(' / '),
+      expected: 'BAR_OUT_OF_GRID 13 / INVALID_BAR 14 / ANSWER_CROSSES_BAR 18',
+       context: {collected}
+    });
+  }
+
+  {
+    const parsing = crosswordDataFormat.parse( barredText );
+    const { errors, ipuz } = crosswordDataFormat.toIpuz( parsing );
+    assert.same({
+           msg: 'exports the bars to ipuz as barred cell styles',
+        actual: `${errors.length} ${JSON.stringify( ipuz.puzzle )}`,
+      expected: '0 [[1,{"cell":2,"style":{"barred":"R"}},3,4],[5,{"cell":0,"style":{"barred":"R"}},6,0]]',
+       context: {ipuz}
+    });
+    ipuz.puzzle[1][2] = { cell: 6, style: { barred: 'L' } }; // the same bar, from the other side
+    ipuz.puzzle[1][1] = 0;
+    Object.keys(ipuz.clues).forEach( direction => ipuz.clues[direction].forEach( ipuzClue => delete ipuzClue.cells ) );
+    const imported = crosswordDataFormat.fromIpuz( ipuz );
+    assert.same({
+           msg: 'imports the bars from ipuz, ending the clues at them',
+        actual: `${imported.errors.length} ${imported.text === barredText + "\n"}`,
+      expected: '0 true',
+       context: {imported}
+    });
+    const jpzBars = crosswordDataFormat.toJpz( parsing ).jpz.split("\n").filter( line => line.includes('-bar') );
+    assert.same({
+           msg: 'exports the bars to jpz as cell attributes',
+        actual: jpzBars.join(' '),
+      expected: '<cell x="2" y="1" solution="N" number="2" right-bar="true"/> <cell x="2" y="2" solution="O" right-bar="true"/>',
+       context: {jpzBars}
+    });
+    const svgBars = crosswordDataFormat.toSvg( parsing ).svg.split("\n").filter( line => line.includes('class="bar"') );
+    assert.same({
+           msg: 'renders the bars as thick lines',
+        actual: svgBars.join(''),
+      expected: '<line class="bar" x1="64" y1="0" x2="64" y2="32" stroke="#000" stroke-width="3"/><line class="bar" x1="64" y1="32" x2="64" y2="64" stroke="#000" stroke-width="3"/>',
+       context: {svgBars}
+    });
+    const puz = crosswordDataFormat.toPuz( parsing );
+    assert.same({
+           msg: 'cannot export the bars to puz',
+        actual: `${puz.puz} ${puz.errors.join()}`,
+      expected: 'null .puz cannot represent the bars of a barred grid',
+       context: {puz}
+    });
+  }
+});
+
+test( 'crosswordDataFormat.parse fn - rebus cells', assert => {
+  const headers = [
+    'version: standard v3',
+    'name: Crossword 15813',
+    'author: Falcon',
+    'editor: Colin Inman',
+    'copyright: 2018, Financial Times',
+    'publisher: Financial Times',
+    'pubdate: 2018/03/22',
+    'size: 3x3',
+  ];
+  // S TAR T
+  // O  #  I
+  // T  E  N
+  const acrossLines = [
+    'across:',
+    '- (1,1) 1. Twinkler (S[TAR]T)',
+    '- (1,3) 3. Number (TEN)',
+  ];
+  const downLines = [
+    'down:',
+    '- (1,1) 1. Drunk (SOT)',
+    '- (3,1) 2. Container (TIN)',
+  ];
+  const rebusText = headers.concat( acrossLines, downLines ).join("\n");
+
+  {
+    const response = crosswordDataFormat.parse( rebusText );
+    const answer = response.clues['1'].across.answer;
+    assert.same({
+           msg: 'counts a bracketed rebus as one cell of the answer, and puts all its characters in that cell',
+        actual: `${response.isValid} ${answer.length} ${answer.parts[0].length} ${response.grid.map( row => row.map( cell => cell.letter || '#' ).join(' ') ).join(' / ')}`,
+      expected: 'true 3 3 S TAR T / O # I / T E N',
+       context: {response}
+    });
+    assert.same({
+           msg: 'writes the rebus back out in brackets',
+        actual: crosswordDataFormat.stringify( response ),
+      expected: rebusText + "\n",
+       context: {response}
+    });
+  }
+
+  {
+    const response = crosswordDataFormat.parse( headers.concat( acrossLines, ['down:', '- (1,1) 1. Drunk ([SO]OT)', '- (3,1) 2. Container (TIN)'] ).join("\n") );
+    assert.same({
+           msg: 'reports a crossing which gives a rebus cell different characters',
+        actual: response.errors.join(' / '),
+      expected: "cell (1,1) has conflicting letters: 'S' in clue [1][across] but 'SO' in clue [1][down]",
+       context: {response}
+    });
+  }
+
+  {
+    const parsing = crosswordDataFormat.parse( rebusText );
+    const { errors, ipuz } = crosswordDataFormat.toIpuz( parsing );
+    assert.same({
+           msg: 'exports a rebus cell to ipuz as a multi-character solution, in an answer of all the characters',
+        actual: `${errors.length} ${JSON.stringify( ipuz.solution[0] )} ${ipuz.clues.Across[0].answer}`,
+      expected: '0 ["S","TAR","T"] START',
+       context: {ipuz}
+    });
+    const imported = crosswordDataFormat.fromIpuz( ipuz );
+    assert.same({
+           msg: 'imports a multi-character ipuz solution as a rebus',
+        actual: `${imported.errors.length} ${imported.text === rebusText + "\n"}`,
+      expected: '0 true',
+       context: {imported}
+    });
+    const exported = crosswordDataFormat.toPuz( parsing );
+    const fromPuz = crosswordDataFormat.fromPuz( exported.puz );
+    assert.same({
+           msg: 'round trips a rebus through the rebus sections of a .puz file',
+        actual: `${exported.errors.length} ${fromPuz.errors.length} ${fromPuz.text.split("\n").filter( line => line.startsWith('- ') ).join(' / ')}`,
+      expected: '0 0 - (1,1) 1. Twinkler (S[TAR]T) / - (1,3) 3. Number (TEN) / - (1,1) 1. Drunk (SOT) / - (3,1) 2. Container (TIN)',
+       context: {exported, fromPuz}
+    });
+    const svgLetters = crosswordDataFormat.toSvg( parsing, { solution: true } ).svg.match( /<text class="letter"[^>]*>TAR</g );
+    assert.same({
+           msg: 'renders a rebus cell with a smaller font, to fit its characters',
+        actual: svgLetters.join(''),
+      expected: '<text class="letter" x="48" y="27" font-size="13" text-anchor="middle">TAR<',
+       context: {svgLetters}
+    });
+    assert.same({
+           msg: 'counts each character of a rebus cell in the letter frequency',
+        actual: JSON.stringify( crosswordDataFormat.stats( parsing ).stats.letterFrequency ),
+      expected: '{"A":1,"E":1,"I":1,"N":1,"O":1,"R":1,"S":1,"T":3}',
+       context: {parsing}
+    });
+    const session = new crosswordDataFormat.SolveSession( parsing );
+    const entryErrors = session.enterClue( 1, 'across', 's[tar]t' );
+    assert.same({
+           msg: 'lets a solver enter a rebus cell, in brackets',
+        actual: `${entryErrors.length} ${session.getEntry( {across: 2, down: 1} )} ${session.checkClue( 1, 'across' ).correct.length}`,
+      expected: '0 TAR 3',
+       context: {entryErrors, session}
+    });
+  }
+});
+
+test( 'crosswordDataFormat.parse fn - Unicode letters and punctuation', async assert => {
+  const headers = [
+    'version: standard v2',
+    'name: Crossword 15813',
+    'author: Falcon',
+    'editor: Colin Inman',
+    'copyright: 2018, Financial Times',
+    'publisher: Financial Times',
+    'pubdate: 2018/03/22',
+    'size: 9x5',
+  ];
+  const clueLines = [
+    'across:',
+    "- (1,1) 1. When the clock strikes (O'CLOCK)",
+    '- (1,3) 2. Coffee shop (CAFÉ)',
+    '- (1,5) 3. First and last (ΑΛΦΑ,ΩΜΕΓΑ)',
+    'down:',
+    '- (1,1) 1. Wow! (OH!)',
+  ];
+  const unicodeText = headers.concat( clueLines ).join("\n");
+
+  {
+    const response = crosswordDataFormat.parse( unicodeText );
+    const lengths = ['1', '2', '3'].map( id => `${response.clues[id].across.answer.length}:${crosswordDataFormat.stringify( response ).includes( response.clues[id].across.raw.answerText )}` );
+    assert.same({
+           msg: 'reads letters in any alphabet, with accents, where the punctuation takes no cell',
+        actual: `${response.isValid} ${lengths.join(' ')} ${response.grid.map( row => row.map( cell => cell.letter || '#' ).join('') ).join(' / ')}`,
+      expected: 'true 6:true 4:true 9:true OCLOCK### / H######## / CAFÉ##### / ######### / ΑΛΦΑΩΜΕΓΑ',
+       context: {response}
+    });
+    assert.same({
+           msg: 'writes the punctuation back out',
+        actual: crosswordDataFormat.stringify( response ),
+      expected: unicodeText + "\n",
+       context: {response}
+    });
+    const formats = crosswordDataFormat.toJpz( response ).jpz.match( /format="[^"]*"/g );
+    assert.same({
+           msg: 'keeps the punctuation in the enumeration',
+        actual: formats.join(' '),
+      expected: 'format="1&apos;5" format="4" format="4,5" format="2!"',
+       context: {formats}
+    });
+  }
+
+  {
+    const { errors, text } = await crosswordDataFormat.hideAnswers( crosswordDataFormat.parse( unicodeText ), { salt: 'salt' } );
+    const hidden = crosswordDataFormat.parse( text );
+    const verified = [ await crosswordDataFormat.verifyAnswer( hidden, 1, 'across', 'oclock' ), await crosswordDataFormat.verifyAnswer( hidden, 2, 'across', 'café' ) ];
+    assert.same({
+           msg: 'keeps the punctuation in the placeholders of hidden answers, and checks answers given with or without it',
+        actual: `${errors.length} ${hidden.clues['1'].across.raw.answerText} ${hidden.clues['1'].across.answer.length}`
+          + ` ${verified.map( checked => checked.isCorrect ).join(' ')}`,
+      expected: "0 1'5 6 true true",
+       context: {hidden}
+    });
+  }
+
+  {
+    const { ipuz } = crosswordDataFormat.toIpuz( crosswordDataFormat.parse( unicodeText ) );
+    assert.same({
+           msg: 'exports the punctuation in the ipuz enumeration, but not the answer',
+        actual: ipuz.clues.Across.map( ipuzClue => `${ipuzClue.enumeration} ${ipuzClue.answer}` ).join(' / '),
+      expected: "1'5 OCLOCK / 4 CAFÉ / 4,5 ΑΛΦΑ ΩΜΕΓΑ",
+       context: {ipuz}
+    });
+  }
+
+  {
+    const parsing = crosswordDataFormat.parse( unicodeText );
+    const decomposed = crosswordDataFormat.parse( unicodeText.replace('CAFÉ', 'CAFE\u0301') ); // the accent as a combining mark
+    const letterFrequency = crosswordDataFormat.stats( decomposed ).stats.letterFrequency;
+    assert.same({
+           msg: 'counts each letter once in the letter frequency, with any combining accents',
+        actual: `${decomposed.isValid} ${Object.keys(letterFrequency).length} ${letterFrequency['E\u0301']} ${letterFrequency['\u0301']} ${letterFrequency['Α']}`,
+      expected: 'true 15 1 undefined 3',
+       context: {letterFrequency}
+    });
+    assert.same({
+           msg: 'exports a jpz alphabet with the letters of the grid beyond A-Z',
+        actual: crosswordDataFormat.toJpz( parsing ).jpz.match( /alphabet="[^"]*"/ )[0],
+      expected: 'alphabet="ABCDEFGHIJKLMNOPQRSTUVWXYZÉΑΓΕΛΜΦΩ"',
+       context: {parsing}
+    });
+  }
+
+  {
+    const punctuatedText = headers.concat([
+      'across:',
+      "- (1,1) 1. When the clock strikes (O'CLOCK)",
+      'down:',
+      '- (1,1) 1. Single (ONE)',
+      '- (6,1) 2. Opener (KEY!)',
+    ]).join("\n").replace('size: 9x5', 'size: 6x3');
+    const parsing = crosswordDataFormat.parse( punctuatedText );
+    const { ipuz } = crosswordDataFormat.toIpuz( parsing );
+    const fromIpuz = crosswordDataFormat.fromIpuz( ipuz );
+    assert.same({
+           msg: 'reads the punctuation back from an ipuz enumeration, e.g. 1\'5',
+        actual: `${fromIpuz.errors.length} ${fromIpuz.text === punctuatedText.replace('standard v2', crosswordDataFormat.latestVersion) + "\n"}`,
+      expected: '0 true',
+       context: {fromIpuz}
+    });
+    const fromPuz = crosswordDataFormat.fromPuz( crosswordDataFormat.toPuz( parsing ).puz );
+    assert.same({
+           msg: 'reads the punctuation back from the enumeration at the end of a .puz clue',
+        actual: `${fromPuz.errors.length} ${fromPuz.text.split("\n").filter( line => line.startsWith('- ') ).join(' / ')}`,
+      expected: "0 - (1,1) 1. When the clock strikes (O'CLOCK) / - (1,1) 1. Single (ONE) / - (6,1) 2. Opener (KEY!)",
+       context: {fromPuz}
+    });
+  }
+
+  {
+    const response = crosswordDataFormat.parse( headers.concat( ['across:', '- (1,1) 1. Lower case (café)', '- (1,3) 2. Not a separator (AB<CD)', '- (1,5) 3. Letters and placeholders (A1)', 'down:', '- (1,1) 1. Wow! (OH!)'] ).join("\n"), { collectAll: true } );
+    assert.same({
+           msg: 'still rejects lower case letters, and characters which are neither answer separators nor punctuation',
+        actual: response.diagnostics.filter( d => d.code === 'INVALID_CLUE' ).map( d => d.line ).join(' '),
+      expected: '10 11 12',
+       context: {response}
+    });
+  }
+});
+
+test( 'crosswordDataFormat.parse fn - YAML compatibility', assert => {
+  const headers = [
+    'version: standard v3',
+    'name: Crossword 15813',
+    'author: Falcon',
+    'editor: Colin Inman',
+    'copyright: 2018, Financial Times',
+    'publisher: Financial Times',
+    'pubdate: 2018/03/22',
+    'size: 5x5',
+  ];
+  const yamlText = [
+    '---',
+    '# a comment line, then a blank line',
+    '',
+    'version: standard v3',
+    'name: "Crossword: special #1" # a comment after a quoted value',
+    `author: 'Falcon''s'`,
+    'editor: Colin',
+    '  Inman',
+    'copyright: 2018, Financial Times',
+    'publisher: Financial Times',
+    'pubdate: 2018/03/22',
+    'size: 5x5',
+    '',
+    'across:',
+    '  - (1,1) 1. Greeting (HELLO)  # a comment after a clue',
+    '  - >-',
+    '    (1,3) 3. A long clue',
+    '    over two lines (UPSET)',
+    'down:',
+    '  - "(1,1) 1. Colon: and #hash (HOUSE)"',
+    '  - |',
+    '    (5,1) 2. Literal (OTTER)',
+  ].join("\n");
+
+  const response = crosswordDataFormat.parse( yamlText );
+  assert.same({
+         msg: 'accepts comments, blank lines, quoted and multi-line values, block scalars and indented lists',
+      actual: response.isValid,
+    expected: true,
+     context: {response}
+  });
+  assert.same({
+         msg: 'reads quoted and multi-line header values',
+      actual: `${response.name}|${response.author}|${response.editor}`,
+    expected: `Crossword: special #1|Falcon's|Colin Inman`,
+     context: {response}
+  });
+  assert.same({
+         msg: 'reads quoted, folded and literal clues, without their comments',
+      actual: response.across.concat( response.down ).join('|'),
+    expected: '- (1,1) 1. Greeting (HELLO)|- (1,3) 3. A long clue over two lines (UPSET)|- (1,1) 1. Colon: and #hash (HOUSE)|- (5,1) 2. Literal (OTTER)',
+     context: {response}
+  });
+  assert.same({
+         msg: 'notes the line each multi-line clue starts on',
+      actual: response.sourceLines.lists.across.concat( response.sourceLines.lists.down ).join(' '),
+    expected: '15 16 20 21',
+     context: {response}
+  });
+
+  {
+    const lineText = headers.concat([
+      'across:',
+      '- (1,1) 1. Greeting: hi! #1 (HELLO)',
+      "- (1,3) 3. 'Quoted' (UPSET)",
+      'down:',
+      '- (1,1) 1. Dwelling (HOUSE)',
+      '- (5,1) 2. Swimmer (OTTER)',
+    ]).join("\n").replace('standard v3', 'standard v2');
+    const lineResponse = crosswordDataFormat.parse( lineText );
+    assert.same({
+           msg: 'only a document declaring standard v3 is read as YAML: a standard v2 document is still read line by line, taking each value literally',
+        actual: `${lineResponse.isValid}|${lineResponse.clues[1].across.body}|${lineResponse.clues[3].across.body}|${crosswordDataFormat.parse( yamlText.replace('standard v3', 'standard v2') ).isValid}`,
+      expected: `true|Greeting: hi! #1|'Quoted'|false`,
+       context: {lineResponse}
+    });
+  }
+
+  const loaded = jsYaml.load( yamlText );
+  assert.same({
+         msg: 'a standard YAML parser reads the same values (bar the trailing line break of a block)',
+      actual: [loaded.name, loaded.author, loaded.editor].concat( loaded.across.map( item => `- ${item}` ), loaded.down.map( item => `- ${item}` ) ).join('|').replace(/\n/g, ''), // bar the trailing line break of a block
+    expected: [response.name, response.author, response.editor].concat( response.across, response.down ).join('|'),
+     context: {loaded, response}
+  });
+
+  const text = crosswordDataFormat.stringify( response );
+  const reloaded = jsYaml.load( text );
+  const reparsed = crosswordDataFormat.parse( text );
+  assert.same({
+         msg: 'stringify quotes values where needed, so both parsers read them back the same',
+      actual: `${reparsed.isValid}|${reparsed.name}|${reloaded.name}|${reloaded.down[0]}|${reparsed.down[0]}`,
+    expected: `true|Crossword: special #1|Crossword: special #1|(1,1) 1. Colon: and #hash (HOUSE)|- (1,1) 1. Colon: and #hash (HOUSE)`,
+     context: {text, reparsed}
+  });
+
+  [
+    [ 'name: Crossword: special', 'INVALID_VALUE', 'a header value containing ": " must be quoted' ],
+    [ 'name: "Crossword 15813', 'INVALID_VALUE', 'an unterminated quote' ],
+    [ 'name: [Crossword]', 'INVALID_VALUE', 'a header value starting with an indicator must be quoted' ],
+    [ "\tname: Crossword", 'INVALID_LINE', 'a tab used for indentation' ],
+  ].forEach( ([badLine, code, description]) => {
+    const badText = headers.filter( line => !line.startsWith('name:') ).concat([ badLine, 'across:', 'down:' ]).join("\n");
+    const badResponse = crosswordDataFormat.parse( badText );
+    assert.same({
+           msg: `reports ${description} in the existing style`,
+        actual: `${badResponse.diagnostics[0].code} ${badResponse.diagnostics[0].line}`,
+      expected: `${code} 8`,
+       context: {badResponse}
+    });
+  });
+  {
+    const badText = headers.concat([ 'across:', '- (1,1) 1. Colon: body (HELLO)', 'down:' ]).join("\n");
+    const badResponse = crosswordDataFormat.parse( badText );
+    assert.same({
+           msg: 'reports a clue which a standard YAML parser would read as a mapping',
+        actual: `${badResponse.diagnostics[0].code} ${badResponse.diagnostics[0].line} ${badResponse.diagnostics[0].column}`,
+      expected: 'INVALID_VALUE 10 3',
+       context: {badResponse}
+    });
+  }
+  {
+    const badText = headers.concat([ 'across:', '  - (1,1) 1. Greeting (HELLO)', '- (1,3) 3. Another (UPSET)', 'down:' ]).join("\n");
+    const badResponse = crosswordDataFormat.parse( badText );
+    assert.same({
+           msg: 'reports a list item indented differently from the previous ones',
+        actual: badResponse.diagnostics.map( d => d.code ).join(' '),
+      expected: 'INVALID_LIST_ITEM',
+       context: {badResponse}
+    });
+  }
+  {
+    const typedValues = ['true', 'null', '~', '007', '0x1F', '2020-01-01', '1.5', '.inf'];
+    const textValues = ['2018/03/22', '42 Down', 'Yes', '1_000', '2020-1-1'];
+    const withNotes = value => headers.concat([ `notes: ${value}`, 'across:', 'down:' ]).join("\n");
+    const readings = typedValues.concat( textValues ).map( value => {
+      const response = crosswordDataFormat.parse( withNotes( value ) );
+      const loaded = jsYaml.load( withNotes( value ) ).notes;
+      const text = crosswordDataFormat.stringify( response );
+      const reparsed = crosswordDataFormat.parse( text );
+      return {
+        value,
+        codes         : response.diagnostics.map( d => `${d.code}:${d.severity}` ).join(),
+        isString      : typeof loaded === 'string',
+        isRoundTrip   : reparsed.notes === value && jsYaml.load( text ).notes === value && reparsed.diagnostics.length === 0,
+      };
+    });
+    assert.same({
+           msg: 'warns of each plain value which a standard YAML parser reads as something other than text, and stringify quotes them, so both parsers read back the same text',
+        actual: readings.map( reading => `${reading.value} ${reading.codes} ${reading.isString} ${reading.isRoundTrip}` ).join(' / '),
+      expected: typedValues.map( value => `${value} NON_STRING_VALUE:warning false true` )
+      .concat( textValues.map( value => `${value}  true true` ) ).join(' / '),
+       context: {readings}
+    });
+    const strict = crosswordDataFormat.parse( withNotes('2020-01-01'), { profile: 'strict' } );
+    const formatted = crosswordDataFormat.format( withNotes('2020-01-01') );
+    assert.same({
+           msg: 'reports a plain non-text value as an error in the strict profile, and format quotes it',
+        actual: `${strict.isValid} ${strict.diagnostics.map( d => `${d.code} ${d.line} ${d.column}` ).join()} | ${formatted.fixes.map( f => `${f.code} ${f.line}` ).join()} ${formatted.text.includes('notes: "2020-01-01"')}`,
+      expected: 'false NON_STRING_VALUE 9 8 | QUOTED_VALUE 9 true',
+       context: {strict, formatted}
+    });
+  }
+});
+
+test( 'crosswordDataFormat - optional and extension keys', assert => {
+  const headers = [
+    'version: standard v3',
+    'name: Crossword 15813',
+    'author: Falcon',
+    'editor: Colin Inman',
+    'copyright: 2018, Financial Times',
+    'publisher: Financial Times',
+    'pubdate: 2018/03/22',
+    'size: 5x5',
+  ];
+  const clues = [
+    'across:',
+    '- (1,1) 1. Greeting (HELLO)',
+    'down:',
+    '- (1,1) 1. Dwelling (HOUSE)',
+  ];
+
+  {
+    const response = crosswordDataFormat.parse( headers.concat( clues ).join("\n") );
+    assert.same({
+           msg: 'the optional keys can be left out',
+        actual: `${response.isValid} ${response.preamble} ${JSON.stringify(response.extensions)}`,
+      expected: 'true undefined {}',
+       context: {response}
+    });
+  }
+  {
+    const text = headers.concat([
+      'preamble: Each answer is a greeting',
+      'difficulty: hard',
+      'source: https://www.ft.com/crossword',
+      'x-ft-section: Weekend',
+      'x-ft-tags:',
+      '- cryptic',
+      '- prize',
+      'x-ft-empty: []',
+    ]).concat( clues ).join("\n");
+    const response = crosswordDataFormat.parse( text );
+    assert.same({
+           msg: 'reads optional keys as header values',
+        actual: `${response.isValid} ${response.preamble}|${response.difficulty}|${response.source}`,
+      expected: 'true Each answer is a greeting|hard|https://www.ft.com/crossword',
+       context: {response}
+    });
+    assert.same({
+           msg: 'reads extension keys, as strings or lists, into parsing.extensions',
+        actual: JSON.stringify( response.extensions ),
+      expected: JSON.stringify({ 'x-ft-section': 'Weekend', 'x-ft-tags': ['cryptic', 'prize'], 'x-ft-empty': [] }),
+       context: {response}
+    });
+    assert.same({
+           msg: 'stringify writes back the optional keys present, and the extension keys, after the required header keys',
+        actual: crosswordDataFormat.stringify( response ),
+      expected: headers.concat([
+        'preamble: Each answer is a greeting',
+        'difficulty: hard',
+        'source: https://www.ft.com/crossword',
+        'x-ft-section: Weekend',
+        'x-ft-tags:',
+        '- cryptic',
+        '- prize',
+        'x-ft-empty:',
+      ]).concat( clues ).join("\n") + "\n",
+       context: {response}
+    });
+  }
+  {
+    const text = headers.concat([ 'x-FT: Weekend', 'x-ft-section: Weekend', 'x-ft-section: Saturday' ]).concat( clues ).join("\n");
+    const response = crosswordDataFormat.parse( text );
+    assert.same({
+           msg: 'reports keys which are not in the x- namespace form, and duplicated extension keys',
+        actual: response.diagnostics.map( d => `${d.code}:${d.line}` ).join(' '),
+      expected: 'INVALID_LINE:9 DUPLICATE_KEY:11',
+       context: {response}
+    });
+  }
+  {
+    const text = headers.filter( line => !line.startsWith('pubdate') ).concat( clues ).join("\n");
+    const response = crosswordDataFormat.parse( text );
+    assert.same({
+           msg: 'still reports a missing required key',
+        actual: response.errors.join(' '),
+      expected: 'missing keys: pubdate',
+       context: {response}
+    });
+  }
+  {
+    const crossword = crosswordDataFormat.Crossword.create({ name: 'Crossword 1', theme: 'Birds', 'x-ft-section': 'Weekend' });
+    const setErrors = [
+      crossword.setHeader( 'x-ft-tags', ['cryptic'] ),
+      crossword.setHeader( 'theme', undefined ),
+      crossword.setHeader( 'name', undefined ),
+    ];
+    assert.same({
+           msg: 'the Crossword class can set and remove optional and extension keys, but not remove required keys',
+        actual: `${setErrors.map( errors => errors.length ).join(' ')}|${crossword.parsing.theme}|${JSON.stringify(crossword.parsing.extensions)}`,
+      expected: `0 0 1|undefined|${JSON.stringify({ 'x-ft-section': 'Weekend', 'x-ft-tags': ['cryptic'] })}`,
+       context: {crossword, setErrors}
+    });
+  }
+  assert.same({
+         msg: 'the spec describes the required, optional and extension keys',
+      actual: `${crosswordDataFormat.spec.requiredKeys.length} ${crosswordDataFormat.spec.optionalKeys.join(',')} ${crosswordDataFormat.spec.extensionKeys.types.join(',')}`,
+    expected: '10 preamble,difficulty,theme,notes,series,number,source,bars string,list',
+  });
+});
+
+test( 'crosswordDataFormat - spec versions and migrate', assert => {
+  const headersFor = version => [
+    `version: ${version}`,
+    'name: Crossword #1: the first',
+    'author: Falcon',
+    'editor: Colin Inman',
+    'copyright: 2018, Financial Times',
+    'publisher: Financial Times',
+    'pubdate: 2018/03/22',
+    'size: 5x5',
+  ];
+  const clues = [
+    'across:',
+    '- (1,1) 1. Greeting: hi! #1 (HELLO)',
+    'down:',
+    '- (1,1) 1. Dwelling (HOUSE)',
+  ];
+  const v2Text = headersFor('standard v2').concat( clues ).join("\n");
+
+  assert.same({
+         msg: 'publishes a spec for each version, with spec being the latest',
+      actual: `${Object.keys(crosswordDataFormat.specVersions).join(',')}|${crosswordDataFormat.latestVersion}|${crosswordDataFormat.spec === crosswordDataFormat.specVersions[crosswordDataFormat.latestVersion]}`,
+    expected: 'standard v2,standard v3|standard v3|true',
+  });
+  {
+    const response = crosswordDataFormat.parse( v2Text );
+    assert.same({
+           msg: 'a standard v2 document, the version declared by the existing archive, is read line by line, taking each value literally',
+        actual: `${response.isValid}|${response.spec.version}|${response.name}|${response.clues[1].across.body}`,
+      expected: 'true|standard v2|Crossword #1: the first|Greeting: hi! #1',
+       context: {response}
+    });
+    const archived = crosswordDataFormat.parse( headersFor('standard v2').concat( [
+      'across:',
+      '- (1,1) 1. Note: tries during session (9)',
+      '- (1,3) 2. Number #1 tries (9)',
+      'down:',
+    ] ).join("\n").replace('size: 5x5', 'size: 9x3') );
+    assert.same({
+           msg: "a standard v2 clue may contain ': ' and '#'",
+        actual: `${archived.isValid}|${archived.clues[1].across.body}|${archived.clues[2].across.body}`,
+      expected: 'true|Note: tries during session|Number #1 tries',
+       context: {archived}
+    });
+    const migrated = crosswordDataFormat.migrate( archived.text );
+    const upgraded = crosswordDataFormat.parse( migrated.text );
+    assert.same({
+           msg: 'migrate upgrades a standard v2 document to standard v3, which reads the same',
+        actual: `${migrated.errors.length}|${upgraded.isValid}|${upgraded.spec.version}|${upgraded.clues[1].across.body}|${upgraded.clues[2].across.body}`,
+      expected: '0|true|standard v3|Note: tries during session|Number #1 tries',
+       context: {migrated, upgraded}
+    });
+  }
+  {
+    const response = crosswordDataFormat.parse( v2Text.replace('standard v2', 'standard v3') );
+    assert.same({
+           msg: 'whereas the same text as standard v3 is read as YAML, with # starting a comment',
+        actual: `${response.isValid}|${response.spec.version}|${response.diagnostics.map( d => d.code ).join(' ')}|${response.name}`,
+      expected: 'false|standard v3|INVALID_VALUE|Crossword',
+       context: {response}
+    });
+  }
+  {
+    const response = crosswordDataFormat.parse( headersFor('standard v2').concat( ['theme: Birds', 'x-ft-section: Weekend'], clues ).join("\n") );
+    assert.same({
+           msg: 'a standard v2 document cannot have optional or extension keys',
+        actual: response.diagnostics.map( d => d.code ).join(' '),
+      expected: 'UNRECOGNISED_KEY INVALID_LINE',
+       context: {response}
+    });
+  }
+  {
+    const response = crosswordDataFormat.parse( headersFor('standard v9').concat( clues ).join("\n") );
+    assert.same({
+           msg: 'an unknown version is reported, where it is declared',
+        actual: `${response.diagnostics[0].code} ${response.diagnostics[0].line} ${response.spec.version}`,
+      expected: `UNKNOWN_VERSION 1 standard v3`,
+       context: {response}
+    });
+  }
+  {
+    const migrated = crosswordDataFormat.migrate( v2Text );
+    const response = crosswordDataFormat.parse( migrated.text );
+    assert.same({
+           msg: 'migrate upgrades a standard v2 document to the latest version, quoting values which YAML would read differently',
+        actual: migrated.text,
+      expected: headersFor('standard v3').map( line => line.replace('Crossword #1: the first', '"Crossword #1: the first"') ).concat([
+        'across:',
+        '- "(1,1) 1. Greeting: hi! #1 (HELLO)"',
+        'down:',
+        '- (1,1) 1. Dwelling (HOUSE)',
+      ]).join("\n") + "\n",
+       context: {migrated}
+    });
+    assert.same({
+           msg: 'the migrated document reads the same as the original',
+        actual: `${migrated.errors.length} ${response.isValid} ${response.name}|${response.clues[1].across.body}`,
+      expected: '0 true Crossword #1: the first|Greeting: hi! #1',
+       context: {migrated, response}
+    });
+  }
+  [
+    [ v2Text, 'standard v0', `unknown target version, 'standard v0', must be one of: standard v2, standard v3` ],
+    [ v2Text.replace('standard v2', 'standard v3'), 'standard v2', `cannot migrate back from version 'standard v3' to the older 'standard v2'` ],
+    [ v2Text.replace('version: standard v2\n', ''), 'standard v3', 'no version specified, so cannot tell which version to migrate from' ],
+  ].forEach( ([text, targetVersion, error]) => {
+    const migrated = crosswordDataFormat.migrate( text, targetVersion );
+    assert.same({
+           msg: `migrate reports: ${error}`,
+        actual: `${migrated.errors.join('; ')}|${migrated.text === text}`,
+      expected: `${error}|true`,
+       context: {migrated}
+    });
+  });
+  {
+    const crossword = new crosswordDataFormat.Crossword( crosswordDataFormat.parse( v2Text ) );
+    const errors = crossword.setHeader( 'theme', 'Birds' );
+    assert.same({
+           msg: 'a standard v2 crossword stays standard v2 as it is changed',
+        actual: `${errors.join('; ')}|${crossword.toText() === crosswordDataFormat.stringify( crosswordDataFormat.parse( v2Text ) )}|${crossword.toText().includes('Greeting: hi! #1')}`,
+      expected: `unrecognised header key, 'theme'|true|true`,
+       context: {crossword}
+    });
+  }
+});
+
+test( 'crosswordDataFormat - JSON Schemas', assert => {
+  const text = [
+    'version: standard v3',
+    'name: Crossword 15813',
+    'author: Falcon',
+    'editor: Colin Inman',
+    'copyright: 2018, Financial Times',
+    'publisher: Financial Times',
+    'pubdate: 2018/03/22',
+    'size: 5x5',
+    'number: 42',
+    'x-ft-section: Weekend',
+    'across:',
+    '- (1,1) 1,2 down. Greeting then rodent (HELLO,OTTER)',
+    'down:',
+    '- (5,1) 2. See 1 Across (5)',
+  ].join("\n");
+  const parsing = crosswordDataFormat.parse( text );
+  const schemas = crosswordDataFormat.jsonSchemas();
+  const ajv = new Ajv({ allowUnionTypes: true });
+  const ajvModel = ajv.compile( schemas.model );
+  const ajvDocument = ajv.compile( schemas.document );
+  const modelJson = JSON.parse( JSON.stringify( parsing ) ); // as a downstream service would receive it
+
+  const ajvErrors = validateFn => (validateFn.errors || []).map( error => `${error.instancePath || '/'} ${error.message}` ).join('; ');
+
+  assert.same({
+         msg: 'a valid parsing, as JSON, validates against the model schema',
+      actual: `${parsing.isValid} ${ajvModel( modelJson )}`,
+    expected: 'true true',
+     context: {parsing, ajvErrors: ajvModel.errors}
+  });
+  {
+    const document = jsYaml.load( text );
+    assert.same({
+           msg: 'the document, as read by a standard YAML parser, validates against the document schema',
+        actual: ajvDocument( document ),
+      expected: true,
+       context: {document, ajvErrors: ajvDocument.errors}
+    });
+    const badDocument = Object.assign( {}, document, { size: '5 by 5', across: ['1. no coords (HELLO)'], 'y-key': 'unknown' } );
+    delete badDocument.author;
+    const isValid = ajvDocument( badDocument );
+    assert.same({
+           msg: 'a bad document fails, with errors naming each offending path',
+        actual: `${isValid} ${ajvErrors( ajvDocument )}`,
+      expected: `false / must have required property 'author'`,
+       context: {ajvErrors: ajvDocument.errors}
+    });
+  }
+  {
+    const badModel = JSON.parse( JSON.stringify( modelJson ) );
+    badModel.clues['1'].across.answer.parts[0].separator = '/';
+    const isValid = ajvModel( badModel );
+    assert.same({
+           msg: 'a broken model fails, with errors naming the offending path',
+        actual: `${isValid} ${ajvErrors( ajvModel )}`,
+      expected: 'false /clues/1/across/answer/parts/0/separator must be equal to one of the allowed values',
+       context: {ajvErrors: ajvModel.errors}
+    });
+  }
+  {
+    const dated = jsYaml.load( text.replace('pubdate: 2018/03/22', 'pubdate: 2020-01-01') );
+    const quoted = jsYaml.load( crosswordDataFormat.stringify( crosswordDataFormat.parse( text.replace('pubdate: 2018/03/22', 'pubdate: 2020-01-01') ) ) );
+    assert.same({
+           msg: 'a timestamp must be quoted, as the document schema says, and as stringify writes it',
+        actual: `${ajvDocument( dated )} ${ajvErrors( ajvDocument )} | ${ajvDocument( quoted )} ${quoted.pubdate} | ${schemas.document.description.includes('must be quoted')}`,
+      expected: 'false /pubdate must be string,number,boolean,null | true 2020-01-01 | true',
+       context: {dated, quoted}
+    });
+  }
+  {
+    const patterns = JSON.stringify( schemas ).match( /"pattern":"(?:[^"\\]|\\.)*"/g ).map( pattern => JSON.parse( `{${pattern}}` ).pattern );
+    const clueItems = jsYaml.load( text ).across.concat( ['(1,1) 1. Café (CAFÉ)', "(1,1) 1. Unicode (ΑΛΦΑ,O'CLOCK)"] );
+    const clueItemPattern = new RegExp( schemas.document.properties.across.items.pattern ); // without the u flag, as other engines would read it
+    assert.same({
+           msg: 'the patterns have no Unicode property escapes, so work in other regex engines, still matching Unicode answers',
+        actual: `${patterns.some( pattern => pattern.includes('\\p{') )} ${clueItems.every( item => clueItemPattern.test( item ) )}`,
+      expected: 'false true',
+       context: {patterns, clueItems}
+    });
+  }
+  {
+    const invalid = JSON.parse( JSON.stringify( crosswordDataFormat.parse( text.replace('OTTER', 'THERE') ) ) );
+    const isValid = ajvModel( invalid );
+    assert.same({
+           msg: 'an invalid parsing does not validate as a model',
+        actual: `${isValid} ${ajvErrors( ajvModel )}`,
+      expected: 'false /isValid must be equal to constant',
+       context: {ajvErrors: ajvModel.errors}
+    });
+  }
+  {
+    const v2Schemas = crosswordDataFormat.jsonSchemas( 'standard v2' );
+    assert.same({
+           msg: 'each spec version has its own schemas, e.g. standard v2 has no optional or extension keys',
+        actual: `${v2Schemas.document.properties.theme}|${v2Schemas.document.patternProperties}|${schemas.document.properties.theme.type.join(',')}`,
+      expected: 'undefined|undefined|string,number,boolean,null',
+    });
+  }
+});
+
+test( 'crosswordDataFormat.stats fn', assert => {
+  const headers = [
+    'version: standard v2',
+    'name: Crossword 15813',
+    'author: Falcon',
+    'editor: Colin Inman',
+    'copyright: 2018, Financial Times',
+    'publisher: Financial Times',
+    'pubdate: 2018/03/22',
+  ];
+  const text = headers.concat([
+    'size: 5x5',
+    'across:',
+    '- (1,1) 1,2 down. Greeting then rodent (HELLO,OTTER)',
+    '- (1,5) 3. Senior, split (ELD-ER)',
+    'down:',
+    '- (1,1) 1. Home (HOUSE)',
+    '- (5,1) 2. See 1 Across (5)',
+  ]).join("\n");
+
+  {
+    const { errors, stats } = crosswordDataFormat.stats( crosswordDataFormat.parse( text ) );
+    assert.same({
+           msg: 'counts the answers, cells and blocked cells',
+        actual: `${errors.length} ${stats.wordCount} ${JSON.stringify( stats.cells )} ${stats.blockedPercentage}`,
+      expected: '0 4 {"total":25,"light":16,"blocked":9} 36',
+       context: {stats}
+    });
+    assert.same({
+           msg: 'gives the distribution of answer lengths, and the frequency of each letter',
+        actual: `${JSON.stringify( stats.answerLengths )} ${JSON.stringify( stats.letterFrequency )} ${stats.unknownLetters}`,
+      expected: '{"5":4} {"D":1,"E":4,"H":1,"L":3,"O":2,"R":1,"S":1,"T":2,"U":1} 0',
+       context: {stats}
+    });
+    assert.same({
+           msg: 'counts the multi-word, hyphenated and linked answers, and the mean length of the clues (ignoring See clues)',
+        actual: `${stats.multiWordAnswers} ${stats.hyphenatedAnswers} ${stats.linkedClueGroups} ${stats.averageClueLength}`,
+      expected: '1 1 1 12.3',
+       context: {stats}
+    });
+    assert.same({
+           msg: 'lists the letters missing from a grid which is not a pangram',
+        actual: `${stats.isPangram} ${stats.missingLetters.join('')}`,
+      expected: 'false ABCFGIJKMNPQVWXYZ',
+       context: {stats}
+    });
+  }
+  {
+    const { stats } = crosswordDataFormat.stats( crosswordDataFormat.parse( headers.concat([
+      'size: 26x3',
+      'across:',
+      '- (1,1) 1. The alphabet (ABCDEFGHIJKLMNOPQRSTUVWXYZ)',
+      '- (1,3) 3. The alphabet, placeholders (26)',
+      'down:',
+      '- (1,1) 1. A, then placeholders (A,2)',
+      '- (26,1) 2. Z, then placeholders (Z,2)',
+    ]).join("\n") ) );
+    assert.same({
+           msg: 'detects a pangram, and counts the cells whose letters are not known',
+        actual: `${stats.isPangram} ${stats.missingLetters.length} ${stats.unknownLetters} ${stats.multiWordAnswers}`,
+      expected: 'true 0 28 2',
+       context: {stats}
+    });
+  }
+  assert.same({
+         msg: 'cannot calculate the stats of an invalid parsing',
+      actual: crosswordDataFormat.stats( crosswordDataFormat.parse( text.replace('HOUSE', 'MOUSE') ) ).errors.join('; '),
+    expected: 'can only calculate the stats of a valid parsing',
+  });
+});
+
+test( 'crosswordDataFormat.SolveSession class', assert => {
+  const text = [
+    'version: standard v2',
+    'name: Crossword 15813',
+    'author: Falcon',
+    'editor: Colin Inman',
+    'copyright: 2018, Financial Times',
+    'publisher: Financial Times',
+    'pubdate: 2018/03/22',
+    'size: 5x5',
+    'across:',
+    '- (1,1) 1,2 down. Greeting then rodent (HELLO,OTTER)',
+    '- (1,5) 3. Senior, split (ELD-ER)',
+    'down:',
+    '- (1,1) 1. Home (HOUSE)',
+    '- (5,1) 2. See 1 Across (5)',
+  ].join("\n");
+  const parsing = crosswordDataFormat.parse( text );
+  const coordsText = cells => cells.map( coords => `${coords.across},${coords.down}` ).join(' ');
+
+  {
+    let errorMessage = '';
+    try {
+      new crosswordDataFormat.SolveSession( crosswordDataFormat.parse( 'size: 5x5' ) );
+    } catch (err) {
+      errorMessage = err.message;
+    }
+    assert.same({
+           msg: 'can only be built from a valid parsing',
+        actual: errorMessage.includes('valid parsing'),
+      expected: true,
+       context: {errorMessage}
+    });
+  }
+
+  {
+    const session = new crosswordDataFormat.SolveSession( parsing );
+    const errors = [].concat(
+      session.enterClue( 1, 'across', 'hello otter' ),
+      session.enterCell( {across: 1, down: 2}, 'o' ),
+      session.enterCell( {across: 1, down: 3}, 'X' ),
+    );
+    const word = session.checkClue( 2, 'down' );
+    assert.same({
+           msg: 'enters a linked clue as one word, and checks the whole word from any of its clues',
+        actual: `${errors.length} ${word.errors.length} ${word.correct.length} ${word.incorrect.length} ${word.empty.length}`,
+      expected: '0 0 9 0 0',
+       context: {errors, word}
+    });
+    const grid = session.checkGrid();
+    assert.same({
+           msg: 'checks the whole grid, listing the incorrect and empty cells',
+        actual: `${coordsText( grid.incorrect )} / ${coordsText( grid.empty )}`,
+      expected: '1,3 / 1,4 1,5 2,5 3,5 4,5',
+       context: {grid}
+    });
+    const cell = session.checkCell( {across: 2, down: 2} );
+    assert.same({
+           msg: 'reports a blocked cell',
+        actual: `${cell.errors.join()} ${cell.correct.length}`,
+      expected: 'cell (2,2) is blocked 0',
+       context: {cell}
+    });
+    const badEntries = [].concat(
+      session.enterCell( {across: 6, down: 1}, 'A' ),
+      session.enterCell( {across: 1, down: 1}, 'A B' ),
+      session.enterClue( 3, 'across', 'ELDE' ),
+      session.enterClue( 4, 'across', 'ELDER' ),
+    );
+    assert.same({
+           msg: 'reports cells outside the grid, invalid letters, and entries of the wrong length or for unknown clues',
+        actual: badEntries.join(' / '),
+      expected: "coords (6,1) are outside the grid / invalid entry, 'A B', must be a letter, or the characters of a rebus cell, without spaces, brackets or '?' / entry for clue [3][across], 'ELDE', has 4 letters, but the word has 5 cells / unknown clue [4][across]",
+       context: {badEntries}
+    });
+  }
+
+  {
+    const session = new crosswordDataFormat.SolveSession( parsing );
+    session.enterClue( 3, 'across', 'e?d-er' );
+    const statusBefore = session.clueStatus( 3, 'across' ).status;
+    const revealed = session.revealClue( 3, 'across' );
+    const statusAfter = session.clueStatus( 3, 'across' ).status;
+    assert.same({
+           msg: 'reveals only the cells which are not already correct, completing the word',
+        actual: `${statusBefore.filled}/${statusBefore.total} ${statusBefore.isCorrect} ${coordsText( revealed.revealed )} ${statusAfter.isComplete} ${statusAfter.isCorrect}`,
+      expected: '4/5 null 2,5 true true',
+       context: {statusBefore, revealed, statusAfter}
+    });
+    const linked = session.clueStatus( 2, 'down' ).status;
+    assert.same({
+           msg: 'gives the status of a linked clue as that of its whole word',
+        actual: `${JSON.stringify( linked.group )} ${linked.filled}/${linked.total}`,
+      expected: '[{"id":"1","direction":"across"},{"id":"2","direction":"down"}] 1/9',
+       context: {linked}
+    });
+    const unknown = session.clueStatus( undefined, 'down' );
+    assert.same({
+           msg: 'reports the status of an unknown clue as an error, rather than throwing',
+        actual: `${unknown.status} ${unknown.errors.join()}`,
+      expected: 'null unknown clue [undefined][down]',
+       context: {unknown}
+    });
+    session.revealGrid();
+    const progress = session.progress();
+    assert.same({
+           msg: 'tracks the progress of the grid and of each clue',
+        actual: `${progress.filled}/${progress.total} ${progress.isCorrect} ${progress.revealed} ${progress.clues.map( status => `${status.id}${status.direction.charAt(0)}:${status.isCorrect}` ).join()}`,
+      expected: '16/16 true 12 1a:true,3a:true,1d:true,2d:true',
+       context: {progress}
+    });
+  }
+
+  {
+    const session = new crosswordDataFormat.SolveSession( parsing );
+    session.enterClue( 1, 'down', 'HOUSE' );
+    session.revealCell( {across: 2, down: 1} );
+    const saved = session.toText();
+    assert.same({
+           msg: 'serializes the entries and the revealed cells',
+        actual: saved,
+      expected: '{"format":"crossword solve session v1","name":"Crossword 15813","size":"5x5","entries":{"1,1":"H","2,1":"E","1,2":"O","1,3":"U","1,4":"S","1,5":"E"},"revealed":["2,1"]}',
+       context: {saved}
+    });
+    const restored = crosswordDataFormat.SolveSession.fromText( parsing, saved );
+    assert.same({
+           msg: 'restores a serialized session',
+        actual: `${restored.errors.length} ${restored.session.toText() === saved} ${restored.session.isRevealed({across: 2, down: 1})}`,
+      expected: '0 true true',
+       context: {restored}
+    });
+    const otherCrossword = crosswordDataFormat.SolveSession.fromText( parsing, saved.replace('15813', '15814') );
+    const badEntry = crosswordDataFormat.SolveSession.fromText( parsing, saved.replace('"1,2":"O"', '"2,2":"O"') );
+    assert.same({
+           msg: 'does not restore a session of another crossword, or with entries which do not fit',
+        actual: `${otherCrossword.session} ${otherCrossword.errors.length} ${badEntry.session} ${badEntry.errors.join()}`,
+      expected: 'null 1 null cell (2,2) is blocked',
+       context: {otherCrossword, badEntry}
+    });
+  }
+
+  {
+    const placeholderParsing = crosswordDataFormat.parse( text.replace('(HELLO,OTTER)', '(5,5)').replace('(HOUSE)', '(5)') );
+    const session = new crosswordDataFormat.SolveSession( placeholderParsing );
+    session.enterClue( 1, 'across', 'HELLOOTTER' );
+    const checked = session.checkClue( 1, 'across' );
+    const revealed = session.revealClue( 1, 'across' );
+    const status = session.clueStatus( 1, 'across' ).status;
+    assert.same({
+           msg: 'treats the cells of placeholder answers as uncheckable, and does not reveal them',
+        actual: `${checked.uncheckable.length} ${checked.correct.length} ${checked.incorrect.length} ${revealed.revealed.length} ${revealed.uncheckable.length} ${status.isComplete} ${status.isCorrect}`,
+      expected: '8 1 0 0 8 true null',
+       context: {checked, revealed, status}
+    });
+  }
+});
+
+test( 'crosswordDataFormat.hideAnswers and verifyAnswer fns', async assert => {
+  const text = [
+    'version: standard v2',
+    'name: Crossword 15813',
+    'author: Falcon',
+    'editor: Colin Inman',
+    'copyright: 2018, Financial Times',
+    'publisher: Financial Times',
+    'pubdate: 2018/03/22',
+    'size: 5x5',
+    'across:',
+    '- (1,1) 1,2 down. Greeting then rodent (HELLO,OTTER)',
+    '- (1,5) 3. Senior, split (ELD-ER)',
+    'down:',
+    '- (1,1) 1. Home (HOUSE)',
+    '- (5,1) 2. See 1 Across (5)',
+  ].join("\n");
+
+  {
+    const { errors, text: hiddenText } = await crosswordDataFormat.hideAnswers( crosswordDataFormat.parse( text ), { salt: 'pepper' } );
+    const hidden = crosswordDataFormat.parse( hiddenText );
+    const answersText = [].concat( hidden.across, hidden.down ).map( item => item.replace(/^.*(\(.*\))$/, '$1') ).join(' ');
+    assert.same({
+           msg: 'replaces the answers with their enumerations, giving a valid crossword',
+        actual: `${errors.length} ${hidden.isValid} ${answersText} ${hiddenText.includes('HELLO')}`,
+      expected: '0 true (5,5) (3-2) (5) (5) false',
+       context: {hiddenText}
+    });
+    assert.same({
+           msg: 'adds the salt, and a hash for each clue whose answer it hid',
+        actual: `${hidden.extensions['x-answer-salt']} ${hidden.extensions['x-answer-hashes'].map( item => item.split(' ').slice(0, 2).join(' ') ).join()}`,
+      expected: 'pepper 1 across,3 across,1 down',
+       context: {hiddenText}
+    });
+    assert.same({
+           msg: 'gives other hashes with another salt',
+        actual: (await crosswordDataFormat.hideAnswers( crosswordDataFormat.parse( text ), { salt: 'salt' } )).text.split("\n").filter( line => hiddenText.includes( line ) ).length,
+      expected: hiddenText.split("\n").length - 4,
+       context: {hiddenText}
+    });
+
+    const verified = await Promise.all( [
+      [1, 'across', 'hello, otter'],
+      [2, 'down', 'HELLOOTTER'],
+      [3, 'across', 'Eld-er'],
+      [1, 'down', 'mouse'],
+    ].map( ([id, direction, answer]) => crosswordDataFormat.verifyAnswer( hidden, id, direction, answer ).then( checked => checked.isCorrect ) ) );
+    assert.same({
+           msg: 'verifies answers (ignoring case and separators), where a linked clue has the answer of its owner',
+        actual: verified.join(),
+      expected: 'true,true,true,false',
+       context: {verified}
+    });
+
+    const weakened = crosswordDataFormat.parse( hiddenText.replace( /x-answer-kdf: .*/, 'x-answer-kdf: pbkdf2-sha256 iterations=100000000 keylen=32' ) );
+    const weakenedCheck = await crosswordDataFormat.verifyAnswer( weakened, 1, 'down', 'HOUSE' );
+    assert.same({
+           msg: 'hashes with PBKDF2, recording its parameters, and refuses parameters it will not use',
+        actual: `${hidden.extensions['x-answer-kdf']} ${hidden.extensions['x-answer-hashes'][0].split(' ')[2].length} ${weakenedCheck.isCorrect} ${weakenedCheck.errors.join()}`,
+      expected: `pbkdf2-sha256 iterations=100000 keylen=32 64 null unsupported answer hash kdf, "pbkdf2-sha256 iterations=100000000 keylen=32", expected e.g. 'pbkdf2-sha256 iterations=100000 keylen=32'`,
+       context: {weakenedCheck}
+    });
+
+    const unknownClue = await crosswordDataFormat.verifyAnswer( hidden, 4, 'across', 'ELDER' );
+    const noHashes = await crosswordDataFormat.verifyAnswer( crosswordDataFormat.parse( text ), 1, 'down', 'HOUSE' );
+    assert.same({
+           msg: 'reports an unknown clue, or a clue with no hash',
+        actual: `${unknownClue.isCorrect} ${unknownClue.errors.join()} ${noHashes.isCorrect} ${noHashes.errors.join()}`,
+      expected: 'null unknown clue [4][across] null no answer hash for clue [1][down]',
+       context: {unknownClue, noHashes}
+    });
+    const badAnswers = await Promise.all( [undefined, null, 5].map( answer => crosswordDataFormat.verifyAnswer( hidden, 1, 'down', answer ) ) );
+    const badId = await crosswordDataFormat.verifyAnswer( hidden, undefined, 'down', 'HOUSE' );
+    assert.same({
+           msg: 'reports a missing (or non-string) answer, or a missing id, rather than throwing',
+        actual: badAnswers.concat( [badId] ).map( checked => `${checked.isCorrect} ${checked.errors.join()}` ).join(' / '),
+      expected: 'null answer for clue [1][down] must be a string, not undefined / null answer for clue [1][down] must be a string, not null / null answer for clue [1][down] must be a string, not 5 / null unknown clue [undefined][down]',
+       context: {badAnswers, badId}
+    });
+  }
+
+  {
+    const { errors, text: hiddenText } = await crosswordDataFormat.hideAnswers( crosswordDataFormat.parse( text ) );
+    const hidden = crosswordDataFormat.parse( hiddenText );
+    const checked = await crosswordDataFormat.verifyAnswer( hidden, 1, 'down', 'house' );
+    assert.same({
+           msg: 'writes the latest version (for the extension keys), with a random salt by default',
+        actual: `${errors.length} ${hidden.version} ${/^[0-9a-f]{32}$/.test( hidden.extensions['x-answer-salt'] )} ${checked.isCorrect}`,
+      expected: `0 ${crosswordDataFormat.latestVersion} true true`,
+       context: {hiddenText}
+    });
+    const invalid = await crosswordDataFormat.hideAnswers( crosswordDataFormat.parse( 'size: 5x5' ) );
+    assert.same({
+           msg: 'can only hide the answers of a valid parsing',
+        actual: `${invalid.text} ${invalid.errors.join()}`,
+      expected: 'null can only hide the answers of a valid parsing',
+       context: {invalid}
+    });
+  }
+
+  {
+    const fs = require('fs');
+    const path = require('path');
+    const sources = ['index.js'].concat( fs.readdirSync( path.join( __dirname, '..', 'lib' ) ).filter( file => file !== 'cli.js' ).map( file => `lib/${file}` ) );
+    const nodeRequires = sources.filter( source => /require\(\s*'(?!\.)/.test( fs.readFileSync( path.join( __dirname, '..', source ), 'utf8' ) ) );
+    assert.same({
+           msg: 'requires no Node modules (e.g. crypto) outside the command-line tool, so can be bundled for the browser',
+        actual: nodeRequires.join(),
+      expected: '',
+       context: {sources}
+    });
+  }
+});
+
+test( 'crosswordDataFormat.format fn', assert => {
+  const header = [
+    'version: standard v3',
+    'name: Crossword 1',
+    'author: Falcon',
+    'editor:',
+    'copyright:',
+    'publisher:',
+    'pubdate:',
+    'size: 3x3',
+  ];
+  const text = header.concat([
+    'across:',
+    '- (1,1) 1. Pet that purrs (CAT)',
+    '- (1,3) 3. Buzzing insect (B-EE)',
+    'down:',
+    '- (1,1) 1. Taxi (CAB)',
+    '- (3,1) 2. Part of a foot (TOE)',
+    '',
+  ]).join("\n");
+  const codesOf = formatted => formatted.fixes.map( f => `${f.code}@${f.line}` ).join(', ');
+
+  {
+    const formatted = crosswordDataFormat.format( text );
+    assert.same({
+           msg: 'leaves a canonical document as it is, with no fixes',
+        actual: `${formatted.text === text}|${formatted.fixes.length}|${formatted.errors.length}`,
+      expected: 'true|0|0',
+       context: {formatted}
+    });
+  }
+  {
+    const formatted = crosswordDataFormat.format( [
+      '# A test puzzle',
+      'version: standard v3',
+      'size: 3x3   ',
+      'name: Crossword 1 # working title',
+    ].concat( header.slice(2, 7), [
+      'across:',
+      '# the cat',
+      '- ( 1, 1 )  1.  Pet that purrs  (CAT)',
+      '- (1,3) 3. Buzzing insect (B - EE)',
+      'down:',
+      '- (1,1) 1. Taxi (CAB)',
+      '- (3,1) 2. Part of a foot (TOE)',
+      '# the end',
+    ]).join("\r\n") );
+    assert.same({
+           msg: 'rewrites the layout, listing each fix, and keeps the comments with the key or clue they belong to',
+        actual: `${formatted.errors.length}|${codesOf( formatted )}|${formatted.text}`,
+      expected: [
+        '0|LINE_ENDINGS@null, TRAILING_WHITESPACE@3, HEADER_KEY_ORDER@null, CLUE_LAYOUT@12, CLUE_LAYOUT@13|# A test puzzle',
+        'version: standard v3',
+        '# working title',
+        'name: Crossword 1',
+      ].concat( header.slice(2), [
+        'across:',
+        '# the cat',
+        '- (1,1) 1. Pet that purrs (CAT)',
+        '- (1,3) 3. Buzzing insect (B-EE)',
+        'down:',
+        '- (1,1) 1. Taxi (CAB)',
+        '- (3,1) 2. Part of a foot (TOE)',
+        '# the end',
+        '',
+      ]).join("\n"),
+       context: {formatted}
+    });
+  }
+  {
+    const shuffledText = text
+    .replace('- (1,1) 1. Pet that purrs (CAT)\n- (1,3) 3. Buzzing insect (B-EE)', '- (1,3) 2. Buzzing insect (B-EE)\n- (1,1) 1. Pet that purrs (CAT)')
+    .replace('(3,1) 2.', '(3,1) 3.');
+    const formatted = crosswordDataFormat.format( shuffledText );
+    assert.same({
+           msg: 'sorts the clues into id order, and renumbers ids which are out of sequence with their coords',
+        actual: `${formatted.errors.length}|${codesOf( formatted )}|${formatted.text === text}`,
+      expected: '0|CLUE_ID_ORDER@9, CLUE_COORDS_ORDER@null|true',
+       context: {formatted}
+    });
+    const ambiguous = crosswordDataFormat.format( shuffledText.replace('(TOE)', '(TOP)') );
+    assert.same({
+           msg: 'does not renumber the ids when that would not give a valid crossword, since the coords may be what is wrong',
+        actual: `${codesOf( ambiguous )}|${ambiguous.text.includes('- (3,1) 3. Part of a foot (TOP)')}|${ambiguous.errors.join('; ')}`,
+      expected: `CLUE_ID_ORDER@9|true|clue[3]'s coords are out of sequence with previous clue: must be across then down'`,
+       context: {ambiguous}
+    });
+  }
+  {
+    const owningText = header.concat([
+      'across:',
+      '- (1,1) 1,3 down. Pet that purrs then part of a foot (CAT,TOE)',
+      '- (1,3) 2. Buzzing insect (B-EE)',
+      'down:',
+      '- (1,1) 1. Taxi (CAB)',
+      '- (3,1) 3. See 1 Across (3)',
+    ]).join("\n").replace('size: 3x3', 'size: 3x3\nnotes: |\n  # not a comment\n  in a block');
+    const formatted = crosswordDataFormat.format( owningText );
+    assert.same({
+           msg: 'renumbers the references between clues too, and keeps comment-like lines within a block value',
+        actual: `${formatted.errors.length}|${codesOf( formatted )}|${formatted.text.includes('- (1,1) 1,2 down. Pet that purrs then part of a foot (CAT,TOE)')}|${formatted.text.includes('- (3,1) 2. See 1 Across (3)')}|${formatted.text.includes('notes: "# not a comment\\nin a block"')}`,
+      expected: '0|CLUE_COORDS_ORDER@null|true|true|true',
+       context: {formatted}
+    });
+  }
+  {
+    const duplicated = text.replace('- (1,3) 3. Buzzing insect (B-EE)', '- (1,3) 1. Buzzing insect (B-EE)\n- (1,1) 1. Pet that purrs (CAT)');
+    const formatted = crosswordDataFormat.format( duplicated.replace('- (1,1) 1. Pet that purrs (CAT)\n', '') );
+    assert.same({
+           msg: 'leaves clues with duplicate ids in their order',
+        actual: `${formatted.fixes.length}|${formatted.text === duplicated.replace('- (1,1) 1. Pet that purrs (CAT)\n', '')}|${formatted.errors.length > 0}`,
+      expected: '0|true|true',
+       context: {formatted}
+    });
+  }
+  {
+    const unreadable = text.replace('size: 3x3', 'size: 3x3\ncolour: blue   ');
+    const formatted = crosswordDataFormat.format( unreadable );
+    assert.same({
+           msg: 'leaves a document which cannot be read as it is, with its errors',
+        actual: `${formatted.text === unreadable}|${formatted.fixes.length}|${formatted.errors.join('; ')}`,
+      expected: `true|0|unrecognised key, 'colour', in line[8]='colour: blue   '`,
+       context: {formatted}
+    });
+  }
+  {
+    const v2Text = text.replace('standard v3', 'standard v2').replace('Pet that purrs', 'Pet # that purrs');
+    const formatted = crosswordDataFormat.format( v2Text.replace('(1,3) 3.', '(1,3)  3.') );
+    assert.same({
+           msg: 'keeps a standard v2 document standard v2, where # is not a comment',
+        actual: `${codesOf( formatted )}|${formatted.text === v2Text}`,
+      expected: 'CLUE_LAYOUT@11|true',
+       context: {formatted}
+    });
+  }
+});
+
+test( 'crossword command-line tool', assert => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const cli = require( "../lib/cli.js" );
+
+  const text = [
+    'version: standard v3',
+    'name: Crossword 1',
+    'author: Falcon',
+    'editor:',
+    'copyright:',
+    'publisher:',
+    'pubdate:',
+    'size: 3x3',
+    'across:',
+    '- (1,1) 1. Pet that purrs (CAT)',
+    '- (1,3) 3. Buzzing insect (B-EE)',
+    'down:',
+    '- (1,1) 1. Taxi (CAB)',
+    '- (3,1) 2. Part of a foot (TOE)',
+    '',
+  ].join("\n");
+  const untidyText = text.replace('name: Crossword 1', 'name:   "Crossword 1"   ').replace('- (1,1) 1. Taxi', '- (1,1)  1.  Taxi');
+  const invalidText = text.replace('(CAB)', '(DOG)');
+
+  const dir = fs.mkdtempSync( path.join( os.tmpdir(), 'crossword-cli-' ) );
+  fs.mkdirSync( path.join( dir, 'puzzles', 'weekend' ), { recursive: true } );
+  fs.writeFileSync( path.join( dir, 'puzzles', 'one.yaml' ), text );
+  fs.writeFileSync( path.join( dir, 'puzzles', 'weekend', 'two.yaml' ), untidyText );
+  fs.writeFileSync( path.join( dir, 'invalid.yaml' ), invalidText );
+
+  // run the cli in dir, with the given stdin, returning { exitCode, stdout, stderr }
+  const run = (args, stdin='') => {
+    const output = { stdout: [], stderr: [] };
+    const exitCode = cli.main( args, {
+      cwd       : dir,
+      stdout    : data => output.stdout.push( data ),
+      stderr    : data => output.stderr.push( data ),
+      readStdin : () => Buffer.from( stdin ),
+    });
+    return {
+      exitCode,
+      stdout : (output.stdout.every( data => typeof data === 'string' ))? output.stdout.join('') : Buffer.concat( output.stdout ),
+      stderr : output.stderr.join(''),
+    };
+  };
+
+  try {
+    {
+      const result = run( ['validate', 'puzzles/**/*.yaml'] );
+      assert.same({
+             msg: 'validate expands globs, and exits 0 with no output for valid files',
+          actual: `${result.exitCode}|${result.stdout}|${result.stderr}`,
+        expected: '0||',
+         context: {result}
+      });
+    }
+    {
+      const result = run( ['validate', 'puzzles/one.yaml', 'invalid.yaml'] );
+      assert.same({
+             msg: 'validate prints each diagnostic as file:line:column, and exits 1 if any file has errors',
+          actual: `${result.exitCode}|${result.stdout.split("\n")[0]}`,
+        expected: `1|invalid.yaml:13:17: error CONFLICTING_LETTERS cell (1,1) has conflicting letters: 'C' in clue [1][across] but 'D' in clue [1][down]`,
+         context: {result}
+      });
+    }
+    {
+      const placeholderText = text.replace('(TOE)', '(3)');
+      const standard = run( ['validate', '-'], placeholderText );
+      const strict = run( ['validate', '--profile', 'strict'], placeholderText );
+      assert.same({
+             msg: 'validate reads stdin, prints warnings without failing, and takes a rule profile',
+          actual: `${standard.exitCode}|${standard.stdout}|${strict.exitCode}|${strict.stdout.split(' ').slice(0, 3).join(' ')}`,
+        expected: `0|<stdin>:14:27: warning PLACEHOLDER_ANSWER clue [2][down] has only placeholders in its answer, answerText='3'\n|1|<stdin>:14:27: error PLACEHOLDER_ANSWER`,
+         context: {standard, strict}
+      });
+    }
+    {
+      const result = run( ['convert', '--to', 'ipuz', 'puzzles/one.yaml'] );
+      assert.same({
+             msg: 'convert writes a single file to stdout',
+          actual: `${result.exitCode}|${JSON.parse( result.stdout ).solution.map( row => row.join('') ).join(' ')}`,
+        expected: '0|CAT A#O BEE',
+         context: {result}
+      });
+    }
+    {
+      const result = run( ['convert', '--to=puz'], text );
+      assert.same({
+             msg: 'convert reads stdin, and writes .puz as binary',
+          actual: `${result.exitCode}|${crosswordDataFormat.fromPuz( result.stdout ).text === text}`,
+        expected: '0|true',
+         context: {result}
+      });
+    }
+    {
+      const result = run( ['convert', '--to', 'json', '--out-dir', 'out', 'puzzles/**/*.yaml'] );
+      const json = JSON.parse( fs.readFileSync( path.join( dir, 'out', 'two.json' ), 'utf8' ) );
+      assert.same({
+             msg: 'convert writes several files into --out-dir, with json as the model',
+          actual: `${result.exitCode}|${fs.readdirSync( path.join( dir, 'out' ) ).join(',')}|${json.name} ${json.clues['3'].across.answer.parts[1].text} ${new Ajv({ allowUnionTypes: true }).compile( crosswordDataFormat.jsonSchemas( json.version ).model )( json )}`,
+        expected: '0|one.json,two.json|Crossword 1 EE true',
+         context: {result, json}
+      });
+    }
+    {
+      const result = run( ['convert', '--to', 'jpz', 'puzzles/one.yaml', 'invalid.yaml'] );
+      assert.same({
+             msg: 'convert needs --out-dir for several files',
+          actual: `${result.exitCode}|${result.stderr.split("\n")[0]}`,
+        expected: '2|crossword: need --out-dir to write the output of more than one file',
+         context: {result}
+      });
+    }
+    {
+      const result = run( ['convert', '--to', 'jpz', '-o', 'out/invalid.jpz', 'invalid.yaml'] );
+      assert.same({
+             msg: 'convert reports the errors of an invalid file, and writes nothing',
+          actual: `${result.exitCode}|${result.stderr.startsWith('invalid.yaml:13:17: error CONFLICTING_LETTERS')}|${fs.existsSync( path.join( dir, 'out', 'invalid.jpz' ) )}`,
+        expected: '1|true|false',
+         context: {result}
+      });
+    }
+    {
+      const result = run( ['render', '--html', '--solution', '-o', 'out/one.html', 'puzzles/one.yaml'] );
+      const html = fs.readFileSync( path.join( dir, 'out', 'one.html' ), 'utf8' );
+      assert.same({
+             msg: 'render writes html (or svg) to -o',
+          actual: `${result.exitCode}|${html.includes('Pet that purrs')}|${run( ['render', 'puzzles/one.yaml'] ).exitCode}`,
+        expected: '0|true|2',
+         context: {result}
+      });
+    }
+    {
+      const checked = run( ['fmt', '--check', 'puzzles/**/*.yaml', 'invalid.yaml'] );
+      const formatted = run( ['fmt', 'puzzles/**/*.yaml'] );
+      assert.same({
+             msg: 'fmt --check lists the files not in canonical form, and fmt rewrites them',
+          actual: `${checked.exitCode}|${checked.stdout}|${checked.stderr.startsWith('invalid.yaml:13:17')}|${formatted.exitCode}|${fs.readFileSync( path.join( dir, 'puzzles', 'weekend', 'two.yaml' ), 'utf8' ) === text}`,
+        expected: '1|puzzles/weekend/two.yaml\n|true|0|true',
+         context: {checked, formatted}
+      });
+    }
+    {
+      const result = run( ['fmt'], untidyText );
+      assert.same({
+             msg: 'fmt writes stdin to stdout, and lists the fixes it made',
+          actual: `${result.exitCode}|${result.stdout === text}|${result.stderr}`,
+        expected: [
+          '0|true|<stdin>:2: fixed TRAILING_WHITESPACE removed the whitespace from the end of line[1]',
+          `<stdin>:13: fixed CLUE_LAYOUT rewrote down clue[0] from '- (1,1)  1.  Taxi (CAB)' to '- (1,1) 1. Taxi (CAB)'`,
+          '',
+        ].join("\n"),
+         context: {result}
+      });
+    }
+    {
+      const result = run( ['stats', 'puzzles/**/*.yaml'] );
+      const lines = result.stdout.split("\n");
+      assert.same({
+             msg: 'stats prints a line of JSON per file',
+          actual: `${result.exitCode}|${lines.length}|${JSON.parse( lines[0] ).file} ${JSON.parse( lines[0] ).wordCount} ${JSON.parse( lines[1] ).file}`,
+        expected: '0|3|puzzles/one.yaml 4 puzzles/weekend/two.yaml',
+         context: {result}
+      });
+    }
+    assert.same({
+           msg: 'exits 2 for an unknown command, option or value, or a glob matching nothing',
+        actual: [['publish'], ['fmt', '--fix'], ['convert', '--to', 'pdf'], ['validate', 'nowhere/*.yaml']].map( args => run( args ).exitCode ).join(','),
+      expected: '2,2,2,2',
+    });
+  } finally {
+    fs.rmSync( dir, { recursive: true, force: true } );
+  }
+});